@@ -0,0 +1,190 @@
+/**
+ * Background Animation System - Calendar Module
+ *
+ * Date rules for special event themes (New Year, Tanabata, birthdays...).
+ * Rules live in a JSON file so new events need no code changes:
+ *
+ *   { "rules": [{ "name": "newYear", "start": "01-01", "end": "01-03",
+ *                 "effects": ["fireworks"], "palette": { "accent": "#C9963A" } }] }
+ */
+
+import { createLogger } from "../utils/logger.js";
+import { isValidColor } from "./colors/interpolation.js";
+
+const logger = createLogger("Calendar");
+
+/** Default rules file, resolved next to this module so embeds work too */
+export const DEFAULT_CALENDAR_URL = new URL("./calendar.json", import.meta.url)
+  .href;
+
+const MONTH_DAY_REGEX = /^(\d{2})-(\d{2})$/;
+
+// Palette entries read as hex colors (see ColorPalette)
+const HEX_PALETTE_KEYS = ["bg", "cardBg", "text", "textMuted", "accent"];
+// Celestial entries read as hex or rgba() colors
+const CELESTIAL_COLOR_KEYS = ["color", "glowColor"];
+
+/**
+ * @typedef {Object} CalendarRule
+ * @property {string} name - Rule name (reported in state and events)
+ * @property {string} start - First day, "MM-DD"
+ * @property {string} end - Last day (inclusive), "MM-DD"; may wrap past New Year
+ * @property {string[]} [effects] - Registered effect names to enable
+ * @property {Object} [palette] - Palette entries to override
+ *   (e.g. accent, gradient, celestial)
+ * @property {boolean} [disabled] - Skip the rule
+ */
+
+/**
+ * @typedef {Object} CalendarTheme
+ * @property {string[]} names - Active rule names
+ * @property {string[]} effects - Effects requested by the active rules
+ * @property {Object|null} palette - Merged palette overrides (later rules win)
+ */
+
+/**
+ * Convert "MM-DD" into a comparable number (e.g. 0707)
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseMonthDay(value) {
+  const match = MONTH_DAY_REGEX.exec(value);
+  if (!match) return null;
+  const month = Number(match[1]);
+  const day = Number(match[2]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return month * 100 + day;
+}
+
+/**
+ * Drop (and report) palette overrides whose colors wouldn't parse, so one
+ * typo can't break the background when the rule comes into effect
+ * @param {string} name - Rule name, for the warning
+ * @param {Object} palette - Raw palette overrides
+ * @returns {Object} Overrides with the valid entries only
+ */
+function sanitizePalette(name, palette) {
+  const valid = { ...palette };
+  const drop = (key, value) => {
+    logger.warn(
+      `Ignoring invalid "${key}" color in calendar rule ${name}:`,
+      value,
+    );
+  };
+
+  for (const key of HEX_PALETTE_KEYS) {
+    if (key in valid && !isValidColor(valid[key], { hexOnly: true })) {
+      drop(key, valid[key]);
+      delete valid[key];
+    }
+  }
+
+  if ("gradient" in valid) {
+    const { gradient } = valid;
+    const stopsValid =
+      Array.isArray(gradient) &&
+      gradient.length > 0 &&
+      gradient.every((color) => isValidColor(color, { hexOnly: true }));
+    if (!stopsValid) {
+      drop("gradient", gradient);
+      delete valid.gradient;
+    }
+  }
+
+  if (valid.celestial) {
+    const celestial = { ...valid.celestial };
+    for (const key of CELESTIAL_COLOR_KEYS) {
+      if (key in celestial && !isValidColor(celestial[key])) {
+        drop(`celestial.${key}`, celestial[key]);
+        delete celestial[key];
+      }
+    }
+    valid.celestial = celestial;
+  }
+
+  return valid;
+}
+
+/**
+ * Validate raw rules, dropping (and reporting) malformed ones
+ * @param {{rules: Object[]}|Object[]} data - Parsed JSON
+ * @returns {CalendarRule[]}
+ */
+export function parseCalendarRules(data) {
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    logger.warn("Calendar data has no rules array:", data);
+    return [];
+  }
+
+  return rules
+    .filter((rule) => {
+      const valid =
+        typeof rule?.name === "string" &&
+        parseMonthDay(rule.start) !== null &&
+        parseMonthDay(rule.end) !== null;
+      if (!valid) logger.warn("Ignoring invalid calendar rule:", rule);
+      return valid;
+    })
+    .map((rule) =>
+      rule.palette
+        ? { ...rule, palette: sanitizePalette(rule.name, rule.palette) }
+        : rule,
+    );
+}
+
+/**
+ * Load rules from a JSON file
+ * @param {string} [url] - Rules file
+ * @returns {Promise<CalendarRule[]>}
+ * @throws {Error} If fetch fails
+ */
+export async function loadCalendarRules(url = DEFAULT_CALENDAR_URL) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url}`);
+  return parseCalendarRules(await response.json());
+}
+
+/**
+ * Whether a rule covers the given date (local time)
+ * @param {CalendarRule} rule
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isRuleActive(rule, now) {
+  if (rule.disabled) return false;
+  const today = (now.getMonth() + 1) * 100 + now.getDate();
+  const start = parseMonthDay(rule.start);
+  const end = parseMonthDay(rule.end);
+
+  // Ranges like 12-31..01-02 wrap past the end of the year
+  return start <= end
+    ? today >= start && today <= end
+    : today >= start || today <= end;
+}
+
+/**
+ * Combine every rule active on the given date
+ * @param {Date} now - Reference date
+ * @param {CalendarRule[]} rules
+ * @returns {CalendarTheme}
+ */
+export function getCalendarTheme(now, rules) {
+  const active = rules.filter((rule) => isRuleActive(rule, now));
+
+  let palette = null;
+  for (const rule of active) {
+    if (!rule.palette) continue;
+    palette = {
+      ...palette,
+      ...rule.palette,
+      celestial: { ...palette?.celestial, ...rule.palette.celestial },
+    };
+  }
+
+  return {
+    names: active.map((rule) => rule.name),
+    effects: [...new Set(active.flatMap((rule) => rule.effects || []))],
+    palette,
+  };
+}
@@ -5,7 +5,11 @@
  */
 
 // Palette definitions
-export { TIME_PALETTES } from "./palette.js";
+export {
+  TIME_PALETTES,
+  WEATHER_ADJUSTMENTS,
+  SEASON_ADJUSTMENTS,
+} from "./palette.js";
 
 // Interpolation utilities
 export {
@@ -15,7 +19,18 @@ export {
   parseRgbaColor,
   interpolateRgbaColor,
   hexToRgba,
+  isValidColor,
 } from "./interpolation.js";
 
 // Theme management
-export { getColorPalette, applyPaletteToCss } from "./theme.js";
+export {
+  getColorPalette,
+  applyPaletteOverrides,
+  applyMoonPhase,
+  applyCelestialArc,
+  getMoonlightFactor,
+  getMoonWeight,
+  blendCelestialLight,
+  applyPaletteToCss,
+  applyCelestialLightToCss,
+} from "./theme.js";
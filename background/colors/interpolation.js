@@ -19,30 +19,51 @@
  * @property {number} a - Alpha (0-1)
  */
 
-// Pre-compiled regex for hex color parsing
-const HEX_COLOR_REGEX = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i;
+// Pre-compiled regex for hex color parsing (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
+const HEX_COLOR_REGEX = /^#?([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i;
+
+// rgb()/rgba() with integer channels and optional alpha
+const RGBA_COLOR_REGEX = /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/;
+
+// The same, matching the whole string (for validating outside input)
+const RGBA_COLOR_EXACT_REGEX =
+  /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/;
 
 /**
- * Parse hex color to RGB
- * @param {string} hex - Hex color string (e.g., '#FF0000')
+ * Parse a hex color (3, 4, 6 or 8 digits) into its components
+ * @param {string} hex - Hex color string
+ * @returns {RGBA|null} Components, or null if the string is not a hex color
+ */
+function parseHex(hex) {
+  const result = typeof hex === "string" ? HEX_COLOR_REGEX.exec(hex) : null;
+  if (!result) return null;
+
+  let digits = result[1];
+  // Short forms repeat each digit (#F80 = #FF8800)
+  if (digits.length <= 4) {
+    digits = [...digits].map((d) => d + d).join("");
+  }
+  const channel = (i) => parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+  return {
+    r: channel(0),
+    g: channel(1),
+    b: channel(2),
+    a: digits.length === 8 ? channel(3) / 255 : 1,
+  };
+}
+
+/**
+ * Parse hex color to RGB (any alpha digits are ignored)
+ * @param {string} hex - Hex color string (e.g., '#FF0000', '#F00', '#FF000080')
  * @returns {RGB} RGB color object
+ * @throws {TypeError} If the value is not a hex color
  */
 export function hexToRgb(hex) {
-  if (typeof hex !== "string") {
-    console.warn("[Colors] hexToRgb received non-string value:", hex);
-    return { r: 0, g: 0, b: 0 };
-  }
-  const result = HEX_COLOR_REGEX.exec(hex);
-  if (!result) {
-    console.warn(`[Colors] Invalid hex color format: "${hex}"`);
+  const rgba = parseHex(hex);
+  if (!rgba) {
+    throw new TypeError(`[Colors] Invalid hex color: ${JSON.stringify(hex)}`);
   }
-  return result
-    ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16),
-      }
-    : { r: 0, g: 0, b: 0 };
+  return { r: rgba.r, g: rgba.g, b: rgba.b };
 }
 
 /**
@@ -82,10 +103,31 @@ export function interpolateColor(color1, color2, factor) {
   return rgbToHex(r, g, b);
 }
 
+/**
+ * Whether a value is a whole hex or rgb()/rgba() color, with channels in
+ * 0-255 and alpha in 0-1, that parseRgbaColor reads as itself
+ * @param {unknown} color - Candidate color
+ * @param {Object} [options]
+ * @param {boolean} [options.hexOnly] - Accept only hex colors (hexToRgb input)
+ * @returns {boolean}
+ */
+export function isValidColor(color, { hexOnly = false } = {}) {
+  if (typeof color !== "string") return false;
+  if (color.startsWith("#") || hexOnly) return parseHex(color) !== null;
+
+  const match = RGBA_COLOR_EXACT_REGEX.exec(color);
+  if (!match) return false;
+  const channels = match.slice(1, 4).map(Number);
+  const alpha = match[4] !== undefined ? Number(match[4]) : 1;
+  return channels.every((c) => c <= 255) && alpha >= 0 && alpha <= 1;
+}
+
 /**
  * Parse rgba color string to components
- * @param {string} rgba - RGBA color string (e.g., 'rgba(255, 0, 0, 0.5)' or '#FF0000')
+ * @param {string} rgba - RGBA color string (e.g., 'rgba(255, 0, 0, 0.5)',
+ *   'rgb(255, 0, 0)' or '#FF0000')
  * @returns {RGBA} RGBA components
+ * @throws {TypeError} If the value starts with '#' but is not a hex color
  */
 export function parseRgbaColor(rgba) {
   // Handle null/undefined
@@ -93,14 +135,15 @@ export function parseRgbaColor(rgba) {
     return { r: 0, g: 0, b: 0, a: 1 };
   }
 
-  // Handle hex colors
+  // Handle hex colors (8-digit hex carries alpha)
   if (rgba.startsWith("#")) {
-    const rgb = hexToRgb(rgba);
-    return { ...rgb, a: 1 };
+    const color = parseHex(rgba);
+    if (color) return color;
+    throw new TypeError(`[Colors] Invalid hex color: ${JSON.stringify(rgba)}`);
   }
 
   // Handle rgba() format
-  const match = rgba.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+  const match = rgba.match(RGBA_COLOR_REGEX);
   if (match) {
     return {
       r: parseInt(match[1], 10),
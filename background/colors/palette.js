@@ -1,10 +1,13 @@
 /**
  * Background Animation System - Color Palettes
  *
- * Defines color palettes for different times of day.
+ * Defines color palettes for different times of day, plus weather and
+ * seasonal tweaks.
  */
 
 import { TIME_PERIOD } from "../time.js";
+import { WEATHER } from "../weather.js";
+import { SEASON } from "../season.js";
 
 /**
  * @typedef {Object} CelestialConfig
@@ -13,6 +16,10 @@ import { TIME_PERIOD } from "../time.js";
  * @property {number} y - Y position (0-1, can be outside 0-1 for off-screen)
  * @property {string} color - Primary color (rgba format)
  * @property {string} glowColor - Glow color (rgba format)
+ * @property {number} [illumination] - Lit fraction of the moon (0-1, set at runtime)
+ * @property {number} [phase] - Lunar cycle position (0 = new, 0.5 = full)
+ * @property {number} [moonWeight] - Moon's share of the light while a
+ *   cross-fade hands over between sun and moon (0-1, see getMoonWeight)
  */
 
 /**
@@ -111,3 +118,71 @@ export const TIME_PALETTES = {
     gradientAngle: 180,
   },
 };
+
+/**
+ * @typedef {Object} WeatherAdjustment
+ * @property {number} desaturate - How far gradient colors move toward gray (0-1)
+ * @property {number} brightness - Multiplier applied to gradient colors
+ * @property {number} celestial - Multiplier for sun/moon light opacity
+ */
+
+/**
+ * Palette adjustments per weather, applied on top of the time palette.
+ * Clear weather (and no weather provider) leaves the palette untouched.
+ * @type {Object<string, WeatherAdjustment>}
+ */
+export const WEATHER_ADJUSTMENTS = {
+  [WEATHER.CLOUDY]: { desaturate: 0.35, brightness: 0.95, celestial: 0.45 },
+  [WEATHER.RAIN]: { desaturate: 0.5, brightness: 0.85, celestial: 0.25 },
+  [WEATHER.SNOW]: { desaturate: 0.55, brightness: 1.05, celestial: 0.4 },
+  [WEATHER.FOG]: { desaturate: 0.6, brightness: 1, celestial: 0.2 },
+  [WEATHER.THUNDER]: { desaturate: 0.6, brightness: 0.7, celestial: 0.1 },
+};
+
+/**
+ * @typedef {Object} SeasonAdjustment
+ * @property {string} tint - Hex color the sky gradient is tinted toward
+ * @property {number} amount - Gradient tint strength (0-1)
+ * @property {string} accent - Hex color the accent is tinted toward
+ * @property {number} accentAmount - Accent tint strength (0-1)
+ * @property {string} celestialTint - RGB components the sun/moon light leans toward
+ */
+
+/**
+ * Subtle seasonal tints applied on top of the time palette
+ * @type {Object<string, SeasonAdjustment>}
+ */
+export const SEASON_ADJUSTMENTS = {
+  // Cherry blossom pink, soft light
+  [SEASON.SPRING]: {
+    tint: "#F6C9D6",
+    amount: 0.12,
+    accent: "#C97B93",
+    accentAmount: 0.3,
+    celestialTint: "255, 225, 235",
+  },
+  // Deeper blue sky, hot white sun
+  [SEASON.SUMMER]: {
+    tint: "#6CC6E8",
+    amount: 0.08,
+    accent: "#3F8FB8",
+    accentAmount: 0.2,
+    celestialTint: "255, 250, 225",
+  },
+  // Amber foliage, low golden light
+  [SEASON.AUTUMN]: {
+    tint: "#E3A35E",
+    amount: 0.14,
+    accent: "#B8643A",
+    accentAmount: 0.35,
+    celestialTint: "255, 200, 140",
+  },
+  // Pale, cold and clear
+  [SEASON.WINTER]: {
+    tint: "#C9D8EA",
+    amount: 0.15,
+    accent: "#5F7FA6",
+    accentAmount: 0.25,
+    celestialTint: "215, 230, 255",
+  },
+};
@@ -5,32 +5,133 @@
  */
 
 import { CONFIG } from "../config.js";
-import { TIME_PALETTES } from "./palette.js";
+import {
+  TIME_PALETTES,
+  WEATHER_ADJUSTMENTS,
+  SEASON_ADJUSTMENTS,
+} from "./palette.js";
 import {
   hexToRgb,
   hexToRgba,
+  rgbToHex,
   interpolateColor,
   interpolateRgbaColor,
   parseRgbaColor,
 } from "./interpolation.js";
 
+/**
+ * Move a hex color toward gray and scale its brightness
+ * @param {string} hex - Hex color
+ * @param {import('./palette.js').WeatherAdjustment} adjustment
+ * @returns {string} Adjusted hex color
+ */
+function adjustColor(hex, { desaturate, brightness }) {
+  const { r, g, b } = hexToRgb(hex);
+  const gray = r * 0.299 + g * 0.587 + b * 0.114;
+  const mix = (c) => (c + (gray - c) * desaturate) * brightness;
+  return rgbToHex(mix(r), mix(g), mix(b));
+}
+
+/**
+ * Scale the alpha of an rgba color
+ * @param {string} color - RGBA color string
+ * @param {number} factor - Alpha multiplier
+ * @returns {string} RGBA color string
+ */
+function scaleAlpha(color, factor) {
+  const { r, g, b, a } = parseRgbaColor(color);
+  return `rgba(${r}, ${g}, ${b}, ${(a * factor).toFixed(2)})`;
+}
+
+/**
+ * Lean an rgba color toward another RGB while keeping its alpha
+ * @param {string} color - RGBA color string
+ * @param {string} tint - RGB components (e.g. '255, 200, 140')
+ * @param {number} amount - Tint strength (0-1)
+ * @returns {string} RGBA color string
+ */
+function tintRgba(color, tint, amount) {
+  const { a } = parseRgbaColor(color);
+  return interpolateRgbaColor(color, `rgba(${tint}, ${a})`, amount);
+}
+
+/**
+ * Tint the sky, accent and sun/moon light for the season
+ * @param {import('./palette.js').ColorPalette} palette - Time palette
+ * @param {string|null} season - Season key
+ * @returns {import('./palette.js').ColorPalette} Adjusted palette
+ */
+function applySeason(palette, season) {
+  const adjustment = SEASON_ADJUSTMENTS[season];
+  if (!adjustment) return palette;
+
+  const { tint, amount, accent, accentAmount, celestialTint } = adjustment;
+  return {
+    ...palette,
+    gradient: palette.gradient.map((c) => interpolateColor(c, tint, amount)),
+    bg: interpolateColor(palette.bg, tint, amount * 0.5),
+    accent: interpolateColor(palette.accent, accent, accentAmount),
+    celestial: {
+      ...palette.celestial,
+      color: tintRgba(palette.celestial.color, celestialTint, 0.5),
+      glowColor: tintRgba(palette.celestial.glowColor, celestialTint, 0.5),
+    },
+  };
+}
+
+/**
+ * Dull the sky and dim the sun/moon for the current weather
+ * @param {import('./palette.js').ColorPalette} palette - Time palette
+ * @param {string|null} weather - Weather key
+ * @returns {import('./palette.js').ColorPalette} Adjusted palette
+ */
+function applyWeather(palette, weather) {
+  const adjustment = WEATHER_ADJUSTMENTS[weather];
+  if (!adjustment) return palette;
+
+  return {
+    ...palette,
+    gradient: palette.gradient.map((c) => adjustColor(c, adjustment)),
+    bg: adjustColor(palette.bg, adjustment),
+    celestial: {
+      ...palette.celestial,
+      color: scaleAlpha(palette.celestial.color, adjustment.celestial),
+      glowColor: scaleAlpha(palette.celestial.glowColor, adjustment.celestial),
+    },
+  };
+}
+
 /**
  * Get the complete color palette for current time with optional transition blending
  * @param {string} timePeriod - Target time period
  * @param {number} transitionFactor - Transition progress (0 = previousTimePeriod, 1 = timePeriod)
  * @param {string} previousTimePeriod - Source time period for transitions
+ * @param {string|null} [weather] - Current weather (null = unchanged palette)
+ * @param {string|null} [season] - Current season (null = unchanged palette)
  * @returns {import('./palette.js').ColorPalette} Blended color palette
  */
 export function getColorPalette(
   timePeriod,
   transitionFactor = 1,
   previousTimePeriod = null,
+  weather = null,
+  season = null,
 ) {
-  let palette = { ...TIME_PALETTES[timePeriod], timePeriod };
+  const isBlending = Boolean(previousTimePeriod) && transitionFactor < 1;
+
+  // Per-period lookups (text shadows, shimmer, moon vs sun) follow whichever
+  // period dominates the blend, so they switch at the midpoint of a transition
+  const dominantTimePeriod =
+    isBlending && transitionFactor < 0.5 ? previousTimePeriod : timePeriod;
+
+  let palette = {
+    ...TIME_PALETTES[timePeriod],
+    timePeriod: dominantTimePeriod,
+  };
 
   // Apply time transition if needed
   // transitionFactor: 0 = fully 'previous', 1 = fully 'current'
-  if (previousTimePeriod && transitionFactor > 0 && transitionFactor < 1) {
+  if (isBlending) {
     const fromPalette = TIME_PALETTES[previousTimePeriod];
     palette = {
       ...palette,
@@ -62,7 +163,7 @@ export function getColorPalette(
   }
 
   // Add shadows based on time (with interpolation)
-  if (previousTimePeriod && transitionFactor > 0 && transitionFactor < 1) {
+  if (isBlending) {
     const fromShadows =
       CONFIG.SHADOWS[previousTimePeriod] || CONFIG.SHADOWS.NOON;
     const toShadows = CONFIG.SHADOWS[timePeriod] || CONFIG.SHADOWS.NOON;
@@ -88,8 +189,12 @@ export function getColorPalette(
     // Interpolate celestial position
     const fromCelestial = TIME_PALETTES[previousTimePeriod].celestial;
     const toCelestial = TIME_PALETTES[timePeriod].celestial;
+    const isMoon = (celestial) => (celestial.type === "moon" ? 1 : 0);
     palette.celestial = {
-      type: toCelestial.type,
+      type: TIME_PALETTES[dominantTimePeriod].celestial.type,
+      moonWeight:
+        isMoon(fromCelestial) +
+        (isMoon(toCelestial) - isMoon(fromCelestial)) * transitionFactor,
       x: fromCelestial.x + (toCelestial.x - fromCelestial.x) * transitionFactor,
       y: fromCelestial.y + (toCelestial.y - fromCelestial.y) * transitionFactor,
       color: interpolateRgbaColor(
@@ -109,16 +214,200 @@ export function getColorPalette(
     palette.gradientAngle = TIME_PALETTES[timePeriod].gradientAngle;
   }
 
-  return palette;
+  // Season tints first so weather can still dull the result
+  return applyWeather(applySeason(palette, season), weather);
+}
+
+/**
+ * Override palette entries (e.g. from a calendar rule). The celestial
+ * config is merged so a rule can change just its color.
+ * @param {import('./palette.js').ColorPalette} palette - Computed palette
+ * @param {Object|null} overrides - Partial palette
+ * @returns {import('./palette.js').ColorPalette} Palette with overrides
+ */
+export function applyPaletteOverrides(palette, overrides) {
+  if (!overrides) return palette;
+  return {
+    ...palette,
+    ...overrides,
+    celestial: { ...palette.celestial, ...overrides.celestial },
+  };
+}
+
+/**
+ * Attach the lunar phase to the celestial config and darken the night sky
+ * on moonless nights (eased in and out with the moon's share of the light)
+ * @param {import('./palette.js').ColorPalette} palette - Computed palette
+ * @param {import('../moon.js').MoonPhase} moon - Current lunar phase
+ * @returns {import('./palette.js').ColorPalette} Palette with moon data
+ */
+export function applyMoonPhase(palette, { phase, illumination }) {
+  const celestial = { ...palette.celestial, phase, illumination };
+  const weight = getMoonWeight(celestial);
+  if (weight === 0) return { ...palette, celestial };
+
+  const adjustment = {
+    desaturate: 0,
+    brightness: 1 - (0.15 - illumination * 0.15) * weight,
+  };
+  return {
+    ...palette,
+    gradient: palette.gradient.map((c) => adjustColor(c, adjustment)),
+    celestial,
+  };
+}
+
+/**
+ * Move the sun/moon along its arc from rise (left) to set (right). While the
+ * light hands over between sun and moon, the position blends from one body's
+ * arc to the other's, so it sweeps across rather than jumping at the midpoint.
+ * @param {import('./palette.js').ColorPalette} palette - Computed palette
+ * @param {import('../time.js').CelestialProgress|null} progress - Sky progress
+ *   (null keeps the palette's fixed position)
+ * @returns {import('./palette.js').ColorPalette} Palette with moved celestial
+ */
+export function applyCelestialArc(palette, progress) {
+  if (!progress) return palette;
+
+  const { RISE_X, SET_X, HORIZON_Y, PEAK_Y } = CONFIG.CELESTIAL.ARC;
+  const at = (t) => ({
+    x: RISE_X + (SET_X - RISE_X) * t,
+    y: HORIZON_Y - (HORIZON_Y - PEAK_Y) * Math.sin(Math.PI * t),
+  });
+  const sun = at(progress.sun);
+  const moon = at(progress.moon);
+  const weight = getMoonWeight(palette.celestial);
+  return {
+    ...palette,
+    celestial: {
+      ...palette.celestial,
+      x: sun.x + (moon.x - sun.x) * weight,
+      y: sun.y + (moon.y - sun.y) * weight,
+    },
+  };
+}
+
+/**
+ * Moon's share of the sun/moon light
+ * @param {import('./palette.js').CelestialConfig} celestial
+ * @returns {number} 0 for the sun, 1 for the moon, in between mid cross-fade
+ */
+export function getMoonWeight(celestial) {
+  return celestial.moonWeight ?? (celestial.type === "moon" ? 1 : 0);
+}
+
+/**
+ * Blend a sun and a moon light level by the moon's share of the light, the
+ * moon's level scaled by its phase
+ * @param {import('./palette.js').CelestialConfig} celestial
+ * @param {number} sunLevel - Level in sunlight
+ * @param {number} moonLevel - Level under a full moon
+ * @returns {number}
+ */
+export function blendCelestialLight(celestial, sunLevel, moonLevel) {
+  const moon = moonLevel * getMoonlightFactor({ ...celestial, type: "moon" });
+  return sunLevel + (moon - sunLevel) * getMoonWeight(celestial);
+}
+
+/**
+ * Scale moonlight by how much of the moon is lit
+ * @param {import('./palette.js').CelestialConfig} celestial
+ * @returns {number} Factor (MOON_MIN_LIGHT-1; 1 for the sun)
+ */
+export function getMoonlightFactor(celestial) {
+  if (celestial.type !== "moon" || celestial.illumination === undefined) {
+    return 1;
+  }
+  const { MOON_MIN_LIGHT } = CONFIG.CELESTIAL;
+  return MOON_MIN_LIGHT + (1 - MOON_MIN_LIGHT) * celestial.illumination;
+}
+
+/**
+ * Write the CSS variables that follow the sun/moon position: the card
+ * highlight, the lit edges and the oil slick angle. Called on its own while
+ * the sun/moon moves along its arc, so the rest of the palette isn't rewritten.
+ * @param {import('./palette.js').ColorPalette} palette - Palette with a celestial
+ * @throws {TypeError} If the celestial color is malformed (nothing is written
+ *   then)
+ */
+export function applyCelestialLightToCss(palette) {
+  const root = document.documentElement;
+  const celestialRgba = parseRgbaColor(palette.celestial.color);
+  const { x, y } = palette.celestial;
+
+  // Convert celestial position to highlight position on card
+  // Clamp to 0-100% range for gradient positioning
+  const highlightX = Math.max(0, Math.min(100, x * 100));
+  const highlightY = Math.max(0, Math.min(100, y * 100));
+
+  // Adjust reflection intensity based on celestial type (stronger values)
+  // A new moon barely lights the card
+  const baseOpacity = blendCelestialLight(palette.celestial, 0.25, 0.15);
+
+  // Celestial color tints the highlight
+  const highlightColor = `rgba(${celestialRgba.r}, ${celestialRgba.g}, ${celestialRgba.b}, ${baseOpacity})`;
+
+  // styles/card.css draws the reflection from these, offset by the card tilt
+  // (see card-effects.js)
+  root.style.setProperty("--card-highlight-x", `${highlightX}%`);
+  root.style.setProperty("--card-highlight-y", `${highlightY}%`);
+  root.style.setProperty("--card-highlight-color", highlightColor);
+
+  // Edge highlight intensity based on light direction (stronger values)
+  // Brighter edge on the side facing the light, easing as the light moves
+  const towardTop = Math.max(0, Math.min(1, (0.75 - y) / 0.5));
+  const towardLeft = Math.max(0, Math.min(1, (0.75 - x) / 0.5));
+  const topEdgeOpacity = 0.25 + towardTop * 0.25;
+  const leftEdgeOpacity = 0.2 + towardLeft * 0.25;
+  root.style.setProperty(
+    "--edge-highlight-top",
+    `rgba(255, 255, 255, ${topEdgeOpacity})`,
+  );
+  root.style.setProperty(
+    "--edge-highlight-left",
+    `rgba(255, 255, 255, ${leftEdgeOpacity})`,
+  );
+
+  // Oil slick angle follows light direction (baked into --oilslick-gradient below)
+  const oilslickAngle = Math.atan2(y - 0.5, x - 0.5) * (180 / Math.PI) + 90;
+
+  // Oil slick intensity per time period (night is subtle, others are stronger)
+  const oilslickIntensity = {
+    MORNING: 0.12,
+    NOON: 0.14,
+    EVENING: 0.15,
+    NIGHT: 0.04,
+  };
+  const intensity = oilslickIntensity[palette.timePeriod] || 0.1;
+
+  const oilslickGradient = `linear-gradient(
+    ${oilslickAngle}deg,
+    transparent 0%,
+    rgba(255, 100, 100, ${intensity * 0.7}) 12%,
+    rgba(255, 200, 100, ${intensity}) 24%,
+    rgba(200, 255, 100, ${intensity}) 36%,
+    rgba(100, 255, 200, ${intensity}) 48%,
+    rgba(100, 200, 255, ${intensity}) 60%,
+    rgba(150, 100, 255, ${intensity * 0.7}) 72%,
+    rgba(255, 100, 200, ${intensity * 0.5}) 84%,
+    transparent 100%
+  )`;
+  root.style.setProperty("--oilslick-gradient", oilslickGradient);
 }
 
 /**
  * Apply color palette to CSS variables
  * @param {import('./palette.js').ColorPalette} palette - Color palette to apply
+ * @throws {TypeError} If the card or celestial color is malformed (nothing is
+ *   written then)
  */
 export function applyPaletteToCss(palette) {
   const root = document.documentElement;
 
+  // Parse up front so a malformed color leaves the variables untouched
+  const cardBgRgb = hexToRgb(palette.cardBg);
+  if (palette.celestial) parseRgbaColor(palette.celestial.color);
+
   root.style.setProperty("--bg", palette.bg);
 
   // Update theme-color meta tag for Android system UI
@@ -142,52 +431,14 @@ export function applyPaletteToCss(palette) {
   root.style.setProperty("--glass-border", borderColor);
 
   // Card edge colors for plastic thickness effect
-  const cardBgRgb = hexToRgb(palette.cardBg);
   const edgeDark = `rgba(${Math.max(0, cardBgRgb.r - 40)}, ${Math.max(0, cardBgRgb.g - 40)}, ${Math.max(0, cardBgRgb.b - 40)}, 0.5)`;
   const edgeDarker = `rgba(${Math.max(0, cardBgRgb.r - 60)}, ${Math.max(0, cardBgRgb.g - 60)}, ${Math.max(0, cardBgRgb.b - 60)}, 0.6)`;
   root.style.setProperty("--card-edge-dark", edgeDark);
   root.style.setProperty("--card-edge-darker", edgeDarker);
 
-  // Light reflection based on celestial position (sun/moon)
   if (palette.celestial) {
-    const { x, y, type, color } = palette.celestial;
-
-    // Convert celestial position to highlight position on card
-    // Clamp to 0-100% range for gradient positioning
-    const highlightX = Math.max(0, Math.min(100, x * 100));
-    const highlightY = Math.max(0, Math.min(100, y * 100));
-
-    // Adjust reflection intensity based on celestial type (stronger values)
-    const isMoon = type === "moon";
-    const baseOpacity = isMoon ? 0.15 : 0.25;
-
-    // Parse celestial color for highlight tint
-    const celestialRgba = parseRgbaColor(color);
-    const highlightColor = `rgba(${celestialRgba.r}, ${celestialRgba.g}, ${celestialRgba.b}, ${baseOpacity})`;
-
-    // Create radial gradient from light source position (larger and more visible)
-    const highlightGradient = `radial-gradient(
-      ellipse 150% 100% at ${highlightX}% ${highlightY}%,
-      ${highlightColor} 0%,
-      transparent 65%
-    )`;
-    root.style.setProperty("--card-highlight", highlightGradient);
-
-    // Edge highlight intensity based on light direction (stronger values)
-    // Brighter edge on the side facing the light
-    const topEdgeOpacity = y < 0.5 ? 0.5 : 0.25;
-    const leftEdgeOpacity = x < 0.5 ? 0.45 : 0.2;
-    root.style.setProperty(
-      "--edge-highlight-top",
-      `rgba(255, 255, 255, ${topEdgeOpacity})`,
-    );
-    root.style.setProperty(
-      "--edge-highlight-left",
-      `rgba(255, 255, 255, ${leftEdgeOpacity})`,
-    );
-
-    // Oil slick angle follows light direction (baked into --oilslick-gradient below)
-    const oilslickAngle = Math.atan2(y - 0.5, x - 0.5) * (180 / Math.PI) + 90;
+    // Light reflection based on celestial position (sun/moon)
+    applyCelestialLightToCss(palette);
 
     // Shimmer intensity per time period (brighter backgrounds need stronger shimmer)
     const shimmerIntensity = {
@@ -201,29 +452,6 @@ export function applyPaletteToCss(palette) {
       shimmerIntensity[palette.timePeriod] || 0.25,
     );
 
-    // Oil slick intensity per time period (night is subtle, others are stronger)
-    const oilslickIntensity = {
-      MORNING: 0.12,
-      NOON: 0.14,
-      EVENING: 0.15,
-      NIGHT: 0.04,
-    };
-    const intensity = oilslickIntensity[palette.timePeriod] || 0.1;
-
-    const oilslickGradient = `linear-gradient(
-      ${oilslickAngle}deg,
-      transparent 0%,
-      rgba(255, 100, 100, ${intensity * 0.7}) 12%,
-      rgba(255, 200, 100, ${intensity}) 24%,
-      rgba(200, 255, 100, ${intensity}) 36%,
-      rgba(100, 255, 200, ${intensity}) 48%,
-      rgba(100, 200, 255, ${intensity}) 60%,
-      rgba(150, 100, 255, ${intensity * 0.7}) 72%,
-      rgba(255, 100, 200, ${intensity * 0.5}) 84%,
-      transparent 100%
-    )`;
-    root.style.setProperty("--oilslick-gradient", oilslickGradient);
-
     // Text shadow colors per time period
     // Light modes: white highlight above, dark shadow below (emboss)
     // Night mode: subtle glow effect with dark shadow above (inverted for light text)
@@ -14,6 +14,31 @@ export const CONFIG = {
     NIGHT: { start: 20, end: 5 },
   },
 
+  // Cross-fade window centered on each period boundary (minutes)
+  TRANSITION: {
+    DURATION: 30,
+    // Faster update tick while a transition is in progress (ms)
+    UPDATE_INTERVAL: 10000,
+  },
+
+  // Sun-position based periods (minutes relative to solar events)
+  SOLAR: {
+    MORNING_OFFSET: -60, // before sunrise
+    NOON_OFFSET: -60, // before solar noon
+    EVENING_OFFSET: -90, // before sunset
+    NIGHT_OFFSET: 45, // after sunset
+    // Fallback when the timezone has no known location
+    DEFAULT_LATITUDE: 35,
+  },
+
+  // Time for an effect to fade fully in or out when the period changes (ms)
+  EFFECT_FADE_DURATION: 2500,
+
+  // Weather provider polling
+  WEATHER: {
+    REFRESH_INTERVAL: 600000, // 10 minutes
+  },
+
   // Light orb (bokeh) settings for particle system
   LIGHT_ORBS: {
     COUNT: 22,
@@ -23,6 +48,9 @@ export const CONFIG = {
     NIGHT_OPACITY: 0.1,
     FREQUENCY: { base: 0.00008, variance: 0.00004 },
     AMPLITUDE: { base: 30, variance: 20 },
+    // Orbs near the pointer ease up to DISTANCE px away (scaled by layer
+    // depth, front orbs most) and drift back once it leaves; EASE is per ms
+    POINTER: { RADIUS: 240, DISTANCE: 120, EASE: 0.004 },
   },
 
   // Neumorphism shadow adjustments per time period
@@ -72,9 +100,40 @@ export const CONFIG = {
     REACH_FACTOR: 1.2,
     ACCENT_REACH_FACTOR: 0.6,
     MOON_INTENSITY: 0.6,
+    // Share of the moonlight left on a new moon night (full moon = 1)
+    MOON_MIN_LIGHT: 0.25,
+    // Visible moon disc: radius in px and inset from the screen edges (0-1)
+    MOON_RADIUS: 22,
+    MOON_INSET: 0.12,
+    // Path of the sun/moon across the sky (screen fractions, may be off-screen)
+    ARC: {
+      RISE_X: -0.1,
+      SET_X: 1.1,
+      HORIZON_Y: 0.9,
+      PEAK_Y: -0.2,
+      // Step between arc updates; the renderer glides across each step (ms)
+      UPDATE_INTERVAL: 10000,
+      // Larger moves (a forced period, waking from sleep) jump instead
+      SNAP_DISTANCE: 0.05,
+    },
     OFFSET_FACTOR: 0.5,
   },
 
+  // Depth parallax from the phone's tilt or the mouse position: layers
+  // shift against the view, nearer ones further
+  PARALLAX: {
+    // Shift of the nearest orbs at full tilt (px)
+    DISTANCE: 36,
+    // Phone tilt from the initial holding angle that gives the full shift
+    // (degrees)
+    MAX_ANGLE: 20,
+    // Easing toward the target shift, per ms
+    EASE: 0.006,
+    // Shift of the farther layers relative to the nearest orbs (orb layers
+    // set their own depth)
+    DEPTH: { CELESTIAL: 0.15, SHAPES: 0.45 },
+  },
+
   // Time-specific visual effects
   EFFECTS: {
     // Morning mist rising from bottom
@@ -85,6 +144,9 @@ export const CONFIG = {
       SPEED: { min: 0.0005, max: 0.0009 },
       RISE_SPEED: { min: 0.08, max: 0.12 },
       OPACITY: { min: 0.35, max: 0.55 },
+      // Wisps near the pointer part up to DISTANCE px and close again once
+      // it leaves; EASE is per ms
+      POINTER: { RADIUS: 260, DISTANCE: 160, EASE: 0.003 },
     },
 
     // Noon god rays from above
@@ -115,6 +177,160 @@ export const CONFIG = {
       SPEED: { min: 0.0012, max: 0.0022 },
     },
 
+    // Weather: drifting cloud cover
+    CLOUDS: {
+      COUNT: 7,
+      WIDTH: { min: 350, max: 750 },
+      HEIGHT: { min: 120, max: 240 },
+      SPEED: { min: 0.008, max: 0.02 },
+      OPACITY: { min: 0.12, max: 0.22 },
+    },
+
+    // Weather: fog banks across the whole screen
+    FOG: {
+      COUNT: 8,
+      WIDTH: { min: 500, max: 900 },
+      HEIGHT: { min: 200, max: 400 },
+      SPEED: { min: 0.006, max: 0.014 },
+      OPACITY: { min: 0.18, max: 0.3 },
+    },
+
+    // Weather: lightning flashes during thunderstorms
+    LIGHTNING: {
+      INTERVAL: { min: 4000, max: 12000 },
+      FLASH_DURATION: 450,
+      FLASH_OPACITY: 0.35,
+      BOLT_CHANCE: 0.6,
+    },
+
+    // Weather: rain streaks that splash on the card
+    RAIN: {
+      BASE_COUNT: 140,
+      LENGTH: { min: 14, max: 28 },
+      SPEED: { min: 0.9, max: 1.4 },
+      OPACITY: { min: 0.25, max: 0.45 },
+      WIND_FACTOR: 4,
+      SPLASH_DROPLETS: 3,
+      SPLASH_LIFETIME: 350,
+      GRAVITY: 0.0025,
+    },
+
+    // Weather: snowfall that settles on top of the card
+    SNOW: {
+      BASE_COUNT: 90,
+      SIZE: { min: 1.5, max: 4 },
+      SPEED: { min: 0.04, max: 0.1 },
+      SWAY: 0.02,
+      OPACITY: { min: 0.5, max: 0.9 },
+      WIND_FACTOR: 1,
+      BIN_WIDTH: 6,
+      MAX_DEPTH: 10,
+      MELT_RATE: 0.00005,
+    },
+
+    // Season: falling cherry blossom petals (spring)
+    SAKURA: {
+      BASE_COUNT: 26,
+      SIZE: { min: 5, max: 9 },
+      SPEED: { min: 0.03, max: 0.06 },
+      SWAY: 0.04,
+      SPIN: { min: 0.001, max: 0.003 },
+      OPACITY: { min: 0.55, max: 0.85 },
+    },
+
+    // Season: tumbling autumn leaves
+    LEAVES: {
+      BASE_COUNT: 16,
+      SIZE: { min: 8, max: 14 },
+      SPEED: { min: 0.04, max: 0.08 },
+      SWAY: 0.05,
+      SPIN: { min: 0.0015, max: 0.004 },
+      OPACITY: { min: 0.6, max: 0.9 },
+    },
+
+    // Calendar: New Year fireworks
+    FIREWORKS: {
+      INTERVAL: { min: 700, max: 2000 },
+      PARTICLES: 48,
+      RISE_SPEED: { min: 0.45, max: 0.6 },
+      BURST_SPEED: { min: 0.05, max: 0.18 },
+      GRAVITY: 0.00015,
+      LIFETIME: 1600,
+      COLORS: [
+        "255, 215, 120",
+        "255, 120, 120",
+        "140, 200, 255",
+        "190, 255, 170",
+      ],
+    },
+
+    // Calendar: Tanabata Milky Way
+    TANABATA: {
+      STAR_COUNT: 220,
+      BAND_WIDTH: 0.16,
+      TWINKLE_SPEED: 0.002,
+    },
+
+    // Calendar: birthday confetti
+    CONFETTI: {
+      BASE_COUNT: 70,
+      SIZE: { min: 4, max: 9 },
+      SPEED: { min: 0.05, max: 0.11 },
+      SPIN: { min: 0.002, max: 0.006 },
+      COLORS: [
+        "235, 100, 130",
+        "250, 190, 80",
+        "110, 190, 230",
+        "150, 215, 140",
+        "190, 140, 230",
+      ],
+    },
+
+    // Wind pushing rain, snow, petals and leaves (px/ms), with slow gusts on top
+    WIND: {
+      X: 0.05,
+      Y: 0,
+      GUST: 0.04,
+      GUST_SPEED: 0.0004,
+    },
+
+    // How often collision effects re-read the card position (ms)
+    CARD_BOUNDS_REFRESH: 500,
+
+    // Night star field (placement is seeded, so the sky is the same each visit)
+    STARS: {
+      COUNT: 260,
+      SEED: 7,
+      // Faint stars are baked into a cached layer; brighter ones twinkle live
+      MAGNITUDES: [
+        {
+          share: 0.72,
+          size: { min: 0.4, max: 0.8 },
+          opacity: { min: 0.15, max: 0.4 },
+        },
+        {
+          share: 0.23,
+          size: { min: 0.8, max: 1.3 },
+          opacity: { min: 0.35, max: 0.6 },
+        },
+        {
+          share: 0.05,
+          size: { min: 1.4, max: 2.2 },
+          opacity: { min: 0.6, max: 0.9 },
+        },
+      ],
+      TWINKLE_SPEED: { min: 0.001, max: 0.003 },
+      TWINKLE_DEPTH: 0.35,
+      // Sky rotation around the screen center (rad/ms, ~10x the real sky)
+      ROTATION_SPEED: 0.0000007,
+      SHOOTING: {
+        INTERVAL: { min: 6000, max: 16000 },
+        SPEED: 0.9,
+        LENGTH: 140,
+        DURATION: 900,
+      },
+    },
+
     // Night fireflies
     FIREFLY: {
       COUNT: 12,
@@ -125,6 +341,67 @@ export const CONFIG = {
       GLOW_SPEED: { min: 0.002, max: 0.004 },
       BLINK_SPEED: { min: 0.001, max: 0.002 },
       BLINK_DURATION: { min: 0.3, max: 0.5 },
+      // Fireflies within RADIUS px fly toward the pointer, coasting past it
+      // inside MIN_DISTANCE so they hover around it
+      POINTER: { RADIUS: 300, ATTRACTION: 0.0008, MIN_DISTANCE: 30 },
+    },
+  },
+
+  // Render loop frame-rate cap; the drift is slow, so 120Hz screens don't
+  // need every refresh (0 = uncapped)
+  FRAME_RATE: {
+    MAX_FPS: 60,
+  },
+
+  // Battery saver: used while the battery is low and discharging, or the
+  // browser asks to save data
+  BATTERY_SAVER: {
+    // Frame-rate cap while saving (0 = a single static frame)
+    FPS: 12,
+    // Battery level (0-1) at or below which saving starts
+    LOW_LEVEL: 0.2,
+  },
+
+  // Adaptive quality: rolling frame times step the tier down or up
+  QUALITY: {
+    // Frame rate the controller tries to hold. A lower frame-rate cap
+    // becomes the target; capped frames can't show headroom, so tiers then
+    // only step down
+    TARGET_FPS: 50,
+    // Frames averaged before each decision
+    SAMPLE_SIZE: 90,
+    // Step down when the average frame time exceeds budget * DOWNGRADE_RATIO
+    DOWNGRADE_RATIO: 1.15,
+    // Step up when it stays below budget * UPGRADE_RATIO
+    UPGRADE_RATIO: 0.9,
+    // Minimum time between tier changes (ms)
+    COOLDOWN: 2000,
+    // Headroom required before stepping up (ms); doubles after each
+    // upgrade that had to be undone, so the tier doesn't oscillate
+    UPGRADE_DELAY: 10000,
+    // Longer frame intervals are stalls (tab switch, GC), not load (ms)
+    MAX_SAMPLE: 250,
+    // Per tier: orb and effect particle count scales, pixel ratio cap and
+    // effects switched off
+    TIERS: {
+      high: {
+        ORB_SCALE: 1,
+        EFFECT_SCALE: 1,
+        MAX_PIXEL_RATIO: 2,
+        DISABLED_EFFECTS: [],
+      },
+      medium: {
+        ORB_SCALE: 0.6,
+        EFFECT_SCALE: 0.6,
+        MAX_PIXEL_RATIO: 1.5,
+        DISABLED_EFFECTS: ["godRays"],
+      },
+      low: {
+        ORB_SCALE: 0.35,
+        EFFECT_SCALE: 0.4,
+        MAX_PIXEL_RATIO: 1,
+        DISABLED_EFFECTS: ["godRays", "eveningRays", "fog"],
+      },
     },
   },
 
@@ -135,3 +412,35 @@ export const CONFIG = {
     MOBILE_MIN_OPACITY_FACTOR: 0.75,
   },
 };
+
+// Pristine copy used to undo earlier overrides
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+
+/**
+ * Reset CONFIG to its defaults, then deep-merge partial overrides into it.
+ * CONFIG is mutated in place because every module reads it at call time.
+ * @param {Object} [overrides] - Partial CONFIG (e.g. { LIGHT_ORBS: { COUNT: 10 } })
+ */
+export function configure(overrides = {}) {
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    CONFIG[key] = structuredClone(DEFAULT_CONFIG[key]);
+  }
+  mergeInto(CONFIG, overrides);
+}
+
+/**
+ * Recursively merge plain objects; arrays and primitives are replaced
+ * @param {Object} target
+ * @param {Object} source
+ */
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    const isPlainObject =
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    if (isPlainObject && typeof target[key] === "object" && target[key]) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
@@ -6,7 +6,18 @@
  * Use Ctrl+Shift+D to toggle the panel visibility.
  */
 
-import { setDebugConditions, TIME_PERIOD } from "./index.js";
+import {
+  setDebugConditions,
+  setDebugQuality,
+  setDebugSeed,
+  getDebugSeed,
+  TIME_PERIOD,
+  WEATHER,
+  SEASON,
+  QUALITY_TIER,
+  QUALITY_AUTO,
+  BACKGROUND_EVENT,
+} from "./index.js";
 
 const PANEL_STYLES = `
   position: fixed;
@@ -60,6 +71,18 @@ const BUTTON_ACTIVE_STYLES = `
   color: #fff;
 `;
 
+const INPUT_STYLES = `
+  flex: 1;
+  min-width: 0;
+  padding: 0.4rem 0.6rem;
+  border: 1px solid rgba(255,255,255,0.2);
+  border-radius: 6px;
+  background: rgba(0,0,0,0.2);
+  color: #fff;
+  font-size: 11px;
+  font-family: inherit;
+`;
+
 const RESET_BUTTON_STYLES = `
   width: 100%;
   padding: 0.5rem;
@@ -98,6 +121,8 @@ class DebugPanel {
   constructor() {
     this.currentState = {
       timePeriod: null,
+      weather: null,
+      season: null,
     };
     this.isAutoMode = true;
     this.panel = null;
@@ -132,6 +157,47 @@ class DebugPanel {
         </div>
       </div>
 
+      <div style="${SECTION_STYLES}">
+        <span style="${LABEL_STYLES}">Weather</span>
+        <div style="${BUTTON_GROUP_STYLES}" data-group="weather">
+          <button data-weather="CLEAR" style="${BUTTON_STYLES}">Clear</button>
+          <button data-weather="CLOUDY" style="${BUTTON_STYLES}">Cloudy</button>
+          <button data-weather="RAIN" style="${BUTTON_STYLES}">Rain</button>
+          <button data-weather="SNOW" style="${BUTTON_STYLES}">Snow</button>
+          <button data-weather="FOG" style="${BUTTON_STYLES}">Fog</button>
+          <button data-weather="THUNDER" style="${BUTTON_STYLES}">Thunder</button>
+        </div>
+      </div>
+
+      <div style="${SECTION_STYLES}">
+        <span style="${LABEL_STYLES}">Season</span>
+        <div style="${BUTTON_GROUP_STYLES}" data-group="season">
+          <button data-season="SPRING" style="${BUTTON_STYLES}">Spring</button>
+          <button data-season="SUMMER" style="${BUTTON_STYLES}">Summer</button>
+          <button data-season="AUTUMN" style="${BUTTON_STYLES}">Autumn</button>
+          <button data-season="WINTER" style="${BUTTON_STYLES}">Winter</button>
+        </div>
+      </div>
+
+      <div style="${SECTION_STYLES}">
+        <span style="${LABEL_STYLES}">Quality <span id="debug-quality-tier"></span></span>
+        <div style="${BUTTON_GROUP_STYLES}" data-group="quality">
+          <button data-quality="AUTO" style="${BUTTON_STYLES + BUTTON_ACTIVE_STYLES}">Auto</button>
+          <button data-quality="HIGH" style="${BUTTON_STYLES}">High</button>
+          <button data-quality="MEDIUM" style="${BUTTON_STYLES}">Medium</button>
+          <button data-quality="LOW" style="${BUTTON_STYLES}">Low</button>
+        </div>
+      </div>
+
+      <div style="${SECTION_STYLES}">
+        <span style="${LABEL_STYLES}">Seed</span>
+        <div style="${BUTTON_GROUP_STYLES}">
+          <input id="debug-seed" type="text" inputmode="numeric" style="${INPUT_STYLES}">
+          <button id="debug-seed-apply" style="${BUTTON_STYLES}">Apply</button>
+          <button id="debug-seed-shuffle" style="${BUTTON_STYLES}">Shuffle</button>
+        </div>
+      </div>
+
       <div style="${SECTION_STYLES}">
         <span style="${LABEL_STYLES}">Card Actions</span>
         <div style="${BUTTON_GROUP_STYLES}">
@@ -161,6 +227,64 @@ class DebugPanel {
       });
     });
 
+    // Weather buttons
+    this.panel.querySelectorAll("[data-weather]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        this.currentState.weather = WEATHER[btn.dataset.weather];
+        this.updateActiveStates("weather", btn);
+        this.applyDebugState();
+      });
+    });
+
+    // Season buttons
+    this.panel.querySelectorAll("[data-season]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        this.currentState.season = SEASON[btn.dataset.season];
+        this.updateActiveStates("season", btn);
+        this.applyDebugState();
+      });
+    });
+
+    // Quality buttons (independent of the auto/debug condition mode)
+    this.panel.querySelectorAll("[data-quality]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const { quality } = btn.dataset;
+        setDebugQuality(
+          quality === "AUTO" ? QUALITY_AUTO : QUALITY_TIER[quality],
+        );
+        this.updateActiveStates("quality", btn);
+      });
+    });
+
+    // Show the tier the renderer is actually using
+    document.addEventListener(
+      `background:${BACKGROUND_EVENT.QUALITY_CHANGE}`,
+      (e) => {
+        this.panel.querySelector("#debug-quality-tier").textContent =
+          `(${e.detail.quality})`;
+      },
+    );
+
+    // Seed controls: apply the typed seed or roll a new one
+    const seedInput = this.panel.querySelector("#debug-seed");
+    this.panel
+      .querySelector("#debug-seed-apply")
+      .addEventListener("click", () => this.applySeed(seedInput.value));
+    this.panel
+      .querySelector("#debug-seed-shuffle")
+      .addEventListener("click", () => this.applySeed(null));
+    seedInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.applySeed(seedInput.value);
+    });
+
+    // The background may initialize after the panel
+    this.showSeed(getDebugSeed());
+    document.addEventListener(
+      `background:${BACKGROUND_EVENT.PALETTE_CHANGE}`,
+      () => this.showSeed(getDebugSeed()),
+      { once: true },
+    );
+
     // Reset button
     this.panel.querySelector("#debug-reset").addEventListener("click", () => {
       this.reset();
@@ -193,6 +317,20 @@ class DebugPanel {
     });
   }
 
+  applySeed(value) {
+    const seed = setDebugSeed(value);
+    this.showSeed(seed);
+
+    // Put the seed in the URL so the layout can be shared
+    const url = new URL(window.location.href);
+    url.searchParams.set("seed", String(seed));
+    window.history.replaceState(null, "", url);
+  }
+
+  showSeed(seed) {
+    this.panel.querySelector("#debug-seed").value = seed ?? "";
+  }
+
   updateActiveStates(group, activeBtn) {
     const groupEl = this.panel.querySelector(`[data-group="${group}"]`);
     groupEl.querySelectorAll("button").forEach((btn) => {
@@ -208,6 +346,8 @@ class DebugPanel {
     const options = {};
     if (this.currentState.timePeriod)
       options.timePeriod = this.currentState.timePeriod;
+    if (this.currentState.weather) options.weather = this.currentState.weather;
+    if (this.currentState.season) options.season = this.currentState.season;
 
     setDebugConditions(options);
   }
@@ -218,7 +358,10 @@ class DebugPanel {
       statusEl.textContent = "Mode: Auto";
       statusEl.style.color = "#666";
     } else {
-      statusEl.textContent = `Debug: ${this.currentState.timePeriod || "Auto"}`;
+      const { timePeriod, weather, season } = this.currentState;
+      statusEl.textContent = `Debug: ${[timePeriod, weather, season]
+        .map((value) => value || "Auto")
+        .join(" / ")}`;
       statusEl.style.color = "#7cb3ff";
     }
   }
@@ -226,6 +369,8 @@ class DebugPanel {
   reset() {
     this.currentState = {
       timePeriod: null,
+      weather: null,
+      season: null,
     };
     this.isAutoMode = true;
 
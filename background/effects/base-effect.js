@@ -6,6 +6,8 @@
  */
 
 import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { createRandom } from "../random.js";
 
 /**
  * Calculate screen factor for responsive opacity adjustments
@@ -18,53 +20,254 @@ export function getScreenFactor(width = window.innerWidth) {
   return Math.max(MOBILE_MIN_OPACITY_FACTOR, Math.min(1, rawFactor));
 }
 
+/**
+ * Period(s) an effect appears in: a single period, a list (full intensity),
+ * or a map of period to intensity (0-1)
+ * @typedef {string|string[]|Object<string, number>} PeriodIntensitySpec
+ */
+
+/**
+ * Normalize a period/weather/season spec into a key-to-intensity map
+ * @param {PeriodIntensitySpec} spec
+ * @returns {Object<string, number>}
+ */
+function toIntensityMap(spec) {
+  if (typeof spec === "string" || Array.isArray(spec)) {
+    return Object.fromEntries([].concat(spec).map((key) => [key, 1]));
+  }
+  return { ...spec };
+}
+
 /**
  * Base class for time-specific effects
  * @abstract
  */
 export class BaseEffect {
   /**
-   * @param {string} targetTimePeriod - The time period when this effect is active
+   * @param {PeriodIntensitySpec} targetTimePeriod - Time period(s) when this effect is active
    */
   constructor(targetTimePeriod) {
-    this.targetTimePeriod = targetTimePeriod;
+    this.setTargetTimePeriods(targetTimePeriod);
     this.isActive = false;
+    // Current weight (0-1) applied by the renderer; eases toward the target
+    this.intensity = 0;
+    this.targetIntensity = 0;
     this.time = 0;
 
-    // Cached dimensions to avoid layout thrashing
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    // Weather gating: null = unaffected by weather (see setWeatherIntensity)
+    this.weatherIntensity = null;
+    this.weather = null;
+
+    // Season gating: null = shown all year (see setSeasonIntensity)
+    this.seasonIntensity = null;
+    this.season = null;
+
+    // Particle count multiplier from the renderer's quality tier
+    this.quality = 1;
+
+    // Seed for this effect's layout (null = unseeded, see setSeed)
+    this.seed = null;
+    this.random = Math.random;
+
+    // Pointer position for effects that react to it (null = none)
+    this.pointer = null;
+
+    // Cached dimensions to avoid layout thrashing (workers have no window;
+    // the renderer resizes every effect right after creating it)
+    this.width = typeof window !== "undefined" ? window.innerWidth : 0;
+    this.height = typeof window !== "undefined" ? window.innerHeight : 0;
     this.screenFactor = getScreenFactor(this.width);
   }
 
   /**
-   * Set the current time period and activate/deactivate accordingly
-   * @param {string} timePeriod - Current time period
+   * Change the time period(s) this effect belongs to
+   * @param {PeriodIntensitySpec} periods - Period(s) or period-to-intensity map
+   */
+  setTargetTimePeriods(periods) {
+    /** @type {Object<string, number>} */
+    this.periodIntensity = toIntensityMap(periods);
+  }
+
+  /**
+   * Restrict the effect to certain weather. Unlisted weather hides it;
+   * "clear" also covers having no weather provider at all.
+   * @param {PeriodIntensitySpec|null} weather - Weather key(s) or
+   *   weather-to-intensity map (null = show in any weather)
    */
-  setTimePeriod(timePeriod) {
+  setWeatherIntensity(weather) {
+    this.weatherIntensity = weather ? toIntensityMap(weather) : null;
+  }
+
+  /**
+   * Store the current weather; applied on the next setTimePeriod()
+   * @param {import('../weather.js').WeatherKey|null} weather
+   */
+  setWeather(weather) {
+    this.weather = weather;
+  }
+
+  /**
+   * Restrict the effect to certain seasons. With seasons disabled
+   * (no current season) a restricted effect stays hidden.
+   * @param {PeriodIntensitySpec|null} seasons - Season key(s) or
+   *   season-to-intensity map (null = show all year)
+   */
+  setSeasonIntensity(seasons) {
+    this.seasonIntensity = seasons ? toIntensityMap(seasons) : null;
+  }
+
+  /**
+   * Store the current season; applied on the next setTimePeriod()
+   * @param {import('../season.js').SeasonKey|null} season
+   */
+  setSeason(season) {
+    this.season = season;
+  }
+
+  /**
+   * Set the current time period. The effect fades toward the period's
+   * intensity instead of switching; init() only runs when it starts from
+   * fully hidden, so a fade-out interrupted by a fade-in keeps its state.
+   * @param {string|null} timePeriod - Current time period (null hides the effect)
+   * @param {import('../time.js').TimeTransition} [transition] - Active transition
+   */
+  setTimePeriod(timePeriod, transition = null) {
     const wasActive = this.isActive;
-    this.isActive = timePeriod === this.targetTimePeriod;
+    this.targetIntensity =
+      this.getIntensity(timePeriod, transition) *
+      this.getWeatherFactor() *
+      this.getSeasonFactor();
+    this.isActive = this.targetIntensity > 0 || this.intensity > 0;
     if (this.isActive && !wasActive) {
-      this.init();
+      this.reinit();
+    }
+  }
+
+  /**
+   * Seed the effect's random numbers. Every init() restarts from this seed,
+   * so the same seed and size always produce the same layout.
+   * @param {number|null} seed - Integer seed (null = Math.random)
+   */
+  setSeed(seed) {
+    if (seed === this.seed) return;
+    this.seed = seed;
+    if (this.isActive) {
+      this.reinit();
     }
   }
 
+  /**
+   * Run init() with a fresh generator from the seed
+   */
+  reinit() {
+    this.random = createRandom(this.seed);
+    this.init();
+  }
+
+  /**
+   * Scale particle counts for the quality tier. Effects with many particles
+   * multiply their counts by `this.quality` in init().
+   * @param {number} scale - Count multiplier (0-1)
+   */
+  setQuality(scale) {
+    if (scale === this.quality) return;
+    this.quality = scale;
+    if (this.isActive) {
+      this.reinit();
+    }
+  }
+
+  /**
+   * Store the pointer position. Effects that react to the pointer read
+   * `this.pointer` in update().
+   * @param {import('../pointer.js').PointerPosition|null} pointer - Null when
+   *   there is no pointer or pointer interaction is off
+   */
+  setPointer(pointer) {
+    this.pointer = pointer;
+  }
+
+  /**
+   * Resolve how strongly the effect shows for the given conditions.
+   * During a transition the outgoing and incoming intensities are blended
+   * by the same factor as the palette.
+   * @param {string|null} timePeriod - Current time period
+   * @param {import('../time.js').TimeTransition} [transition] - Active transition
+   * @returns {number} Intensity (0-1)
+   */
+  getIntensity(timePeriod, transition) {
+    if (!timePeriod) return 0;
+    const levels = this.periodIntensity;
+    if (transition && transition.from !== transition.to) {
+      const from = levels[transition.from] || 0;
+      const to = levels[transition.to] || 0;
+      return from + (to - from) * transition.factor;
+    }
+    return levels[timePeriod] || 0;
+  }
+
+  /**
+   * Resolve how strongly the current weather lets the effect show
+   * @returns {number} Factor (0-1)
+   */
+  getWeatherFactor() {
+    if (!this.weatherIntensity) return 1;
+    return this.weatherIntensity[this.weather || WEATHER.CLEAR] || 0;
+  }
+
+  /**
+   * Resolve how strongly the current season lets the effect show
+   * @returns {number} Factor (0-1)
+   */
+  getSeasonFactor() {
+    if (!this.seasonIntensity) return 1;
+    return this.seasonIntensity[this.season] || 0;
+  }
+
+  /**
+   * Ease the current intensity toward the target intensity
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  updateFade(deltaTime) {
+    const step = deltaTime / CONFIG.EFFECT_FADE_DURATION;
+    const diff = this.targetIntensity - this.intensity;
+    this.intensity =
+      Math.abs(diff) <= step
+        ? this.targetIntensity
+        : this.intensity + Math.sign(diff) * step;
+
+    // Fully faded out - stop updating until the next activation
+    if (this.intensity === 0 && this.targetIntensity === 0) {
+      this.isActive = false;
+    }
+  }
+
+  /**
+   * Jump straight to the target intensity (static frames)
+   */
+  completeFade() {
+    this.updateFade(Infinity);
+  }
+
   /**
    * Handle window resize
+   * @param {number} [width] - New width (defaults to window.innerWidth)
+   * @param {number} [height] - New height (defaults to window.innerHeight)
    */
-  resize() {
+  resize(width = window.innerWidth, height = window.innerHeight) {
     // Update cached dimensions
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    this.width = width;
+    this.height = height;
     this.screenFactor = getScreenFactor(this.width);
 
     if (this.isActive) {
-      this.init();
+      this.reinit();
     }
   }
 
   /**
-   * Initialize or reinitialize the effect
+   * Initialize or reinitialize the effect. Draw random numbers from
+   * `this.random` so the layout follows the seed.
    * @abstract
    */
   init() {
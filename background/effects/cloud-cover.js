@@ -0,0 +1,120 @@
+/**
+ * Background Animation System - Cloud Cover Effect
+ *
+ * Soft cloud masses drifting across the sky on overcast days.
+ * Active in any time period when the weather is cloudy, rainy or stormy.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { BaseEffect } from "./base-effect.js";
+
+// Cloud colors - pale gray by day, dim blue-gray by night
+const CLOUD_DAY = "235, 238, 242";
+const CLOUD_NIGHT = "70, 80, 100";
+
+/**
+ * @typedef {Object} Cloud
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} width - Cloud width
+ * @property {number} height - Cloud height
+ * @property {number} speed - Horizontal drift speed
+ * @property {number} opacity - Base opacity
+ * @property {number} phase - Animation phase offset
+ */
+
+/**
+ * Cloud Cover Effect
+ * @extends BaseEffect
+ */
+export class CloudCover extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    this.setWeatherIntensity({
+      [WEATHER.CLOUDY]: 1,
+      [WEATHER.RAIN]: 1,
+      [WEATHER.THUNDER]: 1,
+      [WEATHER.SNOW]: 0.7,
+      [WEATHER.FOG]: 0.4,
+    });
+    /** @type {Cloud[]} */
+    this.clouds = [];
+  }
+
+  init() {
+    this.clouds = [];
+    const { CLOUDS } = CONFIG.EFFECTS;
+
+    // Use cached dimensions from base class
+    for (let i = 0; i < CLOUDS.COUNT; i++) {
+      this.clouds.push({
+        x: this.random() * this.width,
+        y: this.height * this.random() * 0.6,
+        width:
+          CLOUDS.WIDTH.min +
+          this.random() * (CLOUDS.WIDTH.max - CLOUDS.WIDTH.min),
+        height:
+          CLOUDS.HEIGHT.min +
+          this.random() * (CLOUDS.HEIGHT.max - CLOUDS.HEIGHT.min),
+        speed:
+          CLOUDS.SPEED.min +
+          this.random() * (CLOUDS.SPEED.max - CLOUDS.SPEED.min),
+        opacity:
+          CLOUDS.OPACITY.min +
+          this.random() * (CLOUDS.OPACITY.max - CLOUDS.OPACITY.min),
+        phase: this.random() * Math.PI * 2,
+      });
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+
+    for (const cloud of this.clouds) {
+      cloud.x += cloud.speed * deltaTime;
+
+      // Wrap around once fully past the right edge
+      if (cloud.x - cloud.width > this.width) {
+        cloud.x = -cloud.width;
+      }
+    }
+  }
+
+  draw(ctx, palette) {
+    if (!this.isActive || !palette) return;
+
+    const color =
+      palette.timePeriod === TIME_PERIOD.NIGHT ? CLOUD_NIGHT : CLOUD_DAY;
+
+    for (const cloud of this.clouds) {
+      const breathe = 0.85 + Math.sin(this.time * 0.0004 + cloud.phase) * 0.15;
+      const opacity = cloud.opacity * breathe * this.screenFactor;
+
+      // Three overlapping puffs make a lumpy cloud silhouette
+      for (let i = 0; i < 3; i++) {
+        const x = cloud.x + (i - 1) * cloud.width * 0.3;
+        const y = cloud.y + Math.sin(cloud.phase + i * 2) * cloud.height * 0.15;
+        const radius = cloud.width * (i === 1 ? 0.45 : 0.32);
+
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, `rgba(${color}, ${opacity})`);
+        gradient.addColorStop(0.5, `rgba(${color}, ${opacity * 0.6})`);
+        gradient.addColorStop(1, "transparent");
+
+        ctx.save();
+        // Flatten vertically for a wide cloud shape
+        ctx.translate(x, y);
+        ctx.scale(1, cloud.height / cloud.width + 0.3);
+        ctx.translate(-x, -y);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        ctx.restore();
+      }
+    }
+  }
+}
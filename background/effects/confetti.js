@@ -0,0 +1,108 @@
+/**
+ * Background Animation System - Confetti Effect
+ *
+ * Colorful paper confetti fluttering down on the wind.
+ * Enabled by calendar rules (birthday).
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { BaseEffect } from "./base-effect.js";
+import { getWind } from "./precipitation.js";
+
+/**
+ * Single piece of confetti
+ */
+class ConfettiPiece {
+  /**
+   * @param {Confetti} parent - Parent effect for dimension and random access
+   */
+  constructor(parent) {
+    this.parent = parent;
+    this.reset(true);
+  }
+
+  reset(initial = false) {
+    const { CONFETTI } = CONFIG.EFFECTS;
+
+    this.x = (this.parent.random() * 1.4 - 0.2) * this.parent.width;
+    this.y = initial ? this.parent.random() * this.parent.height : -20;
+    this.size =
+      CONFETTI.SIZE.min +
+      this.parent.random() * (CONFETTI.SIZE.max - CONFETTI.SIZE.min);
+    this.speed =
+      CONFETTI.SPEED.min +
+      this.parent.random() * (CONFETTI.SPEED.max - CONFETTI.SPEED.min);
+    this.spin =
+      (CONFETTI.SPIN.min +
+        this.parent.random() * (CONFETTI.SPIN.max - CONFETTI.SPIN.min)) *
+      (this.parent.random() < 0.5 ? -1 : 1);
+    this.color =
+      CONFETTI.COLORS[
+        Math.floor(this.parent.random() * CONFETTI.COLORS.length)
+      ];
+    this.rotation = this.parent.random() * Math.PI * 2;
+    this.tumble = this.parent.random() * Math.PI * 2;
+  }
+
+  update(deltaTime, wind) {
+    this.x += wind.x * 2 * deltaTime;
+    this.y += (this.speed + wind.y) * deltaTime;
+    this.rotation += this.spin * deltaTime;
+    this.tumble += this.spin * 1.5 * deltaTime;
+
+    if (this.y - this.size > this.parent.height) {
+      this.reset();
+    }
+  }
+
+  draw(ctx) {
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+    // Paper strips flash as they turn edge-on and back
+    ctx.scale(1, Math.cos(this.tumble));
+    ctx.fillStyle = `rgba(${this.color}, ${0.85 * this.parent.screenFactor})`;
+    ctx.fillRect(-this.size / 2, -this.size / 4, this.size, this.size / 2);
+    ctx.restore();
+  }
+}
+
+/**
+ * Confetti Effect
+ * @extends BaseEffect
+ */
+export class Confetti extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    /** @type {ConfettiPiece[]} */
+    this.pieces = [];
+  }
+
+  init() {
+    // Fewer pieces on narrow screens
+    const count = Math.floor(
+      CONFIG.EFFECTS.CONFETTI.BASE_COUNT * this.screenFactor,
+    );
+    this.pieces = [];
+    for (let i = 0; i < count; i++) {
+      this.pieces.push(new ConfettiPiece(this));
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+    const wind = getWind(this.time);
+    for (const piece of this.pieces) {
+      piece.update(deltaTime, wind);
+    }
+  }
+
+  draw(ctx) {
+    if (!this.isActive) return;
+    for (const piece of this.pieces) {
+      piece.draw(ctx);
+    }
+  }
+}
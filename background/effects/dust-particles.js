@@ -7,6 +7,7 @@
 
 import { TIME_PERIOD } from "../time.js";
 import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
 import { BaseEffect } from "./base-effect.js";
 
 /**
@@ -14,7 +15,7 @@ import { BaseEffect } from "./base-effect.js";
  */
 class LightStreak {
   /**
-   * @param {DustParticles} parent - Parent effect for dimension access
+   * @param {DustParticles} parent - Parent effect for dimension and random access
    */
   constructor(parent) {
     this.parent = parent;
@@ -26,29 +27,31 @@ class LightStreak {
     const w = this.parent.width;
     const h = this.parent.height;
 
-    this.x = Math.random() * w;
-    this.y = initial ? Math.random() * h : -50;
+    this.x = this.parent.random() * w;
+    this.y = initial ? this.parent.random() * h : -50;
 
     // Vertical streak dimensions
     this.length =
-      DUST.LENGTH.min + Math.random() * (DUST.LENGTH.max - DUST.LENGTH.min);
+      DUST.LENGTH.min +
+      this.parent.random() * (DUST.LENGTH.max - DUST.LENGTH.min);
     this.width =
-      DUST.WIDTH.min + Math.random() * (DUST.WIDTH.max - DUST.WIDTH.min);
+      DUST.WIDTH.min + this.parent.random() * (DUST.WIDTH.max - DUST.WIDTH.min);
 
     // Falling speed
     this.speed =
-      DUST.SPEED.min + Math.random() * (DUST.SPEED.max - DUST.SPEED.min);
+      DUST.SPEED.min + this.parent.random() * (DUST.SPEED.max - DUST.SPEED.min);
 
     // Slight angle (mostly vertical)
-    this.angle = (Math.random() - 0.5) * DUST.ANGLE_VARIANCE;
+    this.angle = (this.parent.random() - 0.5) * DUST.ANGLE_VARIANCE;
 
     // Opacity and fade
     this.opacity =
-      DUST.OPACITY.min + Math.random() * (DUST.OPACITY.max - DUST.OPACITY.min);
-    this.fadePhase = Math.random() * Math.PI * 2;
+      DUST.OPACITY.min +
+      this.parent.random() * (DUST.OPACITY.max - DUST.OPACITY.min);
+    this.fadePhase = this.parent.random() * Math.PI * 2;
     this.fadeSpeed =
       DUST.FADE_SPEED.min +
-      Math.random() * (DUST.FADE_SPEED.max - DUST.FADE_SPEED.min);
+      this.parent.random() * (DUST.FADE_SPEED.max - DUST.FADE_SPEED.min);
 
     this.time = 0;
   }
@@ -146,6 +149,8 @@ class LightStreak {
 export class DustParticles extends BaseEffect {
   constructor() {
     super(TIME_PERIOD.NOON);
+    // Streaks need direct sun; thin out under cloud, vanish otherwise
+    this.setWeatherIntensity({ [WEATHER.CLEAR]: 1, [WEATHER.CLOUDY]: 0.4 });
     /** @type {LightStreak[]} */
     this.streaks = [];
   }
@@ -157,7 +162,10 @@ export class DustParticles extends BaseEffect {
 
     // Use cached dimensions from base class
     const screenFactor = Math.min(1, this.width / MOBILE_BREAKPOINT);
-    const count = Math.max(5, Math.floor(DUST.BASE_COUNT * screenFactor));
+    const count = Math.max(
+      5,
+      Math.floor(DUST.BASE_COUNT * screenFactor * this.quality),
+    );
 
     for (let i = 0; i < count; i++) {
       this.streaks.push(new LightStreak(this));
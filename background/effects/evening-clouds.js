@@ -40,14 +40,14 @@ export class EveningClouds extends BaseEffect {
         y: this.height * (0.1 + (i / count) * 0.6),
         height:
           EVENING_RAYS.HEIGHT.min +
-          Math.random() * (EVENING_RAYS.HEIGHT.max - EVENING_RAYS.HEIGHT.min),
+          this.random() * (EVENING_RAYS.HEIGHT.max - EVENING_RAYS.HEIGHT.min),
         opacity:
           EVENING_RAYS.OPACITY.min +
-          Math.random() * (EVENING_RAYS.OPACITY.max - EVENING_RAYS.OPACITY.min),
-        phase: Math.random() * Math.PI * 2,
+          this.random() * (EVENING_RAYS.OPACITY.max - EVENING_RAYS.OPACITY.min),
+        phase: this.random() * Math.PI * 2,
         speed:
           EVENING_RAYS.SPEED.min +
-          Math.random() * (EVENING_RAYS.SPEED.max - EVENING_RAYS.SPEED.min),
+          this.random() * (EVENING_RAYS.SPEED.max - EVENING_RAYS.SPEED.min),
       });
     }
   }
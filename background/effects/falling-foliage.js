@@ -0,0 +1,228 @@
+/**
+ * Background Animation System - Falling Foliage Effects
+ *
+ * Cherry blossom petals in spring and tumbling leaves in autumn.
+ * Both drift on the shared wind and fade out at night.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { SEASON } from "../season.js";
+import { BaseEffect } from "./base-effect.js";
+import { getWind } from "./precipitation.js";
+
+// Petal pinks, from pale to deep
+const SAKURA_COLORS = ["255, 228, 235", "252, 205, 218", "245, 180, 200"];
+
+// Autumn leaf colors: maple red, amber, ochre and brown
+const LEAF_COLORS = [
+  "200, 70, 45",
+  "225, 130, 50",
+  "210, 165, 60",
+  "150, 95, 55",
+];
+
+// Visible all day, dimmer at night when nothing lights them
+const FOLIAGE_PERIODS = {
+  [TIME_PERIOD.MORNING]: 1,
+  [TIME_PERIOD.NOON]: 1,
+  [TIME_PERIOD.EVENING]: 1,
+  [TIME_PERIOD.NIGHT]: 0.4,
+};
+
+/**
+ * Single falling petal or leaf
+ */
+class FallingPiece {
+  /**
+   * @param {FallingFoliage} parent - Parent effect for dimension, config and random access
+   */
+  constructor(parent) {
+    this.parent = parent;
+    this.reset(true);
+  }
+
+  reset(initial = false) {
+    const config = this.parent.getConfig();
+    const colors = this.parent.colors;
+
+    this.x = (this.parent.random() * 1.4 - 0.2) * this.parent.width;
+    this.y = initial ? this.parent.random() * this.parent.height : -20;
+    this.size =
+      config.SIZE.min +
+      this.parent.random() * (config.SIZE.max - config.SIZE.min);
+    this.speed =
+      config.SPEED.min +
+      this.parent.random() * (config.SPEED.max - config.SPEED.min);
+    this.spin =
+      (config.SPIN.min +
+        this.parent.random() * (config.SPIN.max - config.SPIN.min)) *
+      (this.parent.random() < 0.5 ? -1 : 1);
+    this.opacity =
+      config.OPACITY.min +
+      this.parent.random() * (config.OPACITY.max - config.OPACITY.min);
+    this.color = colors[Math.floor(this.parent.random() * colors.length)];
+    this.rotation = this.parent.random() * Math.PI * 2;
+    // Flip phase makes the piece appear to turn over as it falls
+    this.flipPhase = this.parent.random() * Math.PI * 2;
+    this.swayPhase = this.parent.random() * Math.PI * 2;
+  }
+
+  update(deltaTime, wind) {
+    const config = this.parent.getConfig();
+    const time = this.parent.time;
+
+    const sway = Math.sin(time * 0.0012 + this.swayPhase) * config.SWAY;
+    this.x += (wind.x * 1.5 + sway) * deltaTime;
+    this.y += (this.speed + wind.y) * deltaTime;
+    this.rotation += this.spin * deltaTime;
+    this.flipPhase += this.spin * 0.8 * deltaTime;
+
+    if (this.y - this.size > this.parent.height) {
+      this.reset();
+    }
+  }
+
+  draw(ctx) {
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+    // Squash on one axis to fake the 3D turn
+    ctx.scale(1, 0.35 + Math.abs(Math.cos(this.flipPhase)) * 0.65);
+    ctx.fillStyle = `rgba(${this.color}, ${this.opacity * this.parent.screenFactor})`;
+    this.parent.drawShape(ctx, this.size);
+    ctx.restore();
+  }
+}
+
+/**
+ * Shared behavior for seasonal falling pieces
+ * @extends BaseEffect
+ * @abstract
+ */
+class FallingFoliage extends BaseEffect {
+  /**
+   * @param {import('../season.js').SeasonKey} season - Season the effect belongs to
+   * @param {string[]} colors - RGB components to pick from
+   */
+  constructor(season, colors) {
+    super(FOLIAGE_PERIODS);
+    this.setSeasonIntensity(season);
+    this.colors = colors;
+    /** @type {FallingPiece[]} */
+    this.pieces = [];
+  }
+
+  /**
+   * Config section for this effect
+   * @abstract
+   * @returns {Object}
+   */
+  getConfig() {
+    throw new Error("Subclass must implement getConfig()");
+  }
+
+  /**
+   * Draw one piece centered on the origin
+   * @abstract
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} size - Piece size
+   */
+  drawShape(ctx, size) {
+    throw new Error("Subclass must implement drawShape()");
+  }
+
+  init() {
+    // Fewer pieces on narrow screens
+    const count = Math.floor(this.getConfig().BASE_COUNT * this.screenFactor);
+    this.pieces = [];
+    for (let i = 0; i < count; i++) {
+      this.pieces.push(new FallingPiece(this));
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+    const wind = getWind(this.time);
+    for (const piece of this.pieces) {
+      piece.update(deltaTime, wind);
+    }
+  }
+
+  draw(ctx) {
+    if (!this.isActive) return;
+    for (const piece of this.pieces) {
+      piece.draw(ctx);
+    }
+  }
+}
+
+/**
+ * Cherry Blossom Petals Effect (spring)
+ * @extends FallingFoliage
+ */
+export class SakuraPetals extends FallingFoliage {
+  constructor() {
+    super(SEASON.SPRING, SAKURA_COLORS);
+  }
+
+  getConfig() {
+    return CONFIG.EFFECTS.SAKURA;
+  }
+
+  drawShape(ctx, size) {
+    // Rounded petal with the characteristic notch at the tip
+    ctx.beginPath();
+    ctx.moveTo(0, size * 0.6);
+    ctx.bezierCurveTo(
+      -size * 0.7,
+      size * 0.2,
+      -size * 0.5,
+      -size * 0.6,
+      -size * 0.12,
+      -size * 0.6,
+    );
+    ctx.lineTo(0, -size * 0.4);
+    ctx.lineTo(size * 0.12, -size * 0.6);
+    ctx.bezierCurveTo(
+      size * 0.5,
+      -size * 0.6,
+      size * 0.7,
+      size * 0.2,
+      0,
+      size * 0.6,
+    );
+    ctx.fill();
+  }
+}
+
+/**
+ * Autumn Leaves Effect
+ * @extends FallingFoliage
+ */
+export class AutumnLeaves extends FallingFoliage {
+  constructor() {
+    super(SEASON.AUTUMN, LEAF_COLORS);
+  }
+
+  getConfig() {
+    return CONFIG.EFFECTS.LEAVES;
+  }
+
+  drawShape(ctx, size) {
+    // Pointed oval leaf with a center vein
+    ctx.beginPath();
+    ctx.moveTo(0, -size);
+    ctx.quadraticCurveTo(size * 0.6, 0, 0, size);
+    ctx.quadraticCurveTo(-size * 0.6, 0, 0, -size);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.moveTo(0, -size * 0.8);
+    ctx.lineTo(0, size * 1.2);
+    ctx.strokeStyle = "rgba(90, 50, 30, 0.35)";
+    ctx.lineWidth = 0.8;
+    ctx.stroke();
+  }
+}
@@ -2,7 +2,7 @@
  * Background Animation System - Firefly Effect
  *
  * Fireflies with organic movement and blinking glow.
- * Active during NIGHT time period.
+ * Active during NIGHT, with a few lingering into MORNING.
  */
 
 import { TIME_PERIOD } from "../time.js";
@@ -14,7 +14,7 @@ import { BaseEffect } from "./base-effect.js";
  */
 class Firefly {
   /**
-   * @param {FireflySystem} parent - Parent effect for dimension access
+   * @param {FireflySystem} parent - Parent effect for dimension and random access
    */
   constructor(parent) {
     this.parent = parent;
@@ -26,37 +26,40 @@ class Firefly {
     const w = this.parent.width;
     const h = this.parent.height;
 
-    this.x = Math.random() * w;
-    this.y = Math.random() * h;
+    this.x = this.parent.random() * w;
+    this.y = this.parent.random() * h;
 
     // Very small size
     this.size =
-      FIREFLY.SIZE.min + Math.random() * (FIREFLY.SIZE.max - FIREFLY.SIZE.min);
+      FIREFLY.SIZE.min +
+      this.parent.random() * (FIREFLY.SIZE.max - FIREFLY.SIZE.min);
 
     // Random movement parameters
-    this.vx = (Math.random() - 0.5) * FIREFLY.VELOCITY;
-    this.vy = (Math.random() - 0.5) * FIREFLY.VELOCITY;
+    this.vx = (this.parent.random() - 0.5) * FIREFLY.VELOCITY;
+    this.vy = (this.parent.random() - 0.5) * FIREFLY.VELOCITY;
 
     // Glow parameters
     this.glowSize =
       FIREFLY.GLOW_SIZE.min +
-      Math.random() * (FIREFLY.GLOW_SIZE.max - FIREFLY.GLOW_SIZE.min);
-    this.glowPhase = Math.random() * Math.PI * 2;
+      this.parent.random() * (FIREFLY.GLOW_SIZE.max - FIREFLY.GLOW_SIZE.min);
+    this.glowPhase = this.parent.random() * Math.PI * 2;
     this.glowSpeed =
       FIREFLY.GLOW_SPEED.min +
-      Math.random() * (FIREFLY.GLOW_SPEED.max - FIREFLY.GLOW_SPEED.min);
+      this.parent.random() * (FIREFLY.GLOW_SPEED.max - FIREFLY.GLOW_SPEED.min);
 
     // Blink parameters
-    this.blinkPhase = Math.random() * Math.PI * 2;
+    this.blinkPhase = this.parent.random() * Math.PI * 2;
     this.blinkSpeed =
       FIREFLY.BLINK_SPEED.min +
-      Math.random() * (FIREFLY.BLINK_SPEED.max - FIREFLY.BLINK_SPEED.min);
+      this.parent.random() *
+        (FIREFLY.BLINK_SPEED.max - FIREFLY.BLINK_SPEED.min);
     this.blinkDuration =
       FIREFLY.BLINK_DURATION.min +
-      Math.random() * (FIREFLY.BLINK_DURATION.max - FIREFLY.BLINK_DURATION.min);
+      this.parent.random() *
+        (FIREFLY.BLINK_DURATION.max - FIREFLY.BLINK_DURATION.min);
 
     // Movement variation
-    this.wanderAngle = Math.random() * Math.PI * 2;
+    this.wanderAngle = this.parent.random() * Math.PI * 2;
     this.wanderSpeed = FIREFLY.WANDER_SPEED;
 
     this.time = 0;
@@ -71,10 +74,12 @@ class Firefly {
 
     // Organic wandering movement
     this.wanderAngle +=
-      (Math.random() - 0.5) * this.wanderSpeed * deltaTime * 0.1;
+      (this.parent.random() - 0.5) * this.wanderSpeed * deltaTime * 0.1;
     this.vx += Math.cos(this.wanderAngle) * 0.0001 * deltaTime;
     this.vy += Math.sin(this.wanderAngle) * 0.0001 * deltaTime;
 
+    this.followPointer(deltaTime);
+
     // Apply velocity with damping
     this.x += this.vx * deltaTime * 0.05;
     this.y += this.vy * deltaTime * 0.05;
@@ -89,6 +94,25 @@ class Firefly {
     if (this.y > h - margin) this.vy -= 0.01;
   }
 
+  /**
+   * Fly toward a nearby pointer. Close in, the pull stops and the firefly
+   * coasts past, so it hovers around the pointer instead of sitting on it.
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  followPointer(deltaTime) {
+    const pointer = this.parent.pointer;
+    if (!pointer) return;
+
+    const { RADIUS, ATTRACTION, MIN_DISTANCE } = CONFIG.EFFECTS.FIREFLY.POINTER;
+    const dx = pointer.x - this.x;
+    const dy = pointer.y - this.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < MIN_DISTANCE || distance > RADIUS) return;
+
+    this.vx += (dx / distance) * ATTRACTION * deltaTime;
+    this.vy += (dy / distance) * ATTRACTION * deltaTime;
+  }
+
   draw(ctx) {
     // Calculate blink state
     const blinkCycle = Math.sin(this.time * this.blinkSpeed + this.blinkPhase);
@@ -157,7 +181,10 @@ class Firefly {
  */
 export class FireflySystem extends BaseEffect {
   constructor() {
-    super(TIME_PERIOD.NIGHT);
+    super({
+      [TIME_PERIOD.NIGHT]: 1,
+      [TIME_PERIOD.MORNING]: 0.2,
+    });
     /** @type {Firefly[]} */
     this.fireflies = [];
   }
@@ -0,0 +1,149 @@
+/**
+ * Background Animation System - Fireworks Effect
+ *
+ * Rockets rising from the bottom and bursting into falling sparks.
+ * Enabled by calendar rules (New Year); brightest after dark.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { BaseEffect } from "./base-effect.js";
+
+/**
+ * @typedef {Object} Rocket
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} speed - Rise speed
+ * @property {number} burstY - Height at which it explodes
+ * @property {string} color - RGB components
+ */
+
+/**
+ * @typedef {Object} Spark
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} vx - Horizontal velocity
+ * @property {number} vy - Vertical velocity
+ * @property {number} age - Time since the burst in milliseconds
+ * @property {string} color - RGB components
+ */
+
+/**
+ * Fireworks Effect
+ * @extends BaseEffect
+ */
+export class Fireworks extends BaseEffect {
+  constructor() {
+    super({
+      [TIME_PERIOD.MORNING]: 0.3,
+      [TIME_PERIOD.NOON]: 0.3,
+      [TIME_PERIOD.EVENING]: 0.7,
+      [TIME_PERIOD.NIGHT]: 1,
+    });
+    /** @type {Rocket[]} */
+    this.rockets = [];
+    /** @type {Spark[]} */
+    this.sparks = [];
+    this.nextLaunch = 0;
+  }
+
+  init() {
+    this.rockets = [];
+    this.sparks = [];
+    this.nextLaunch = 0;
+  }
+
+  /**
+   * Launch a rocket from the bottom of the screen
+   */
+  launch() {
+    const { FIREWORKS } = CONFIG.EFFECTS;
+    this.rockets.push({
+      x: this.width * (0.15 + this.random() * 0.7),
+      y: this.height,
+      speed:
+        FIREWORKS.RISE_SPEED.min +
+        this.random() * (FIREWORKS.RISE_SPEED.max - FIREWORKS.RISE_SPEED.min),
+      burstY: this.height * (0.15 + this.random() * 0.3),
+      color:
+        FIREWORKS.COLORS[Math.floor(this.random() * FIREWORKS.COLORS.length)],
+    });
+    this.nextLaunch =
+      FIREWORKS.INTERVAL.min +
+      this.random() * (FIREWORKS.INTERVAL.max - FIREWORKS.INTERVAL.min);
+  }
+
+  /**
+   * Explode a rocket into a ring of sparks
+   * @param {Rocket} rocket
+   */
+  burst(rocket) {
+    const { FIREWORKS } = CONFIG.EFFECTS;
+    for (let i = 0; i < FIREWORKS.PARTICLES; i++) {
+      const angle = (i / FIREWORKS.PARTICLES) * Math.PI * 2;
+      const speed =
+        FIREWORKS.BURST_SPEED.min +
+        this.random() * (FIREWORKS.BURST_SPEED.max - FIREWORKS.BURST_SPEED.min);
+      this.sparks.push({
+        x: rocket.x,
+        y: rocket.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        age: 0,
+        color: rocket.color,
+      });
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    const { FIREWORKS } = CONFIG.EFFECTS;
+
+    // Stop launching while fading out so the sky clears naturally
+    this.nextLaunch -= deltaTime;
+    if (this.nextLaunch <= 0 && this.targetIntensity > 0) {
+      this.launch();
+    }
+
+    for (const rocket of this.rockets) {
+      rocket.y -= rocket.speed * deltaTime;
+      if (rocket.y <= rocket.burstY) this.burst(rocket);
+    }
+    this.rockets = this.rockets.filter((rocket) => rocket.y > rocket.burstY);
+
+    for (const spark of this.sparks) {
+      spark.age += deltaTime;
+      spark.vy += FIREWORKS.GRAVITY * deltaTime;
+      // Air drag slows the burst as it spreads
+      spark.vx *= 0.985;
+      spark.vy *= 0.985;
+      spark.x += spark.vx * deltaTime;
+      spark.y += spark.vy * deltaTime;
+    }
+    this.sparks = this.sparks.filter((spark) => spark.age < FIREWORKS.LIFETIME);
+  }
+
+  draw(ctx) {
+    if (!this.isActive) return;
+    const { LIFETIME } = CONFIG.EFFECTS.FIREWORKS;
+
+    for (const rocket of this.rockets) {
+      ctx.beginPath();
+      ctx.moveTo(rocket.x, rocket.y);
+      ctx.lineTo(rocket.x, rocket.y + 18);
+      ctx.strokeStyle = `rgba(${rocket.color}, 0.6)`;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+
+    for (const spark of this.sparks) {
+      const life = 1 - spark.age / LIFETIME;
+      // Sparks flicker as they burn out
+      const flicker = life < 0.3 ? 0.5 + this.random() * 0.5 : 1;
+      ctx.beginPath();
+      ctx.arc(spark.x, spark.y, 1.2 + life * 1.3, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${spark.color}, ${life * flicker * this.screenFactor})`;
+      ctx.fill();
+    }
+  }
+}
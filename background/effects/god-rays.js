@@ -7,11 +7,12 @@
 
 import { TIME_PERIOD } from "../time.js";
 import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
 import { BaseEffect } from "./base-effect.js";
 
 // Warm sunlight colors - slightly more golden for visibility
-const LIGHT_COLOR = "255, 240, 180";
-const LIGHT_COLOR_WARM = "255, 220, 150";
+export const LIGHT_COLOR = "255, 240, 180";
+export const LIGHT_COLOR_WARM = "255, 220, 150";
 
 /**
  * @typedef {Object} Ray
@@ -23,6 +24,20 @@ const LIGHT_COLOR_WARM = "255, 220, 150";
  * @property {number} speed - Animation speed
  */
 
+/**
+ * Beam geometry for one frame, in canvas coordinates. The beam hangs from
+ * (x, y), rotated by `angle`, tapering from `topHalfWidth` to
+ * `bottomHalfWidth` over `length`.
+ * @typedef {Object} RayShape
+ * @property {number} x - Top center X
+ * @property {number} y - Top center Y
+ * @property {number} angle - Rotation in radians
+ * @property {number} topHalfWidth - Half width at the top
+ * @property {number} bottomHalfWidth - Half width at the bottom
+ * @property {number} length - Beam length
+ * @property {number} opacity - Opacity at the bright end
+ */
+
 /**
  * God Rays Effect
  * @extends BaseEffect
@@ -30,6 +45,12 @@ const LIGHT_COLOR_WARM = "255, 220, 150";
 export class GodRays extends BaseEffect {
   constructor() {
     super(TIME_PERIOD.NOON);
+    // Sunlight only breaks through a clear or lightly clouded sky
+    this.setWeatherIntensity({
+      [WEATHER.CLEAR]: 1,
+      [WEATHER.CLOUDY]: 0.3,
+      [WEATHER.FOG]: 0.2,
+    });
     /** @type {Ray[]} */
     this.rays = [];
   }
@@ -48,17 +69,17 @@ export class GodRays extends BaseEffect {
         x: this.width * (0.1 + (i / count) * 0.8),
         width:
           GOD_RAYS.WIDTH.min +
-          Math.random() * (GOD_RAYS.WIDTH.max - GOD_RAYS.WIDTH.min),
+          this.random() * (GOD_RAYS.WIDTH.max - GOD_RAYS.WIDTH.min),
         angle:
           GOD_RAYS.ANGLE.min +
-          Math.random() * (GOD_RAYS.ANGLE.max - GOD_RAYS.ANGLE.min),
+          this.random() * (GOD_RAYS.ANGLE.max - GOD_RAYS.ANGLE.min),
         opacity:
           GOD_RAYS.OPACITY.min +
-          Math.random() * (GOD_RAYS.OPACITY.max - GOD_RAYS.OPACITY.min),
-        phase: Math.random() * Math.PI * 2,
+          this.random() * (GOD_RAYS.OPACITY.max - GOD_RAYS.OPACITY.min),
+        phase: this.random() * Math.PI * 2,
         speed:
           GOD_RAYS.SPEED.min +
-          Math.random() * (GOD_RAYS.SPEED.max - GOD_RAYS.SPEED.min),
+          this.random() * (GOD_RAYS.SPEED.max - GOD_RAYS.SPEED.min),
       });
     }
   }
@@ -68,46 +89,63 @@ export class GodRays extends BaseEffect {
     this.time += deltaTime;
   }
 
-  draw(ctx, palette) {
-    if (!this.isActive || !palette) return;
-
+  /**
+   * Current beam geometry, shared by the Canvas 2D and WebGL backends
+   * @returns {RayShape[]}
+   */
+  getRayShapes() {
     // Use cached height from base class
-    const h = this.height;
+    const length = this.height * 1.2;
 
-    for (const ray of this.rays) {
+    return this.rays.map((ray) => {
       // More dynamic opacity breathing
       const breathe =
         0.6 + Math.sin(this.time * ray.speed * 1.5 + ray.phase) * 0.4;
-      const currentOpacity = ray.opacity * breathe * this.screenFactor;
 
       // More noticeable position drift
       const drift = Math.sin(this.time * ray.speed * 0.8 + ray.phase) * 35;
 
+      return {
+        // Position at top of screen
+        x: ray.x + drift,
+        y: -50,
+        angle: (ray.angle * Math.PI) / 180,
+        topHalfWidth: ray.width * 0.3,
+        bottomHalfWidth: ray.width * 0.8,
+        length,
+        opacity: ray.opacity * breathe * this.screenFactor,
+      };
+    });
+  }
+
+  draw(ctx, palette) {
+    if (!this.isActive || !palette) return;
+
+    for (const ray of this.getRayShapes()) {
       ctx.save();
 
-      // Position at top of screen
-      ctx.translate(ray.x + drift, -50);
-      ctx.rotate((ray.angle * Math.PI) / 180);
+      ctx.translate(ray.x, ray.y);
+      ctx.rotate(ray.angle);
 
       // Create ray gradient with warmer color at core
-      const rayGradient = ctx.createLinearGradient(0, 0, 0, h * 1.2);
+      const rayGradient = ctx.createLinearGradient(0, 0, 0, ray.length);
       rayGradient.addColorStop(
         0,
-        `rgba(${LIGHT_COLOR_WARM}, ${currentOpacity * 1.2})`,
+        `rgba(${LIGHT_COLOR_WARM}, ${ray.opacity * 1.2})`,
       );
-      rayGradient.addColorStop(0.2, `rgba(${LIGHT_COLOR}, ${currentOpacity})`);
+      rayGradient.addColorStop(0.2, `rgba(${LIGHT_COLOR}, ${ray.opacity})`);
       rayGradient.addColorStop(
         0.5,
-        `rgba(${LIGHT_COLOR}, ${currentOpacity * 0.5})`,
+        `rgba(${LIGHT_COLOR}, ${ray.opacity * 0.5})`,
       );
       rayGradient.addColorStop(1, "transparent");
 
       // Draw tapered ray shape
       ctx.beginPath();
-      ctx.moveTo(-ray.width * 0.3, 0);
-      ctx.lineTo(ray.width * 0.3, 0);
-      ctx.lineTo(ray.width * 0.8, h * 1.2);
-      ctx.lineTo(-ray.width * 0.8, h * 1.2);
+      ctx.moveTo(-ray.topHalfWidth, 0);
+      ctx.lineTo(ray.topHalfWidth, 0);
+      ctx.lineTo(ray.bottomHalfWidth, ray.length);
+      ctx.lineTo(-ray.bottomHalfWidth, ray.length);
       ctx.closePath();
 
       ctx.fillStyle = rayGradient;
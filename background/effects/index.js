@@ -1,7 +1,7 @@
 /**
  * Background Animation System - Effects Module
  *
- * Re-exports all time-specific visual effects.
+ * Re-exports all time-, weather-, season- and calendar-specific visual effects.
  */
 
 export { MorningMist } from "./morning-mist.js";
@@ -9,3 +9,23 @@ export { GodRays } from "./god-rays.js";
 export { DustParticles } from "./dust-particles.js";
 export { EveningClouds } from "./evening-clouds.js";
 export { FireflySystem } from "./firefly.js";
+export { StarField } from "./star-field.js";
+export { CloudCover } from "./cloud-cover.js";
+export { WeatherFog } from "./weather-fog.js";
+export { Lightning } from "./lightning.js";
+export { Rain } from "./rain.js";
+export { Snowfall } from "./snow.js";
+export { SakuraPetals, AutumnLeaves } from "./falling-foliage.js";
+export { Fireworks } from "./fireworks.js";
+export { TanabataSky } from "./tanabata.js";
+export { Confetti } from "./confetti.js";
+
+// Base class and registry for custom effects
+export { BaseEffect, getScreenFactor } from "./base-effect.js";
+export {
+  EFFECT_LAYER,
+  registerEffect,
+  unregisterEffect,
+  getRegisteredEffects,
+  hasCustomEffects,
+} from "./registry.js";
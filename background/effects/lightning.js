@@ -0,0 +1,104 @@
+/**
+ * Background Animation System - Lightning Effect
+ *
+ * Occasional sky flashes with a faint forked bolt.
+ * Active in any time period when the weather is stormy.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { BaseEffect } from "./base-effect.js";
+
+/**
+ * Lightning Effect
+ * @extends BaseEffect
+ */
+export class Lightning extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    this.setWeatherIntensity(WEATHER.THUNDER);
+    this.nextFlash = 0;
+    this.flashAge = Infinity;
+    /** @type {{x: number, y: number}[]|null} */
+    this.bolt = null;
+  }
+
+  init() {
+    this.flashAge = Infinity;
+    this.bolt = null;
+    this.scheduleNextFlash();
+  }
+
+  /**
+   * Pick a random delay until the next flash
+   */
+  scheduleNextFlash() {
+    const { INTERVAL } = CONFIG.EFFECTS.LIGHTNING;
+    this.nextFlash =
+      INTERVAL.min + this.random() * (INTERVAL.max - INTERVAL.min);
+  }
+
+  /**
+   * Build a jagged bolt path from the top of the screen
+   * @returns {{x: number, y: number}[]}
+   */
+  createBolt() {
+    const points = [];
+    let x = this.width * (0.15 + this.random() * 0.7);
+    let y = 0;
+    const endY = this.height * (0.4 + this.random() * 0.3);
+
+    while (y < endY) {
+      points.push({ x, y });
+      x += (this.random() - 0.5) * 60;
+      y += 20 + this.random() * 40;
+    }
+    points.push({ x, y: endY });
+    return points;
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    const { LIGHTNING } = CONFIG.EFFECTS;
+
+    this.flashAge += deltaTime;
+    this.nextFlash -= deltaTime;
+
+    if (this.nextFlash <= 0) {
+      this.flashAge = 0;
+      this.bolt =
+        this.random() < LIGHTNING.BOLT_CHANCE ? this.createBolt() : null;
+      this.scheduleNextFlash();
+    }
+  }
+
+  draw(ctx) {
+    if (!this.isActive) return;
+    const { LIGHTNING } = CONFIG.EFFECTS;
+    if (this.flashAge > LIGHTNING.FLASH_DURATION) return;
+
+    // Sharp onset with a double flicker as it fades
+    const progress = this.flashAge / LIGHTNING.FLASH_DURATION;
+    const flicker = progress < 0.15 || (progress > 0.3 && progress < 0.45);
+    const strength = (1 - progress) * (flicker ? 1 : 0.4);
+
+    ctx.fillStyle = `rgba(230, 235, 255, ${LIGHTNING.FLASH_OPACITY * strength})`;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    if (!this.bolt) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(this.bolt[0].x, this.bolt[0].y);
+    for (const point of this.bolt.slice(1)) {
+      ctx.lineTo(point.x, point.y);
+    }
+    ctx.strokeStyle = `rgba(245, 248, 255, ${0.8 * strength})`;
+    ctx.lineWidth = 2;
+    ctx.shadowColor = "rgba(180, 200, 255, 0.9)";
+    ctx.shadowBlur = 12;
+    ctx.stroke();
+    ctx.restore();
+  }
+}
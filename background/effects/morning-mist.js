@@ -2,7 +2,7 @@
  * Background Animation System - Morning Mist Effect
  *
  * Soft fog rising from the bottom, creating an ethereal morning atmosphere.
- * Active during MORNING time period.
+ * Active during MORNING, with a faint haze lingering at dusk (EVENING).
  */
 
 import { TIME_PERIOD } from "../time.js";
@@ -25,6 +25,8 @@ const MIST_GOLD = "255, 240, 180";
  * @property {number} opacity - Opacity
  * @property {number} phase - Animation phase offset
  * @property {number} driftPhase - Drift animation phase offset
+ * @property {number} partX - X offset away from the pointer
+ * @property {number} partY - Y offset away from the pointer
  */
 
 /**
@@ -33,7 +35,10 @@ const MIST_GOLD = "255, 240, 180";
  */
 export class MorningMist extends BaseEffect {
   constructor() {
-    super(TIME_PERIOD.MORNING);
+    super({
+      [TIME_PERIOD.MORNING]: 1,
+      [TIME_PERIOD.EVENING]: 0.35,
+    });
     /** @type {Wisp[]} */
     this.wisps = [];
   }
@@ -41,27 +46,29 @@ export class MorningMist extends BaseEffect {
   init() {
     this.wisps = [];
     const { MIST } = CONFIG.EFFECTS;
-    const count = MIST.COUNT;
+    const count = Math.max(1, Math.round(MIST.COUNT * this.quality));
 
     // Use cached dimensions from base class
     for (let i = 0; i < count; i++) {
       this.wisps.push({
-        x: Math.random() * this.width,
-        baseY: this.height * (0.5 + Math.random() * 0.5),
+        x: this.random() * this.width,
+        baseY: this.height * (0.5 + this.random() * 0.5),
         width:
-          MIST.WIDTH.min + Math.random() * (MIST.WIDTH.max - MIST.WIDTH.min),
+          MIST.WIDTH.min + this.random() * (MIST.WIDTH.max - MIST.WIDTH.min),
         height:
-          MIST.HEIGHT.min + Math.random() * (MIST.HEIGHT.max - MIST.HEIGHT.min),
+          MIST.HEIGHT.min + this.random() * (MIST.HEIGHT.max - MIST.HEIGHT.min),
         speed:
-          MIST.SPEED.min + Math.random() * (MIST.SPEED.max - MIST.SPEED.min),
+          MIST.SPEED.min + this.random() * (MIST.SPEED.max - MIST.SPEED.min),
         riseSpeed:
           MIST.RISE_SPEED.min +
-          Math.random() * (MIST.RISE_SPEED.max - MIST.RISE_SPEED.min),
+          this.random() * (MIST.RISE_SPEED.max - MIST.RISE_SPEED.min),
         opacity:
           MIST.OPACITY.min +
-          Math.random() * (MIST.OPACITY.max - MIST.OPACITY.min),
-        phase: Math.random() * Math.PI * 2,
-        driftPhase: Math.random() * Math.PI * 2,
+          this.random() * (MIST.OPACITY.max - MIST.OPACITY.min),
+        phase: this.random() * Math.PI * 2,
+        driftPhase: this.random() * Math.PI * 2,
+        partX: 0,
+        partY: 0,
       });
     }
   }
@@ -78,9 +85,50 @@ export class MorningMist extends BaseEffect {
       // Reset when too high
       if (wisp.baseY < -wisp.height) {
         wisp.baseY = this.height + wisp.height * 0.5;
-        wisp.x = Math.random() * this.width;
+        wisp.x = this.random() * this.width;
+      }
+
+      this.updatePart(wisp, deltaTime);
+    }
+  }
+
+  /**
+   * Drifting center of a wisp, before it parts for the pointer
+   * @param {Wisp} wisp
+   * @returns {{x: number, y: number}}
+   */
+  getWispCenter(wisp) {
+    const drift = Math.sin(this.time * wisp.speed * 1.3 + wisp.driftPhase) * 45;
+    const verticalWobble =
+      Math.sin(this.time * wisp.speed * 0.9 + wisp.phase) * 20;
+    return { x: wisp.x + drift, y: wisp.baseY + verticalWobble };
+  }
+
+  /**
+   * Ease a wisp away from the pointer, and back once it leaves
+   * @param {Wisp} wisp
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  updatePart(wisp, deltaTime) {
+    const { RADIUS, DISTANCE, EASE } = CONFIG.EFFECTS.MIST.POINTER;
+    let targetX = 0;
+    let targetY = 0;
+
+    if (this.pointer) {
+      const center = this.getWispCenter(wisp);
+      const dx = center.x - this.pointer.x;
+      const dy = center.y - this.pointer.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0 && distance < RADIUS) {
+        const part = (1 - distance / RADIUS) * DISTANCE;
+        targetX = (dx / distance) * part;
+        targetY = (dy / distance) * part;
       }
     }
+
+    const ease = Math.min(1, deltaTime * EASE);
+    wisp.partX += (targetX - wisp.partX) * ease;
+    wisp.partY += (targetY - wisp.partY) * ease;
   }
 
   draw(ctx, palette) {
@@ -91,14 +139,10 @@ export class MorningMist extends BaseEffect {
     const h = this.height;
 
     for (const wisp of this.wisps) {
-      // More dynamic horizontal drift
-      const drift =
-        Math.sin(this.time * wisp.speed * 1.3 + wisp.driftPhase) * 45;
-      const verticalWobble =
-        Math.sin(this.time * wisp.speed * 0.9 + wisp.phase) * 20;
-
-      const x = wisp.x + drift;
-      const y = wisp.baseY + verticalWobble;
+      // Drift and wobble, parted around the pointer
+      const center = this.getWispCenter(wisp);
+      const x = center.x + wisp.partX;
+      const y = center.y + wisp.partY;
 
       // Main wisp gradient with golden tint
       const gradient = ctx.createRadialGradient(
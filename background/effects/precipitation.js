@@ -0,0 +1,99 @@
+/**
+ * Background Animation System - Precipitation Helpers
+ *
+ * Shared wind and card collision support for rain and snow.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Card box reported by the main thread when effects run in a worker
+let reportedRect = null;
+
+/**
+ * Store the card box measured on the main thread (worker rendering only)
+ * @param {{left: number, top: number, right: number, bottom: number}|null} rect
+ */
+export function setReportedCardRect(rect) {
+  reportedRect = rect;
+}
+
+/**
+ * Current wind vector, including a slow gust oscillation
+ * @param {number} time - Effect time in milliseconds
+ * @returns {{x: number, y: number}} Wind velocity in px/ms
+ */
+export function getWind(time) {
+  const { X, Y, GUST, GUST_SPEED } = CONFIG.EFFECTS.WIND;
+  const gust =
+    Math.sin(time * GUST_SPEED) * 0.7 + Math.sin(time * GUST_SPEED * 2.3) * 0.3;
+  return { x: X + gust * GUST, y: Y };
+}
+
+/**
+ * Bounding box of the profile card in canvas coordinates. Reading layout
+ * forces a reflow, so the box is only re-read every CARD_BOUNDS_REFRESH ms.
+ */
+export class CardBounds {
+  /**
+   * @param {string} [selector] - Card element selector
+   */
+  constructor(selector = ".card") {
+    this.selector = selector;
+    /** @type {{left: number, top: number, right: number, bottom: number}|null} */
+    this.rect = null;
+    this.lastRead = -Infinity;
+  }
+
+  /**
+   * Refresh the cached box if it is stale
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas the particles are drawn on
+   */
+  refresh(canvas) {
+    // Workers can't read layout; use the box the main thread reports
+    if (typeof document === "undefined") {
+      this.rect = reportedRect;
+      return;
+    }
+
+    const now = performance.now();
+    if (now - this.lastRead < CONFIG.EFFECTS.CARD_BOUNDS_REFRESH) return;
+    this.lastRead = now;
+
+    const card = document.querySelector(this.selector);
+    if (!card) {
+      this.rect = null;
+      return;
+    }
+
+    // Canvases inside a container are offset from the viewport
+    const cardRect = card.getBoundingClientRect();
+    const canvasRect = canvas.getBoundingClientRect();
+    this.rect =
+      cardRect.width > 0
+        ? {
+            left: cardRect.left - canvasRect.left,
+            top: cardRect.top - canvasRect.top,
+            right: cardRect.right - canvasRect.left,
+            bottom: cardRect.bottom - canvasRect.top,
+          }
+        : null;
+  }
+
+  /**
+   * Whether a point moving down crossed the card's top edge this frame
+   * @param {number} x - Current X position
+   * @param {number} prevY - Y position before this frame
+   * @param {number} y - Current Y position
+   * @returns {boolean}
+   */
+  hitsTop(x, prevY, y) {
+    const rect = this.rect;
+    return (
+      rect !== null &&
+      x >= rect.left &&
+      x <= rect.right &&
+      prevY <= rect.top &&
+      y >= rect.top
+    );
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Background Animation System - Rain Effect
+ *
+ * Wind-blown rain streaks that splash where they hit the card.
+ * Active in any time period when the weather is rainy or stormy.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { BaseEffect } from "./base-effect.js";
+import { CardBounds, getWind } from "./precipitation.js";
+
+// Rain colors - cool gray-blue, dimmer at night
+const RAIN_DAY = "200, 215, 235";
+const RAIN_NIGHT = "150, 170, 205";
+
+/**
+ * @typedef {Object} Drop
+ * @property {number} x - X position (streak head)
+ * @property {number} y - Y position (streak head)
+ * @property {number} length - Streak length
+ * @property {number} speed - Fall speed
+ * @property {number} opacity - Base opacity
+ */
+
+/**
+ * @typedef {Object} Droplet
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} vx - Horizontal velocity
+ * @property {number} vy - Vertical velocity
+ * @property {number} age - Time since the splash in milliseconds
+ */
+
+/**
+ * Rain Effect
+ * @extends BaseEffect
+ */
+export class Rain extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    this.setWeatherIntensity({
+      [WEATHER.RAIN]: 1,
+      [WEATHER.THUNDER]: 1,
+    });
+    /** @type {Drop[]} */
+    this.drops = [];
+    /** @type {Droplet[]} */
+    this.droplets = [];
+    this.cardBounds = new CardBounds();
+  }
+
+  init() {
+    this.drops = [];
+    this.droplets = [];
+    const { RAIN } = CONFIG.EFFECTS;
+
+    // Fewer drops on narrow screens
+    const count = Math.floor(
+      RAIN.BASE_COUNT * this.screenFactor * this.quality,
+    );
+    for (let i = 0; i < count; i++) {
+      const drop = {};
+      this.resetDrop(drop, true);
+      this.drops.push(drop);
+    }
+  }
+
+  /**
+   * Respawn a drop above the screen
+   * @param {Drop} drop
+   * @param {boolean} [initial] - Scatter over the whole screen instead
+   */
+  resetDrop(drop, initial = false) {
+    const { RAIN } = CONFIG.EFFECTS;
+    // Spawn across a wider band so wind doesn't leave an empty edge
+    drop.x = (this.random() * 1.4 - 0.2) * this.width;
+    drop.y = initial ? this.random() * this.height : -this.random() * 100;
+    drop.length =
+      RAIN.LENGTH.min + this.random() * (RAIN.LENGTH.max - RAIN.LENGTH.min);
+    drop.speed =
+      RAIN.SPEED.min + this.random() * (RAIN.SPEED.max - RAIN.SPEED.min);
+    drop.opacity =
+      RAIN.OPACITY.min + this.random() * (RAIN.OPACITY.max - RAIN.OPACITY.min);
+  }
+
+  /**
+   * Throw a few droplets up from the impact point
+   * @param {number} x - Impact X
+   * @param {number} y - Impact Y
+   * @param {number} windX - Current horizontal drift
+   */
+  splash(x, y, windX) {
+    const { SPLASH_DROPLETS } = CONFIG.EFFECTS.RAIN;
+    for (let i = 0; i < SPLASH_DROPLETS; i++) {
+      this.droplets.push({
+        x,
+        y,
+        vx: (this.random() - 0.5) * 0.15 + windX * 0.3,
+        vy: -(0.12 + this.random() * 0.15),
+        age: 0,
+      });
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+    const { RAIN } = CONFIG.EFFECTS;
+    const wind = getWind(this.time);
+    const windX = wind.x * RAIN.WIND_FACTOR;
+
+    for (const drop of this.drops) {
+      const prevY = drop.y;
+      drop.x += windX * deltaTime;
+      drop.y += (drop.speed + wind.y) * deltaTime;
+
+      if (this.cardBounds.hitsTop(drop.x, prevY, drop.y)) {
+        this.splash(drop.x, this.cardBounds.rect.top, windX);
+        this.resetDrop(drop);
+      } else if (drop.y - drop.length > this.height) {
+        this.resetDrop(drop);
+      }
+    }
+
+    for (const droplet of this.droplets) {
+      droplet.age += deltaTime;
+      droplet.vy += RAIN.GRAVITY * deltaTime;
+      droplet.x += droplet.vx * deltaTime;
+      droplet.y += droplet.vy * deltaTime;
+    }
+    this.droplets = this.droplets.filter(
+      (droplet) => droplet.age < RAIN.SPLASH_LIFETIME,
+    );
+  }
+
+  draw(ctx, palette) {
+    if (!this.isActive) return;
+    this.cardBounds.refresh(ctx.canvas);
+
+    const { RAIN } = CONFIG.EFFECTS;
+    const color =
+      palette?.timePeriod === TIME_PERIOD.NIGHT ? RAIN_NIGHT : RAIN_DAY;
+
+    // Streaks lean with the wind
+    const wind = getWind(this.time);
+    const windX = wind.x * RAIN.WIND_FACTOR;
+
+    ctx.lineCap = "round";
+    ctx.lineWidth = 1;
+    for (const drop of this.drops) {
+      const slant = windX / drop.speed;
+      ctx.beginPath();
+      ctx.moveTo(drop.x, drop.y);
+      ctx.lineTo(drop.x - slant * drop.length, drop.y - drop.length);
+      ctx.strokeStyle = `rgba(${color}, ${drop.opacity * this.screenFactor})`;
+      ctx.stroke();
+    }
+
+    for (const droplet of this.droplets) {
+      const life = 1 - droplet.age / RAIN.SPLASH_LIFETIME;
+      ctx.beginPath();
+      ctx.arc(droplet.x, droplet.y, 1.2, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${color}, ${0.6 * life})`;
+      ctx.fill();
+    }
+  }
+}
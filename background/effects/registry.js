@@ -0,0 +1,168 @@
+/**
+ * Background Animation System - Effect Registry
+ *
+ * Central list of effects the renderer instantiates. Built-in effects are
+ * registered here; third-party BaseEffect subclasses can be added through
+ * the public background API.
+ */
+
+import { BaseEffect } from "./base-effect.js";
+import { MorningMist } from "./morning-mist.js";
+import { GodRays } from "./god-rays.js";
+import { DustParticles } from "./dust-particles.js";
+import { EveningClouds } from "./evening-clouds.js";
+import { FireflySystem } from "./firefly.js";
+import { CloudCover } from "./cloud-cover.js";
+import { WeatherFog } from "./weather-fog.js";
+import { Lightning } from "./lightning.js";
+import { Rain } from "./rain.js";
+import { Snowfall } from "./snow.js";
+import { SakuraPetals, AutumnLeaves } from "./falling-foliage.js";
+import { Fireworks } from "./fireworks.js";
+import { TanabataSky } from "./tanabata.js";
+import { Confetti } from "./confetti.js";
+import { StarField } from "./star-field.js";
+
+/**
+ * Canvas layer an effect draws on
+ * @type {Object<string, 'bg'|'overlay'>}
+ */
+export const EFFECT_LAYER = {
+  // Background canvas, above gradient, shapes and bokeh orbs
+  BACKGROUND: "bg",
+  // Overlay canvas, in front of the background but behind the card
+  OVERLAY: "overlay",
+};
+
+/**
+ * @typedef {Object} EffectDefinition
+ * @property {string} name - Unique name (also used by the `effects` option)
+ * @property {typeof BaseEffect} effect - BaseEffect subclass, constructed without arguments
+ * @property {import('./base-effect.js').PeriodIntensitySpec} [periods] -
+ *   Period(s) or period-to-intensity map overriding the effect's own
+ * @property {import('./base-effect.js').PeriodIntensitySpec|null} [weather] -
+ *   Weather key(s) or weather-to-intensity map overriding the effect's own
+ * @property {import('./base-effect.js').PeriodIntensitySpec|null} [seasons] -
+ *   Season key(s) or season-to-intensity map overriding the effect's own
+ * @property {'bg'|'overlay'} [layer] - Target canvas (defaults to overlay)
+ * @property {number} [zIndex] - Draw order within the layer (higher = later)
+ * @property {boolean} [onDemand] - Only activate while requested, e.g. by a
+ *   calendar rule (defaults to false)
+ */
+
+/** @type {Map<string, EffectDefinition>} */
+const registry = new Map();
+
+/**
+ * Register an effect, replacing any existing one with the same name
+ * @param {EffectDefinition} definition
+ */
+export function registerEffect(definition) {
+  const { name, effect } = definition || {};
+  if (!name || typeof name !== "string") {
+    throw new Error("Effect definition requires a name");
+  }
+  if (
+    typeof effect !== "function" ||
+    !(effect.prototype instanceof BaseEffect)
+  ) {
+    throw new Error(`Effect "${name}" must be a BaseEffect subclass`);
+  }
+
+  registry.set(name, {
+    layer: EFFECT_LAYER.OVERLAY,
+    zIndex: 0,
+    onDemand: false,
+    ...definition,
+  });
+}
+
+/**
+ * Remove a registered effect
+ * @param {string} name - Effect name
+ * @returns {boolean} Whether an effect was removed
+ */
+export function unregisterEffect(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Get registered effects in draw order
+ * @returns {EffectDefinition[]}
+ */
+export function getRegisteredEffects() {
+  return [...registry.values()].sort((a, b) => a.zIndex - b.zIndex);
+}
+
+/**
+ * Whether any registered effect is not one of the built-ins. Custom
+ * effects only exist on the main thread, so a worker can't render them.
+ * @returns {boolean}
+ */
+export function hasCustomEffects() {
+  for (const definition of registry.values()) {
+    if (!builtInEffects.has(definition)) return true;
+  }
+  return false;
+}
+
+// Built-in effects, in their original draw order
+registerEffect({ name: "mist", effect: MorningMist, zIndex: 10 });
+registerEffect({ name: "godRays", effect: GodRays, zIndex: 20 });
+registerEffect({ name: "dust", effect: DustParticles, zIndex: 30 });
+registerEffect({ name: "eveningRays", effect: EveningClouds, zIndex: 40 });
+registerEffect({ name: "fireflies", effect: FireflySystem, zIndex: 50 });
+
+// Night sky, behind weather and event effects on the background canvas
+registerEffect({
+  name: "stars",
+  effect: StarField,
+  layer: EFFECT_LAYER.BACKGROUND,
+  zIndex: -10,
+});
+
+// Weather effects; hidden unless a provider or the debug panel sets weather
+registerEffect({
+  name: "clouds",
+  effect: CloudCover,
+  layer: EFFECT_LAYER.BACKGROUND,
+  zIndex: 0,
+});
+registerEffect({
+  name: "lightning",
+  effect: Lightning,
+  layer: EFFECT_LAYER.BACKGROUND,
+  zIndex: 5,
+});
+registerEffect({ name: "rain", effect: Rain, zIndex: 55 });
+registerEffect({ name: "snow", effect: Snowfall, zIndex: 56 });
+registerEffect({ name: "fog", effect: WeatherFog, zIndex: 60 });
+
+// Seasonal effects
+registerEffect({ name: "sakura", effect: SakuraPetals, zIndex: 52 });
+registerEffect({ name: "leaves", effect: AutumnLeaves, zIndex: 53 });
+
+// Calendar event effects; only shown while a calendar rule requests them
+registerEffect({
+  name: "tanabata",
+  effect: TanabataSky,
+  layer: EFFECT_LAYER.BACKGROUND,
+  zIndex: 1,
+  onDemand: true,
+});
+registerEffect({
+  name: "fireworks",
+  effect: Fireworks,
+  layer: EFFECT_LAYER.BACKGROUND,
+  zIndex: 2,
+  onDemand: true,
+});
+registerEffect({
+  name: "confetti",
+  effect: Confetti,
+  zIndex: 58,
+  onDemand: true,
+});
+
+/** Definitions registered by this module */
+const builtInEffects = new Set(registry.values());
@@ -0,0 +1,187 @@
+/**
+ * Background Animation System - Snow Effect
+ *
+ * Swaying snowflakes carried by the wind that settle on top of the card.
+ * Active in any time period when the weather is snowy.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { BaseEffect } from "./base-effect.js";
+import { CardBounds, getWind } from "./precipitation.js";
+
+// Snow color - white by day, faintly blue at night
+const SNOW_DAY = "255, 255, 255";
+const SNOW_NIGHT = "215, 225, 245";
+
+/**
+ * @typedef {Object} Flake
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} size - Radius
+ * @property {number} speed - Fall speed
+ * @property {number} opacity - Base opacity
+ * @property {number} phase - Sway phase offset
+ */
+
+/**
+ * Snow Effect
+ * @extends BaseEffect
+ */
+export class Snowfall extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    this.setWeatherIntensity(WEATHER.SNOW);
+    /** @type {Flake[]} */
+    this.flakes = [];
+    // Settled snow depth per column along the card's top edge
+    /** @type {number[]} */
+    this.depths = [];
+    this.depthRect = null;
+    this.cardBounds = new CardBounds();
+  }
+
+  init() {
+    this.flakes = [];
+    this.depths = [];
+    const { SNOW } = CONFIG.EFFECTS;
+
+    // Fewer flakes on narrow screens
+    const count = Math.floor(
+      SNOW.BASE_COUNT * this.screenFactor * this.quality,
+    );
+    for (let i = 0; i < count; i++) {
+      const flake = {};
+      this.resetFlake(flake, true);
+      this.flakes.push(flake);
+    }
+  }
+
+  /**
+   * Respawn a flake above the screen
+   * @param {Flake} flake
+   * @param {boolean} [initial] - Scatter over the whole screen instead
+   */
+  resetFlake(flake, initial = false) {
+    const { SNOW } = CONFIG.EFFECTS;
+    flake.x = (this.random() * 1.4 - 0.2) * this.width;
+    flake.y = initial ? this.random() * this.height : -10;
+    flake.size =
+      SNOW.SIZE.min + this.random() * (SNOW.SIZE.max - SNOW.SIZE.min);
+    // Bigger flakes fall a little faster
+    const sizeRatio =
+      (flake.size - SNOW.SIZE.min) / (SNOW.SIZE.max - SNOW.SIZE.min || 1);
+    flake.speed =
+      SNOW.SPEED.min + sizeRatio * (SNOW.SPEED.max - SNOW.SPEED.min);
+    flake.opacity =
+      SNOW.OPACITY.min + this.random() * (SNOW.OPACITY.max - SNOW.OPACITY.min);
+    flake.phase = this.random() * Math.PI * 2;
+  }
+
+  /**
+   * Drop settled snow when the card moved or resized (e.g. flipped)
+   */
+  syncDepths() {
+    const rect = this.cardBounds.rect;
+    const previous = this.depthRect;
+    const moved =
+      !rect ||
+      !previous ||
+      Math.abs(rect.left - previous.left) > 4 ||
+      Math.abs(rect.top - previous.top) > 4 ||
+      Math.abs(rect.right - previous.right) > 4;
+    if (!moved) return;
+
+    this.depthRect = rect;
+    const bins = rect
+      ? Math.ceil((rect.right - rect.left) / CONFIG.EFFECTS.SNOW.BIN_WIDTH)
+      : 0;
+    this.depths = new Array(bins).fill(0);
+  }
+
+  /**
+   * Add a flake to the settled snow at the given X position
+   * @param {Flake} flake
+   */
+  settle(flake) {
+    const { BIN_WIDTH, MAX_DEPTH } = CONFIG.EFFECTS.SNOW;
+    const bin = Math.floor((flake.x - this.depthRect.left) / BIN_WIDTH);
+    if (bin < 0 || bin >= this.depths.length) return;
+
+    // Spread over neighbors so the snow builds a soft mound
+    const amount = flake.size * 0.35;
+    for (let i = -1; i <= 1; i++) {
+      const index = bin + i;
+      if (index < 0 || index >= this.depths.length) continue;
+      const share = i === 0 ? amount : amount * 0.5;
+      this.depths[index] = Math.min(MAX_DEPTH, this.depths[index] + share);
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+    const { SNOW } = CONFIG.EFFECTS;
+    const wind = getWind(this.time);
+    this.syncDepths();
+
+    for (const flake of this.flakes) {
+      const prevY = flake.y;
+      const sway = Math.sin(this.time * 0.001 + flake.phase) * SNOW.SWAY;
+      flake.x += (wind.x * SNOW.WIND_FACTOR + sway) * deltaTime;
+      flake.y += (flake.speed + wind.y) * deltaTime;
+
+      if (this.depthRect && this.cardBounds.hitsTop(flake.x, prevY, flake.y)) {
+        this.settle(flake);
+        this.resetFlake(flake);
+      } else if (flake.y - flake.size > this.height) {
+        this.resetFlake(flake);
+      }
+    }
+
+    // Slow melt keeps the pile from growing forever
+    const melt = SNOW.MELT_RATE * deltaTime;
+    for (let i = 0; i < this.depths.length; i++) {
+      this.depths[i] = Math.max(0, this.depths[i] - melt);
+    }
+  }
+
+  draw(ctx, palette) {
+    if (!this.isActive) return;
+    this.cardBounds.refresh(ctx.canvas);
+
+    const color =
+      palette?.timePeriod === TIME_PERIOD.NIGHT ? SNOW_NIGHT : SNOW_DAY;
+
+    for (const flake of this.flakes) {
+      ctx.beginPath();
+      ctx.arc(flake.x, flake.y, flake.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${color}, ${flake.opacity * this.screenFactor})`;
+      ctx.fill();
+    }
+
+    this.drawSettled(ctx, color);
+  }
+
+  /**
+   * Draw the snow resting on the card's top edge
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} color - RGB components
+   */
+  drawSettled(ctx, color) {
+    if (!this.depthRect || this.depths.length === 0) return;
+    const { BIN_WIDTH } = CONFIG.EFFECTS.SNOW;
+    const { left, top, right } = this.depthRect;
+
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    this.depths.forEach((depth, i) => {
+      ctx.lineTo(Math.min(right, left + (i + 0.5) * BIN_WIDTH), top - depth);
+    });
+    ctx.lineTo(right, top);
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${color}, 0.85)`;
+    ctx.fill();
+  }
+}
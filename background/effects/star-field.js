@@ -0,0 +1,216 @@
+/**
+ * Background Animation System - Star Field Effect
+ *
+ * Seeded star field with several magnitudes, twinkling bright stars,
+ * occasional shooting stars and a slow sky rotation.
+ * Active during NIGHT, fading in through EVENING.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { createRandom } from "../random.js";
+import { createLayerCanvas } from "../renderer/canvas.js";
+import { BaseEffect } from "./base-effect.js";
+
+/**
+ * @typedef {Object} Star
+ * @property {number} x - X offset from the rotation center
+ * @property {number} y - Y offset from the rotation center
+ * @property {number} size - Radius
+ * @property {number} opacity - Base opacity
+ * @property {number} twinkleSpeed - Twinkle speed
+ * @property {number} phase - Twinkle phase offset
+ */
+
+/**
+ * @typedef {Object} ShootingStar
+ * @property {number} x - Start X position
+ * @property {number} y - Start Y position
+ * @property {number} angle - Direction of travel in radians
+ * @property {number} age - Time since it appeared in milliseconds
+ */
+
+/**
+ * Star Field Effect
+ * @extends BaseEffect
+ */
+export class StarField extends BaseEffect {
+  constructor() {
+    super({ [TIME_PERIOD.EVENING]: 0.3, [TIME_PERIOD.NIGHT]: 1 });
+    // Stars only show through a clear or partly cloudy sky
+    this.setWeatherIntensity({ [WEATHER.CLEAR]: 1, [WEATHER.CLOUDY]: 0.3 });
+    /** @type {Star[]} Stars drawn every frame */
+    this.brightStars = [];
+    /** @type {ShootingStar|null} */
+    this.shootingStar = null;
+    this.nextShootingStar = 0;
+    // Offscreen layer holding the faint stars, sized to the screen diagonal
+    // so the rotation never uncovers an empty corner
+    this.cache = null;
+    this.cacheSize = 0;
+  }
+
+  init() {
+    const { STARS } = CONFIG.EFFECTS;
+    const random = createRandom(STARS.SEED);
+    this.cacheSize = Math.ceil(Math.hypot(this.width, this.height));
+    const half = this.cacheSize / 2;
+
+    const faintStars = [];
+    this.brightStars = [];
+    for (let i = 0; i < STARS.COUNT; i++) {
+      const magnitude = pickMagnitude(STARS.MAGNITUDES, random());
+      const star = {
+        x: (random() - 0.5) * this.cacheSize,
+        y: (random() - 0.5) * this.cacheSize,
+        size:
+          magnitude.size.min +
+          random() * (magnitude.size.max - magnitude.size.min),
+        opacity:
+          magnitude.opacity.min +
+          random() * (magnitude.opacity.max - magnitude.opacity.min),
+        twinkleSpeed:
+          STARS.TWINKLE_SPEED.min +
+          random() * (STARS.TWINKLE_SPEED.max - STARS.TWINKLE_SPEED.min),
+        phase: random() * Math.PI * 2,
+      };
+      if (magnitude === STARS.MAGNITUDES[0]) {
+        faintStars.push(star);
+      } else {
+        this.brightStars.push(star);
+      }
+    }
+
+    this.renderCache(faintStars, half);
+    this.shootingStar = null;
+    this.scheduleShootingStar();
+  }
+
+  /**
+   * Bake the faint stars into the offscreen layer
+   * @param {Star[]} stars
+   * @param {number} half - Half the cache size (rotation center)
+   */
+  renderCache(stars, half) {
+    this.cache = createLayerCanvas(this.cacheSize, this.cacheSize);
+    const ctx = this.cache.getContext("2d");
+
+    for (const star of stars) {
+      ctx.beginPath();
+      ctx.arc(half + star.x, half + star.y, star.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(235, 240, 255, ${star.opacity})`;
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Pick a random delay until the next shooting star
+   */
+  scheduleShootingStar() {
+    const { INTERVAL } = CONFIG.EFFECTS.STARS.SHOOTING;
+    this.nextShootingStar =
+      INTERVAL.min + this.random() * (INTERVAL.max - INTERVAL.min);
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+    const { SHOOTING } = CONFIG.EFFECTS.STARS;
+
+    if (this.shootingStar) {
+      this.shootingStar.age += deltaTime;
+      if (this.shootingStar.age > SHOOTING.DURATION) this.shootingStar = null;
+    }
+
+    this.nextShootingStar -= deltaTime;
+    if (this.nextShootingStar <= 0 && !this.shootingStar) {
+      // Streak diagonally down from the upper half of the sky
+      const direction = this.random() < 0.5 ? 1 : -1;
+      this.shootingStar = {
+        x: this.width * (0.2 + this.random() * 0.6),
+        y: this.height * this.random() * 0.4,
+        angle: Math.PI / 2 - direction * (0.6 + this.random() * 0.5),
+        age: 0,
+      };
+      this.scheduleShootingStar();
+    }
+  }
+
+  draw(ctx) {
+    if (!this.isActive || !this.cache) return;
+    const { STARS } = CONFIG.EFFECTS;
+
+    ctx.save();
+    ctx.translate(this.width / 2, this.height / 2);
+    ctx.rotate(this.time * STARS.ROTATION_SPEED);
+
+    const half = this.cacheSize / 2;
+    ctx.drawImage(this.cache, -half, -half, this.cacheSize, this.cacheSize);
+
+    for (const star of this.brightStars) {
+      const twinkle =
+        1 -
+        STARS.TWINKLE_DEPTH *
+          (0.5 + 0.5 * Math.sin(this.time * star.twinkleSpeed + star.phase));
+      ctx.beginPath();
+      ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(240, 244, 255, ${star.opacity * twinkle})`;
+      ctx.fill();
+    }
+    ctx.restore();
+
+    this.drawShootingStar(ctx);
+  }
+
+  /**
+   * Draw the current shooting star, if any
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawShootingStar(ctx) {
+    if (!this.shootingStar) return;
+    const { SPEED, LENGTH, DURATION } = CONFIG.EFFECTS.STARS.SHOOTING;
+    const { x, y, angle, age } = this.shootingStar;
+
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const headX = x + dx * SPEED * age;
+    const headY = y + dy * SPEED * age;
+    const tailLength = Math.min(LENGTH, SPEED * age);
+    // Fade in quickly and burn out toward the end
+    const life = age / DURATION;
+    const opacity = Math.min(1, life * 6) * (1 - life);
+
+    const trail = ctx.createLinearGradient(
+      headX,
+      headY,
+      headX - dx * tailLength,
+      headY - dy * tailLength,
+    );
+    trail.addColorStop(0, `rgba(255, 255, 255, ${0.9 * opacity})`);
+    trail.addColorStop(1, "rgba(255, 255, 255, 0)");
+
+    ctx.beginPath();
+    ctx.moveTo(headX, headY);
+    ctx.lineTo(headX - dx * tailLength, headY - dy * tailLength);
+    ctx.strokeStyle = trail;
+    ctx.lineWidth = 1.5;
+    ctx.lineCap = "round";
+    ctx.stroke();
+  }
+}
+
+/**
+ * Pick a magnitude class by its share of the star count
+ * @param {{share: number}[]} magnitudes
+ * @param {number} roll - Random value in [0, 1)
+ * @returns {Object} Magnitude config
+ */
+function pickMagnitude(magnitudes, roll) {
+  let total = 0;
+  for (const magnitude of magnitudes) {
+    total += magnitude.share;
+    if (roll < total) return magnitude;
+  }
+  return magnitudes[magnitudes.length - 1];
+}
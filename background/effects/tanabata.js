@@ -0,0 +1,109 @@
+/**
+ * Background Animation System - Tanabata Effect
+ *
+ * The Milky Way across the sky with Vega (Orihime) and Altair (Hikoboshi)
+ * shining on either side. Enabled by calendar rules on July 7.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { BaseEffect } from "./base-effect.js";
+
+// The two lovers' stars, in screen fractions on either bank of the river
+const VEGA = { x: 0.3, y: 0.18, color: "225, 235, 255" };
+const ALTAIR = { x: 0.72, y: 0.42, color: "255, 245, 225" };
+
+/**
+ * @typedef {Object} Star
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} size - Radius
+ * @property {number} brightness - Base opacity
+ * @property {number} phase - Twinkle phase offset
+ */
+
+/**
+ * Tanabata Milky Way Effect
+ * @extends BaseEffect
+ */
+export class TanabataSky extends BaseEffect {
+  constructor() {
+    super({ [TIME_PERIOD.EVENING]: 0.4, [TIME_PERIOD.NIGHT]: 1 });
+    /** @type {Star[]} */
+    this.stars = [];
+  }
+
+  init() {
+    this.stars = [];
+    const { STAR_COUNT, BAND_WIDTH } = CONFIG.EFFECTS.TANABATA;
+
+    // Scatter stars around the diagonal band from top right to bottom left
+    for (let i = 0; i < STAR_COUNT; i++) {
+      const t = this.random();
+      const spread = (this.random() + this.random() - 1) * BAND_WIDTH;
+      this.stars.push({
+        x: (1 - t + spread) * this.width,
+        y: (t + spread * 0.5) * this.height,
+        size: this.random() < 0.1 ? 1.4 : 0.4 + this.random() * 0.7,
+        brightness: 0.25 + this.random() * 0.55,
+        phase: this.random() * Math.PI * 2,
+      });
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+  }
+
+  draw(ctx) {
+    if (!this.isActive) return;
+    const { BAND_WIDTH, TWINKLE_SPEED } = CONFIG.EFFECTS.TANABATA;
+
+    // Soft glow of the river itself, rotated along the diagonal
+    const diagonal = Math.hypot(this.width, this.height);
+    const halfBand = diagonal * BAND_WIDTH * 0.5;
+    ctx.save();
+    ctx.translate(this.width / 2, this.height / 2);
+    ctx.rotate(Math.atan2(this.height, -this.width));
+    const band = ctx.createLinearGradient(0, -halfBand, 0, halfBand);
+    band.addColorStop(0, "transparent");
+    band.addColorStop(0.5, "rgba(190, 200, 255, 0.08)");
+    band.addColorStop(1, "transparent");
+    ctx.fillStyle = band;
+    ctx.fillRect(-diagonal / 2, -halfBand, diagonal, halfBand * 2);
+    ctx.restore();
+
+    for (const star of this.stars) {
+      const twinkle =
+        0.7 + Math.sin(this.time * TWINKLE_SPEED + star.phase) * 0.3;
+      ctx.beginPath();
+      ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(235, 240, 255, ${star.brightness * twinkle})`;
+      ctx.fill();
+    }
+
+    this.drawBrightStar(ctx, VEGA);
+    this.drawBrightStar(ctx, ALTAIR);
+  }
+
+  /**
+   * Draw a named bright star with a glow
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {{x: number, y: number, color: string}} star
+   */
+  drawBrightStar(ctx, star) {
+    const x = star.x * this.width;
+    const y = star.y * this.height;
+    const pulse = 0.85 + Math.sin(this.time * 0.0015 + star.x * 10) * 0.15;
+
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, 14);
+    glow.addColorStop(0, `rgba(${star.color}, ${0.9 * pulse})`);
+    glow.addColorStop(0.25, `rgba(${star.color}, ${0.35 * pulse})`);
+    glow.addColorStop(1, "transparent");
+    ctx.beginPath();
+    ctx.arc(x, y, 14, 0, Math.PI * 2);
+    ctx.fillStyle = glow;
+    ctx.fill();
+  }
+}
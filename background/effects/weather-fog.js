@@ -0,0 +1,114 @@
+/**
+ * Background Animation System - Weather Fog Effect
+ *
+ * Slow, dense fog banks drifting across the whole screen.
+ * Active in any time period when the weather is foggy.
+ */
+
+import { TIME_PERIOD } from "../time.js";
+import { CONFIG } from "../config.js";
+import { WEATHER } from "../weather.js";
+import { BaseEffect } from "./base-effect.js";
+
+// Fog colors - neutral gray by day, muted blue by night
+const FOG_DAY = "225, 228, 232";
+const FOG_NIGHT = "90, 100, 120";
+
+/**
+ * @typedef {Object} FogBank
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} width - Bank width
+ * @property {number} height - Bank height
+ * @property {number} speed - Horizontal drift speed
+ * @property {number} opacity - Base opacity
+ * @property {number} phase - Animation phase offset
+ */
+
+/**
+ * Weather Fog Effect
+ * @extends BaseEffect
+ */
+export class WeatherFog extends BaseEffect {
+  constructor() {
+    super(Object.values(TIME_PERIOD));
+    this.setWeatherIntensity({
+      [WEATHER.FOG]: 1,
+      [WEATHER.SNOW]: 0.3,
+    });
+    /** @type {FogBank[]} */
+    this.banks = [];
+  }
+
+  init() {
+    this.banks = [];
+    const { FOG } = CONFIG.EFFECTS;
+
+    // Use cached dimensions from base class
+    for (let i = 0; i < FOG.COUNT; i++) {
+      this.banks.push({
+        x: this.random() * this.width,
+        y: this.height * (0.15 + (i / FOG.COUNT) * 0.85),
+        width: FOG.WIDTH.min + this.random() * (FOG.WIDTH.max - FOG.WIDTH.min),
+        height:
+          FOG.HEIGHT.min + this.random() * (FOG.HEIGHT.max - FOG.HEIGHT.min),
+        speed: FOG.SPEED.min + this.random() * (FOG.SPEED.max - FOG.SPEED.min),
+        opacity:
+          FOG.OPACITY.min + this.random() * (FOG.OPACITY.max - FOG.OPACITY.min),
+        phase: this.random() * Math.PI * 2,
+      });
+    }
+  }
+
+  update(deltaTime) {
+    if (!this.isActive) return;
+    this.time += deltaTime;
+
+    for (const bank of this.banks) {
+      // Alternate drift direction for a layered, churning look
+      bank.x += bank.speed * deltaTime * (bank.phase > Math.PI ? 1 : -1);
+
+      if (bank.x - bank.width > this.width) bank.x = -bank.width;
+      if (bank.x + bank.width < 0) bank.x = this.width + bank.width;
+    }
+  }
+
+  draw(ctx, palette) {
+    if (!this.isActive || !palette) return;
+
+    const color =
+      palette.timePeriod === TIME_PERIOD.NIGHT ? FOG_NIGHT : FOG_DAY;
+
+    for (const bank of this.banks) {
+      const breathe = 0.8 + Math.sin(this.time * 0.0003 + bank.phase) * 0.2;
+      const opacity = bank.opacity * breathe;
+
+      const gradient = ctx.createRadialGradient(
+        bank.x,
+        bank.y,
+        0,
+        bank.x,
+        bank.y,
+        bank.width * 0.6,
+      );
+      gradient.addColorStop(0, `rgba(${color}, ${opacity})`);
+      gradient.addColorStop(0.4, `rgba(${color}, ${opacity * 0.6})`);
+      gradient.addColorStop(1, "transparent");
+
+      ctx.save();
+      // Stretch horizontally into a flat bank
+      ctx.translate(bank.x, bank.y);
+      ctx.scale(1, bank.height / bank.width);
+      ctx.translate(-bank.x, -bank.y);
+      ctx.beginPath();
+      ctx.arc(bank.x, bank.y, bank.width * 0.6, 0, Math.PI * 2);
+      ctx.fillStyle = gradient;
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Even veil so distant shapes wash out
+    ctx.fillStyle = `rgba(${color}, 0.12)`;
+    ctx.fillRect(0, 0, this.width, this.height);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Background Animation System - Events Module
+ *
+ * Minimal event emitter for background lifecycle and condition changes.
+ * Every event is mirrored as a DOM CustomEvent on `document`
+ * (e.g. `background:periodchange`) so non-module scripts can listen too.
+ */
+
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("Background");
+
+/**
+ * Event names emitted by the background system
+ * @type {Object<string, string>}
+ */
+export const BACKGROUND_EVENT = {
+  PERIOD_CHANGE: "periodchange",
+  PALETTE_CHANGE: "palettechange",
+  WEATHER_CHANGE: "weatherchange",
+  SEASON_CHANGE: "seasonchange",
+  CALENDAR_CHANGE: "calendarchange",
+  QUALITY_CHANGE: "qualitychange",
+  PAUSE: "pause",
+  RESUME: "resume",
+  DESTROY: "destroy",
+};
+
+// Prefix for the mirrored DOM events
+const DOM_EVENT_PREFIX = "background:";
+
+/**
+ * Create an event emitter
+ * @returns {{on: Function, off: Function, emit: Function, clear: Function}}
+ */
+export function createEmitter() {
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  /**
+   * Unsubscribe a handler
+   * @param {string} event - Event name
+   * @param {Function} handler - Previously subscribed handler
+   */
+  const off = (event, handler) => {
+    listeners.get(event)?.delete(handler);
+  };
+
+  return {
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name (see BACKGROUND_EVENT)
+     * @param {(detail: Object) => void} handler - Receives the event detail
+     * @returns {() => void} Unsubscribe function
+     */
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => off(event, handler);
+    },
+
+    off,
+
+    /**
+     * Notify subscribers and dispatch the matching DOM event
+     * @param {string} event - Event name
+     * @param {Object} [detail] - Event payload
+     */
+    emit(event, detail = {}) {
+      for (const handler of [...(listeners.get(event) || [])]) {
+        try {
+          handler(detail);
+        } catch (error) {
+          // One failing listener must not break the others or the renderer
+          logger.error(`"${event}" listener failed:`, error);
+        }
+      }
+
+      if (typeof document !== "undefined") {
+        document.dispatchEvent(
+          new CustomEvent(DOM_EVENT_PREFIX + event, { detail }),
+        );
+      }
+    },
+
+    /**
+     * Remove all subscribers
+     */
+    clear() {
+      listeners.clear();
+    },
+  };
+}
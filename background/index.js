@@ -2,128 +2,665 @@
  * Background Animation System - Main Entry Point
  *
  * Orchestrates all modules to create a dynamic, context-aware background.
- * Responds to time of day.
+ * Responds to time of day, the season, calendar events and, with a weather
+ * provider, to the weather.
  *
  * Usage:
  *   import { initBackground } from './background/index.js';
  *   initBackground();
+ *   initBackground({ timeMode: 'solar' });
+ *   initBackground({ container: el, config: { LIGHT_ORBS: { COUNT: 10 } } });
+ *   initBackground({ weatherProvider: createJsonWeatherProvider('/weather.json') });
+ *   initBackground({ worker: false }); // always draw on the main thread
+ *   initBackground({ quality: 'low' }); // fixed tier instead of adaptive
+ *   initBackground({ maxFps: 30, batterySaver: false });
+ *   initBackground({ backend: 'webgl' }); // shaders, Canvas 2D if unavailable
+ *   initBackground({ seed: 42 }); // same layout on every load
+ *   initBackground({ interactive: false }); // ignore the pointer
+ *   initBackground({ parallax: false }); // no depth shift on tilt
+ *
+ * Custom effects (BaseEffect subclasses) are added with registerEffect(),
+ * either the module export or the method on the returned API.
+ *
+ * The returned API exposes on()/off() for BACKGROUND_EVENT names; the same
+ * events are dispatched on `document` as `background:<name>` CustomEvents.
+ *
+ * Auto-initializes on load with `window.BACKGROUND_OPTIONS` unless
+ * `window.BACKGROUND_MANUAL_INIT` is set. A `?seed=` URL parameter overrides
+ * the seed, so a layout can be shared as a link.
  */
 
-import { getTimePeriod, getTimeTransition } from "./time.js";
-import { getColorPalette, applyPaletteToCss } from "./colors/index.js";
-import { BackgroundRenderer } from "./renderer/index.js";
+import {
+  TIME_MODE,
+  getCelestialProgress,
+  getClockSchedule,
+  getTimePeriod,
+  getTimeTransition,
+  isInTransition,
+} from "./time.js";
+import { estimateLocation, getSolarSchedule } from "./solar.js";
+import { CONFIG, configure } from "./config.js";
+import {
+  getColorPalette,
+  applyPaletteOverrides,
+  applyMoonPhase,
+  applyCelestialArc,
+  applyCelestialLightToCss,
+  applyPaletteToCss,
+} from "./colors/index.js";
+import { BackgroundRenderer, RENDER_BACKEND } from "./renderer/index.js";
+import { WorkerRenderer } from "./renderer/worker-renderer.js";
+import { QUALITY_AUTO } from "./quality.js";
+import { watchPowerSaving } from "./power.js";
+import { createSeed, parseSeed } from "./random.js";
+import { BACKGROUND_EVENT, createEmitter } from "./events.js";
+import { normalizeWeather } from "./weather.js";
+import { getSeason } from "./season.js";
+import { getMoonPhase } from "./moon.js";
+import {
+  DEFAULT_CALENDAR_URL,
+  getCalendarTheme,
+  loadCalendarRules,
+  parseCalendarRules,
+} from "./calendar.js";
+import {
+  registerEffect as addToRegistry,
+  unregisterEffect as removeFromRegistry,
+  hasCustomEffects,
+} from "./effects/index.js";
 import { createLogger } from "../utils/logger.js";
 
 const logger = createLogger("Background");
 
 /**
- * Whether the user asked the OS to minimize non-essential motion.
- * @returns {boolean}
+ * @typedef {Object} BackgroundOptions
+ * @property {HTMLElement} [container] - Element hosting the canvases
+ *   (defaults to document.body; other containers must be positioned)
+ * @property {() => Date} [clock] - Time source (defaults to the system clock)
+ * @property {Object} [config] - Partial CONFIG overrides, deep-merged
+ * @property {string|null} [timePeriod] - Force a time period (TIME_PERIOD)
+ * @property {string[]|null} [effects] - Registered effect names to enable
+ *   (built-in: 'mist', 'godRays', 'dust', 'eveningRays', 'fireflies', 'stars',
+ *   'clouds', 'lightning', 'rain', 'snow', 'fog', 'sakura', 'leaves', plus the
+ *   on-demand 'fireworks', 'tanabata', 'confetti'); null = all
+ * @property {'clock'|'solar'} [timeMode] - Fixed hours or sun position
+ * @property {import('./solar.js').GeoLocation} [location] - Observer location
+ *   for solar mode (estimated from the time zone when omitted)
+ * @property {import('./weather.js').WeatherProvider|null} [weatherProvider] -
+ *   Weather source (none = time of day only)
+ * @property {import('./weather.js').WeatherKey|null} [weather] - Force a weather
+ * @property {boolean} [seasonal] - Tint the palette and add effects for the
+ *   season of the clock's date (hemisphere from `location`)
+ * @property {import('./season.js').SeasonKey|null} [season] - Force a season
+ * @property {string|import('./calendar.js').CalendarRule[]|null} [calendar] -
+ *   Special event rules: URL of a rules JSON file, the rules themselves, or
+ *   null for none (defaults to background/calendar.json)
+ * @property {import('./quality.js').QualityMode} [quality] - Fixed quality
+ *   tier ('low', 'medium', 'high'), or 'auto' to step tiers to hold the
+ *   target frame rate (default)
+ * @property {number|null} [maxFps] - Frame-rate cap (null =
+ *   CONFIG.FRAME_RATE.MAX_FPS, 0 = uncapped)
+ * @property {boolean} [batterySaver] - Drop to CONFIG.BATTERY_SAVER.FPS (or a
+ *   static frame) on low battery or when the browser asks to save data
+ * @property {boolean} [worker] - Draw in a Web Worker via OffscreenCanvas when
+ *   supported and no custom effects are registered (falls back to the main
+ *   thread otherwise)
+ * @property {'canvas'|'webgl'} [backend] - Draw the sky, sun/moon light,
+ *   bokeh and god rays with WebGL shaders ('webgl'), falling back to Canvas
+ *   2D when WebGL is unavailable (default 'canvas')
+ * @property {number|string|null} [seed] - Scene seed for the orb, shape and
+ *   effect layouts; the same seed and viewport size give the same scene.
+ *   Text is hashed to a seed (null = random on each load)
+ * @property {boolean} [interactive] - Bokeh orbs drift away from the mouse
+ *   or finger, fireflies gather around it and mist parts for it (always off
+ *   under reduced motion)
+ * @property {boolean} [parallax] - Shift the orb depth layers, shapes and the
+ *   sun/moon light by depth as the phone tilts (mouse position on desktop).
+ *   iOS asks for motion access on the first tap (always off under reduced
+ *   motion)
  */
-function prefersReducedMotion() {
-  return (
-    typeof window !== "undefined" &&
-    typeof window.matchMedia === "function" &&
-    window.matchMedia("(prefers-reduced-motion: reduce)").matches
-  );
-}
+
+/** @type {BackgroundOptions} */
+const DEFAULT_OPTIONS = {
+  container: null,
+  clock: () => new Date(),
+  config: {},
+  timePeriod: null,
+  effects: null,
+  timeMode: TIME_MODE.CLOCK,
+  location: null,
+  weatherProvider: null,
+  weather: null,
+  seasonal: true,
+  season: null,
+  calendar: DEFAULT_CALENDAR_URL,
+  quality: QUALITY_AUTO,
+  maxFps: null,
+  batterySaver: true,
+  worker: true,
+  backend: RENDER_BACKEND.CANVAS,
+  seed: null,
+  interactive: true,
+  parallax: true,
+};
 
 // Global state
 let renderer = null;
+const emitter = createEmitter();
+/** @type {BackgroundOptions} */
+let options = { ...DEFAULT_OPTIONS };
 let updateInterval = null;
+let weatherTimer = null;
+// Last weather reported by the provider
+let providerWeather = null;
+/** @type {import('./calendar.js').CalendarRule[]} */
+let calendarRules = [];
+// Quality tier last reported by the renderer
+let qualityTier = null;
+// Low battery or Save-Data reported by the browser
+let powerSaving = false;
+let unwatchPower = null;
+// Set once the render worker fails, so rebuilds stay on the main thread
+let workerFailed = false;
+// Resolved scene seed (options.seed, or a random one)
+let seed = null;
+// Conditions pinned from the debug panel until cleared
+let debugConditions = null;
 let currentState = {
   timePeriod: null,
   palette: null,
+  transition: null,
+  weather: null,
+  season: null,
+  calendarEvents: [],
 };
 
 /**
  * Initialize the background animation system
+ * @param {BackgroundOptions} [initOptions] - Initialization options
  * @returns {Object} API for controlling the background
  */
-export async function initBackground() {
+export async function initBackground(initOptions = {}) {
   logger.log(" Initializing dynamic background system...");
 
-  // Create and initialize renderer
-  renderer = new BackgroundRenderer();
-  renderer.init();
+  options = { ...DEFAULT_OPTIONS, ...initOptions };
+  debugConditions = null;
+  configure(options.config);
+  seed = resolveSeed(options.seed);
 
-  // Get initial conditions
-  updateConditions();
-
-  // Start animation
-  renderer.start();
+  // Create renderer, apply initial conditions and start animation
+  createRenderer();
 
   // Setup periodic updates
   startPeriodicUpdates();
+  startWeatherUpdates();
+  startPowerSaver();
+  loadCalendar();
 
   logger.log(" Background system initialized", {
     timePeriod: currentState.timePeriod,
+    timeMode: options.timeMode,
   });
 
   // Return public API
   return {
-    pause: () => renderer?.pause(),
-    resume: () => renderer?.resume(),
+    pause: () => {
+      renderer?.pause();
+      emitter.emit(BACKGROUND_EVENT.PAUSE);
+    },
+    resume: () => {
+      renderer?.resume();
+      emitter.emit(BACKGROUND_EVENT.RESUME);
+    },
     destroy: () => {
       stopPeriodicUpdates();
+      stopWeatherUpdates();
       renderer?.destroy();
       renderer = null;
+      stopPowerSaver();
+      emitter.emit(BACKGROUND_EVENT.DESTROY);
+      emitter.clear();
     },
     refresh: () => updateConditions(),
-    getState: () => ({ ...currentState }),
+    getState: () => ({ ...currentState, quality: qualityTier, seed }),
+    setOptions,
+    registerEffect,
+    unregisterEffect,
+    on: emitter.on,
+    off: emitter.off,
   };
 }
 
+/**
+ * Register an effect and pick it up in the running renderer
+ * @param {import('./effects/registry.js').EffectDefinition} definition
+ */
+export function registerEffect(definition) {
+  addToRegistry(definition);
+
+  // Custom effects can't run in the worker; move rendering to the main thread
+  if (renderer instanceof WorkerRenderer && hasCustomEffects()) {
+    renderer.destroy();
+    createRenderer();
+    return;
+  }
+  renderer?.syncEffects();
+}
+
+/**
+ * Remove a registered effect from the registry and the running renderer
+ * @param {string} name - Effect name
+ * @returns {boolean} Whether an effect was removed
+ */
+export function unregisterEffect(name) {
+  const removed = removeFromRegistry(name);
+  if (removed) renderer?.syncEffects();
+  return removed;
+}
+
+/**
+ * Create, initialize and start a renderer for the current options
+ */
+function createRenderer() {
+  const rendererOptions = {
+    container: options.container,
+    effects: options.effects,
+    quality: options.quality,
+    onQualityChange: handleQualityChange,
+    maxFps: options.maxFps,
+    backend: options.backend,
+    seed,
+    interactive: options.interactive,
+    parallax: options.parallax,
+  };
+  const useWorker =
+    options.worker &&
+    !workerFailed &&
+    !hasCustomEffects() &&
+    WorkerRenderer.isSupported();
+
+  renderer = useWorker
+    ? new WorkerRenderer({
+        ...rendererOptions,
+        config: options.config,
+        onError: handleWorkerError,
+      })
+    : new BackgroundRenderer(rendererOptions);
+  renderer.init();
+  handleQualityChange(renderer.getQualityTier());
+
+  // Get initial conditions
+  updateConditions({ force: true });
+
+  // Start animation
+  renderer.start();
+  renderer.setBatterySaver(options.batterySaver && powerSaving);
+}
+
+/**
+ * Track the renderer's quality tier and announce changes
+ * @param {import('./quality.js').QualityTier|null} tier - Null while unknown
+ */
+function handleQualityChange(tier) {
+  if (!tier || tier === qualityTier) return;
+  const previousQuality = qualityTier;
+  qualityTier = tier;
+  logger.log(" Quality tier:", tier);
+  emitter.emit(BACKGROUND_EVENT.QUALITY_CHANGE, {
+    quality: tier,
+    previousQuality,
+  });
+}
+
+/**
+ * Rebuild on the main thread after the render worker failed
+ * @param {Error} error
+ */
+function handleWorkerError(error) {
+  logger.warn("Render worker failed, drawing on the main thread:", error);
+  workerFailed = true;
+  createRenderer();
+}
+
+/**
+ * Turn a seed option into a scene seed, picking a random one when unset
+ * @param {number|string|null} value - Seed option
+ * @returns {number}
+ */
+function resolveSeed(value) {
+  return parseSeed(value) ?? createSeed();
+}
+
+/**
+ * Reconfigure a running background. Only the given keys change; pass
+ * `null` for a key to restore its default.
+ * @param {BackgroundOptions} nextOptions - Partial options
+ */
+function setOptions(nextOptions = {}) {
+  const previous = options;
+  options = { ...options };
+  for (const [key, value] of Object.entries(nextOptions)) {
+    options[key] = value ?? DEFAULT_OPTIONS[key];
+  }
+
+  if ("config" in nextOptions) configure(options.config);
+  if ("seed" in nextOptions) seed = resolveSeed(options.seed);
+
+  // Counts, sizes, the host element, the render thread and the backend are
+  // fixed when systems are built, so those changes need a fresh renderer
+  const needsRebuild =
+    "config" in nextOptions ||
+    options.container !== previous.container ||
+    options.worker !== previous.worker ||
+    options.backend !== previous.backend;
+
+  if (renderer && needsRebuild) {
+    renderer.destroy();
+    createRenderer();
+  } else {
+    if (renderer && "effects" in nextOptions) {
+      renderer.setEnabledEffects(options.effects);
+    }
+    if (renderer && "quality" in nextOptions) {
+      renderer.setQualityMode(options.quality);
+    }
+    if (renderer && "maxFps" in nextOptions) {
+      renderer.setMaxFps(options.maxFps);
+    }
+    if (renderer && "seed" in nextOptions) {
+      renderer.setSeed(seed);
+    }
+    if (renderer && "interactive" in nextOptions) {
+      renderer.setInteractive(options.interactive);
+    }
+    if (renderer && "parallax" in nextOptions) {
+      renderer.setParallaxEnabled(options.parallax);
+    }
+    updateConditions({ force: true });
+  }
+
+  // Re-arm the tick in case the transition state changed
+  if (updateInterval) {
+    stopPeriodicUpdates();
+    startPeriodicUpdates();
+  }
+
+  if ("calendar" in nextOptions) {
+    calendarRules = [];
+    loadCalendar();
+  }
+
+  if ("batterySaver" in nextOptions) {
+    stopPowerSaver();
+    if (updateInterval) startPowerSaver();
+  }
+
+  if ("weatherProvider" in nextOptions) {
+    stopWeatherUpdates();
+    providerWeather = null;
+    if (updateInterval) startWeatherUpdates();
+    updateConditions();
+  }
+
+  logger.log(" Options updated", Object.keys(nextOptions));
+}
+
 /**
  * Update all environmental conditions and apply changes
+ * @param {{force?: boolean}} [params] - `force` re-applies an unchanged scene
  */
-function updateConditions() {
-  // Get time-based info
-  const timePeriod = getTimePeriod();
-  const timeTransition = getTimeTransition();
+function updateConditions({ force = false } = {}) {
+  // Debug overrides win over the options until cleared
+  const pinned = debugConditions || {};
+  const forcedPeriod = pinned.timePeriod || options.timePeriod;
+
+  // Get time-based info (a forced period never transitions)
+  const now = options.clock();
+  const schedule = getSchedule(now);
+  const timePeriod = forcedPeriod || getTimePeriod(now, schedule);
+  const timeTransition = forcedPeriod
+    ? { from: timePeriod, to: timePeriod, factor: 1 }
+    : getTimeTransition(now, schedule);
+  const weather = pinned.weather || options.weather || providerWeather;
+  const season =
+    pinned.season ||
+    options.season ||
+    (options.seasonal ? getSeasonAt(now) : null);
+
+  const calendar = getCalendarTheme(now, calendarRules);
+
+  // The sun/moon follows the clock; a forced period keeps its fixed position
+  const celestialProgress = forcedPeriod
+    ? null
+    : getCelestialProgress(now, schedule);
 
-  // Get color palette based on time
-  const palette = getColorPalette(
-    timeTransition.to,
-    timeTransition.factor,
-    timeTransition.from !== timeTransition.to ? timeTransition.from : null,
+  // Get color palette based on time, weather, season and moon phase, then
+  // let calendar events override individual entries
+  const palette = applyPaletteOverrides(
+    applyCelestialArc(
+      applyMoonPhase(
+        getColorPalette(
+          timeTransition.to,
+          timeTransition.factor,
+          timeTransition.from !== timeTransition.to
+            ? timeTransition.from
+            : null,
+          weather,
+          season,
+        ),
+        getMoonPhase(now),
+      ),
+      celestialProgress,
+    ),
+    calendar.palette,
   );
 
-  // Check if anything changed
-  const changed = currentState.timePeriod !== timePeriod;
+  // Check if anything changed. While a transition is in progress the palette
+  // moves every tick, and the tick after it ends must settle the final colors.
+  const changed =
+    force ||
+    !currentState.palette ||
+    currentState.timePeriod !== timePeriod ||
+    currentState.weather !== weather ||
+    currentState.season !== season ||
+    currentState.calendarEvents.join() !== calendar.names.join() ||
+    isInTransition(timeTransition) ||
+    isInTransition(currentState.transition);
 
-  // Update state
-  currentState = {
+  const nextState = {
     timePeriod,
     palette,
+    transition: timeTransition,
+    weather,
+    season,
+    calendarEvents: calendar.names,
   };
 
-  // Skip work when the time period is unchanged. Otherwise the 60s tick would
-  // re-init the renderer every minute, reshuffling all particles to fresh
-  // random positions (a visible teleport) even though the scene is identical.
-  if (!changed) return;
+  // Skip work when nothing is blending and the time period is unchanged, so
+  // the periodic tick doesn't touch the DOM or renderer for an identical scene.
+  // The sun/moon still follows its arc, without a full palette update.
+  if (!changed) {
+    if (hasCelestialMoved(currentState.palette, palette)) {
+      try {
+        moveCelestial(palette);
+      } catch (error) {
+        logger.warn("Could not move the sun/moon:", error);
+        return;
+      }
+    }
+    currentState = nextState;
+    return;
+  }
+
+  try {
+    // Apply CSS variables for neumorphic elements
+    applyPaletteToCss(palette);
+
+    // Update renderer
+    if (renderer) {
+      renderer.setRequestedEffects(calendar.effects);
+      renderer.updateConditions(
+        timePeriod,
+        palette,
+        timeTransition,
+        weather,
+        season,
+      );
+      // Reduced-motion and static battery-saver runs have no loop, so redraw
+      // once here.
+      if (renderer.isStatic()) renderer.renderStaticFrame();
+    }
+  } catch (error) {
+    // A malformed color (e.g. a palette override) keeps the previous scene;
+    // the state stays unchanged so the next tick tries again
+    logger.warn("Could not apply conditions:", error);
+    return;
+  }
 
-  // Apply CSS variables for neumorphic elements
-  applyPaletteToCss(palette);
+  // Update state
+  const previous = currentState;
+  currentState = nextState;
+  notifyConditions(previous);
 
-  // Update renderer
-  if (renderer) {
-    renderer.updateConditions(timePeriod, palette);
-    // Reduced-motion users run a single static frame, so redraw once here.
-    if (prefersReducedMotion()) renderer.renderStaticFrame();
+  logger.log(" Conditions updated", {
+    timePeriod,
+    weather,
+    season,
+    calendarEvents: calendar.names,
+  });
+}
+
+/**
+ * Whether the sun/moon moved between two palettes
+ * @param {import('./colors/palette.js').ColorPalette} previous
+ * @param {import('./colors/palette.js').ColorPalette} next
+ * @returns {boolean}
+ */
+function hasCelestialMoved(previous, next) {
+  const a = previous.celestial;
+  const b = next.celestial;
+  return Boolean(b) && (a?.x !== b.x || a?.y !== b.y);
+}
+
+/**
+ * Follow the sun/moon along its arc: only the light variables are rewritten
+ * and the renderer glides to the new position. No palettechange is emitted.
+ * @param {import('./colors/palette.js').ColorPalette} palette
+ */
+function moveCelestial(palette) {
+  applyCelestialLightToCss(palette);
+  if (!renderer) return;
+  renderer.setCelestialPosition(palette.celestial);
+  // Static renderers have no loop to draw the new position
+  if (renderer.isStatic()) renderer.renderStaticFrame();
+}
+
+/**
+ * Emit change events for the freshly applied state
+ * @param {typeof currentState} previous - State before this update
+ */
+function notifyConditions(previous) {
+  const { timePeriod, palette, transition, weather, season, calendarEvents } =
+    currentState;
+
+  if (timePeriod !== previous.timePeriod) {
+    emitter.emit(BACKGROUND_EVENT.PERIOD_CHANGE, {
+      timePeriod,
+      previousTimePeriod: previous.timePeriod,
+    });
+  }
+  if (weather !== previous.weather) {
+    emitter.emit(BACKGROUND_EVENT.WEATHER_CHANGE, {
+      weather,
+      previousWeather: previous.weather,
+    });
+  }
+  if (season !== previous.season) {
+    emitter.emit(BACKGROUND_EVENT.SEASON_CHANGE, {
+      season,
+      previousSeason: previous.season,
+    });
   }
+  if (calendarEvents.join() !== previous.calendarEvents.join()) {
+    emitter.emit(BACKGROUND_EVENT.CALENDAR_CHANGE, {
+      calendarEvents,
+      previousCalendarEvents: previous.calendarEvents,
+    });
+  }
+  emitter.emit(BACKGROUND_EVENT.PALETTE_CHANGE, {
+    timePeriod,
+    palette,
+    transition,
+  });
+}
+
+/**
+ * Get today's period boundaries for the configured time mode
+ * @param {Date} now - Reference time
+ * @returns {import('./time.js').PeriodBoundary[]}
+ */
+function getSchedule(now) {
+  if (options.timeMode !== TIME_MODE.SOLAR) return getClockSchedule();
+  return getSolarSchedule(now, options.location || estimateLocation(now));
+}
+
+/**
+ * Load the calendar rules for the current options, then re-apply
+ * conditions so today's events show up. A missing or broken rules file
+ * just means no special events.
+ */
+async function loadCalendar() {
+  const source = options.calendar;
+  if (!source) return;
+
+  let rules = [];
+  try {
+    rules =
+      typeof source === "string"
+        ? await loadCalendarRules(source)
+        : parseCalendarRules(source);
+  } catch (error) {
+    logger.warn("Calendar rules unavailable:", error);
+  }
+
+  // Options may have changed or the background been destroyed meanwhile
+  if (source !== options.calendar || !renderer) return;
+  calendarRules = rules;
+  updateConditions();
+}
 
-  logger.log(" Conditions updated", { timePeriod });
+/**
+ * Get the season at the observer's location
+ * @param {Date} now - Reference time
+ * @returns {import('./season.js').SeasonKey}
+ */
+function getSeasonAt(now) {
+  const { latitude } = options.location || estimateLocation(now);
+  return getSeason(now, latitude);
 }
 
 /**
  * Start periodic updates for smooth transitions
  */
 function startPeriodicUpdates() {
-  // Update every minute for smooth time transitions
-  updateInterval = setInterval(() => {
-    updateConditions();
-  }, 60000);
+  // Update every minute, or more often while a cross-fade is in progress or
+  // the sun/moon follows the clock along its arc
+  const arcMoving = !(debugConditions?.timePeriod || options.timePeriod);
+  const delay = Math.min(
+    isInTransition(currentState.transition)
+      ? CONFIG.TRANSITION.UPDATE_INTERVAL
+      : 60000,
+    arcMoving ? CONFIG.CELESTIAL.ARC.UPDATE_INTERVAL : 60000,
+  );
+
+  updateInterval = setTimeout(() => {
+    try {
+      updateConditions();
+    } finally {
+      // Keep ticking even if this update failed
+      startPeriodicUpdates();
+    }
+  }, delay);
 }
 
 /**
@@ -131,44 +668,154 @@ function startPeriodicUpdates() {
  */
 function stopPeriodicUpdates() {
   if (updateInterval) {
-    clearInterval(updateInterval);
+    clearTimeout(updateInterval);
     updateInterval = null;
   }
 }
 
 /**
- * Debug mode - allows testing different conditions
+ * Fetch the weather from the provider and reschedule the next poll.
+ * Failures keep the last known weather.
  */
-export function setDebugConditions(options = {}) {
+async function refreshWeather() {
+  const provider = options.weatherProvider;
+  if (!provider) return;
+
+  try {
+    const weather = normalizeWeather(await provider.getWeather());
+    // Provider may have been swapped or the background destroyed meanwhile
+    if (provider !== options.weatherProvider || !renderer) return;
+    if (weather && weather !== providerWeather) {
+      providerWeather = weather;
+      updateConditions();
+    }
+  } catch (error) {
+    logger.warn("Weather update failed:", error);
+  }
+
+  if (provider !== options.weatherProvider || !renderer) return;
+  const interval = provider.refreshInterval ?? CONFIG.WEATHER.REFRESH_INTERVAL;
+  if (interval > 0) {
+    weatherTimer = setTimeout(refreshWeather, interval);
+  }
+}
+
+/**
+ * Start polling the weather provider, if one is configured
+ */
+function startWeatherUpdates() {
+  refreshWeather();
+}
+
+/**
+ * Follow the battery and Save-Data state, if battery saver is enabled
+ */
+function startPowerSaver() {
+  if (!options.batterySaver) return;
+  unwatchPower = watchPowerSaving((saving) => {
+    powerSaving = saving;
+    logger.log(" Battery saver", saving ? "on" : "off");
+    renderer?.setBatterySaver(saving);
+  });
+}
+
+/**
+ * Stop following the power state and leave battery saver
+ */
+function stopPowerSaver() {
+  unwatchPower?.();
+  unwatchPower = null;
+  powerSaving = false;
+  renderer?.setBatterySaver(false);
+}
+
+/**
+ * Stop polling the weather provider
+ */
+function stopWeatherUpdates() {
+  if (weatherTimer) {
+    clearTimeout(weatherTimer);
+    weatherTimer = null;
+  }
+}
+
+/**
+ * Debug mode - pin the time period, weather and/or season. They stay pinned
+ * through the periodic updates until cleared; conditions left out follow the
+ * clock and the providers as usual.
+ * @param {{timePeriod?: string, weather?: string, season?: string}|null} [conditions] -
+ *   Conditions to pin, or null to clear the override
+ */
+export function setDebugConditions(conditions = null) {
   if (!renderer) {
     logger.warn("Renderer not initialized");
     return;
   }
 
-  const { timePeriod = currentState.timePeriod } = options;
+  debugConditions = conditions;
+  updateConditions({ force: true });
 
-  const palette = getColorPalette(timePeriod);
+  logger.log(
+    conditions ? " Debug conditions set" : " Debug conditions cleared",
+    conditions,
+  );
+}
 
-  currentState = {
-    timePeriod,
-    palette,
-  };
+/**
+ * Debug mode - fix the quality tier, or pass 'auto' to adapt again
+ * @param {import('./quality.js').QualityMode} quality
+ */
+export function setDebugQuality(quality) {
+  options = { ...options, quality };
+  renderer?.setQualityMode(quality);
+  logger.log(" Debug quality set", quality);
+}
 
-  applyPaletteToCss(palette);
-  renderer.updateConditions(timePeriod, palette);
+/**
+ * Debug mode - rebuild the scene from a seed
+ * @param {number|string|null} value - Seed, or null for a random one
+ * @returns {number} The seed now in use
+ */
+export function setDebugSeed(value) {
+  seed = resolveSeed(value);
+  options = { ...options, seed };
+  renderer?.setSeed(seed);
+  logger.log(" Debug seed set", seed);
+  return seed;
+}
 
-  logger.log(" Debug conditions set", options);
+/**
+ * Debug mode - get the scene seed in use
+ * @returns {number|null} Null before initialization
+ */
+export function getDebugSeed() {
+  return seed;
 }
 
 // Export constants for external use
-export { TIME_PERIOD } from "./time.js";
+export { TIME_PERIOD, TIME_MODE } from "./time.js";
+export { BACKGROUND_EVENT } from "./events.js";
+export { SEASON } from "./season.js";
+export { QUALITY_TIER, QUALITY_AUTO } from "./quality.js";
+export { RENDER_BACKEND } from "./renderer/index.js";
+export {
+  WEATHER,
+  createStaticWeatherProvider,
+  createJsonWeatherProvider,
+} from "./weather.js";
+export { BaseEffect, getScreenFactor, EFFECT_LAYER } from "./effects/index.js";
 
 // Auto-initialize when script loads (can be disabled by setting window.BACKGROUND_MANUAL_INIT)
 if (typeof window !== "undefined" && !window.BACKGROUND_MANUAL_INIT) {
+  const autoOptions = { ...window.BACKGROUND_OPTIONS };
+  const seedParam = new URLSearchParams(window.location.search).get("seed");
+  if (seedParam !== null) autoOptions.seed = seedParam;
   // Wait for DOM to be ready
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", () => initBackground());
+    document.addEventListener("DOMContentLoaded", () =>
+      initBackground(autoOptions),
+    );
   } else {
-    initBackground();
+    initBackground(autoOptions);
   }
 }
@@ -0,0 +1,38 @@
+/**
+ * Background Animation System - Moon Module
+ *
+ * Computes the lunar phase offline from the mean synodic month.
+ * Accurate to within about a day, which is plenty for visuals.
+ */
+
+// Mean length of a lunation in days
+const SYNODIC_MONTH = 29.530588853;
+
+// A known new moon: 2000-01-06 18:14 UTC
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14);
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * @typedef {Object} MoonPhase
+ * @property {number} phase - Position in the cycle (0 = new, 0.5 = full, 1 = new)
+ * @property {number} illumination - Lit fraction of the disc (0-1)
+ * @property {boolean} waxing - Whether the lit part is growing
+ */
+
+/**
+ * Get the lunar phase for a date
+ * @param {Date} [now] - Reference time
+ * @returns {MoonPhase}
+ */
+export function getMoonPhase(now = new Date()) {
+  const days = (now.getTime() - REFERENCE_NEW_MOON) / MS_PER_DAY;
+  const cycles = days / SYNODIC_MONTH;
+  const phase = cycles - Math.floor(cycles);
+
+  return {
+    phase,
+    illumination: (1 - Math.cos(phase * 2 * Math.PI)) / 2,
+    waxing: phase < 0.5,
+  };
+}
@@ -7,6 +7,8 @@
 
 import { TIME_PERIOD } from "./time.js";
 import { CONFIG } from "./config.js";
+import { createRandom } from "./random.js";
+import { createLayerCanvas } from "./renderer/canvas.js";
 
 /**
  * @typedef {Object} DepthLayerConfig
@@ -14,6 +16,8 @@ import { CONFIG } from "./config.js";
  * @property {number} speedMultiplier - Speed multiplier for this layer
  * @property {number} opacityMultiplier - Opacity multiplier for this layer
  * @property {number} count - Fraction of total orbs in this layer
+ * @property {number} depth - Nearness (0-1) scaling the parallax shift and
+ *   the pointer push
  */
 
 /**
@@ -34,9 +38,10 @@ let gradientCtx = null;
  */
 function getGradientCache() {
   if (!gradientCanvas) {
-    gradientCanvas = document.createElement("canvas");
-    gradientCanvas.width = GRADIENT_CACHE_SIZE;
-    gradientCanvas.height = GRADIENT_CACHE_SIZE;
+    gradientCanvas = createLayerCanvas(
+      GRADIENT_CACHE_SIZE,
+      GRADIENT_CACHE_SIZE,
+    );
     gradientCtx = gradientCanvas.getContext("2d");
 
     // Draw the gradient once - a soft radial falloff
@@ -75,6 +80,7 @@ const DEPTH_LAYERS = {
     speedMultiplier: 0.2,
     opacityMultiplier: 0.5,
     count: 0.35,
+    depth: 0.3,
   },
   // Middle layer
   middle: {
@@ -82,6 +88,7 @@ const DEPTH_LAYERS = {
     speedMultiplier: 0.5,
     opacityMultiplier: 0.7,
     count: 0.4,
+    depth: 0.6,
   },
   // Front/close - largest, most visible
   front: {
@@ -89,6 +96,7 @@ const DEPTH_LAYERS = {
     speedMultiplier: 0.8,
     opacityMultiplier: 1.0,
     count: 0.25,
+    depth: 1,
   },
 };
 
@@ -100,7 +108,7 @@ class LightOrb {
   /**
    * @param {Object} config - Orb configuration
    * @param {Object} depthLayer - Depth layer configuration
-   * @param {ParticleSystem} parent - Parent system for dimension access
+   * @param {ParticleSystem} parent - Parent system for dimension and random access
    */
   constructor(config, depthLayer, parent) {
     this.config = config;
@@ -114,31 +122,39 @@ class LightOrb {
     const layer = this.depthLayer;
 
     // Large, soft orbs
-    const baseSize = min + Math.random() * (max - min);
+    const baseSize = min + this.parent.random() * (max - min);
     this.size = baseSize * layer.sizeMultiplier;
 
     // Position - spread across viewport (use cached dimensions from parent)
     const w = this.parent.width;
     const h = this.parent.height;
-    this.x = Math.random() * w;
-    this.y = initial ? Math.random() * h : h + this.size * 0.5;
+    this.x = this.parent.random() * w;
+    this.y = initial ? this.parent.random() * h : h + this.size * 0.5;
 
     // Very slow, organic movement
-    this.phase = Math.random() * Math.PI * 2;
-    this.phaseY = Math.random() * Math.PI * 2;
-    this.phaseSize = Math.random() * Math.PI * 2;
+    this.phase = this.parent.random() * Math.PI * 2;
+    this.phaseY = this.parent.random() * Math.PI * 2;
+    this.phaseSize = this.parent.random() * Math.PI * 2;
 
     // Gentle drift parameters
-    this.amplitude = (20 + Math.random() * 30) * layer.sizeMultiplier;
-    this.frequency = 0.00008 + Math.random() * 0.00004;
+    this.amplitude = (20 + this.parent.random() * 30) * layer.sizeMultiplier;
+    this.frequency = 0.00008 + this.parent.random() * 0.00004;
 
     // Very slow upward drift
     this.speed =
-      this.config.speed * (0.3 + Math.random() * 0.4) * layer.speedMultiplier;
+      this.config.speed *
+      (0.3 + this.parent.random() * 0.4) *
+      layer.speedMultiplier;
 
     // Base opacity - very subtle
     this.baseOpacity = this.config.baseOpacity * layer.opacityMultiplier;
 
+    // Offsets from the pointer and the parallax, already included in x/y
+    this.pushX = 0;
+    this.pushY = 0;
+    this.shiftX = 0;
+    this.shiftY = 0;
+
     this.time = 0;
   }
 
@@ -153,6 +169,8 @@ class LightOrb {
     // Slow upward float
     this.y -= this.speed * deltaTime * 0.003;
 
+    this.updateOffsets(deltaTime);
+
     // Gentle size breathing
     this.currentSize =
       this.size * (0.95 + Math.sin(this.time * 0.0003 + this.phaseSize) * 0.05);
@@ -167,6 +185,46 @@ class LightOrb {
     }
   }
 
+  /**
+   * Ease away from the pointer (and back once it leaves), and follow the
+   * parallax shift. Nearer layers move further on both counts.
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  updateOffsets(deltaTime) {
+    const { RADIUS, DISTANCE, EASE } = CONFIG.LIGHT_ORBS.POINTER;
+    const { depth } = this.depthLayer;
+    const pointer = this.parent.pointer;
+    let targetX = 0;
+    let targetY = 0;
+
+    if (pointer) {
+      // Measure from the unpushed position so the orb settles
+      const dx = this.x - this.pushX - pointer.x;
+      const dy = this.y - this.pushY - pointer.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0 && distance < RADIUS) {
+        const push = (1 - distance / RADIUS) * DISTANCE * depth;
+        targetX = (dx / distance) * push;
+        targetY = (dy / distance) * push;
+      }
+    }
+
+    const ease = Math.min(1, deltaTime * EASE);
+    const pushX = this.pushX + (targetX - this.pushX) * ease;
+    const pushY = this.pushY + (targetY - this.pushY) * ease;
+
+    // The renderer already eases the parallax
+    const shiftX = this.parent.parallax.x * depth;
+    const shiftY = this.parent.parallax.y * depth;
+
+    this.x += pushX - this.pushX + shiftX - this.shiftX;
+    this.y += pushY - this.pushY + shiftY - this.shiftY;
+    this.pushX = pushX;
+    this.pushY = pushY;
+    this.shiftX = shiftX;
+    this.shiftY = shiftY;
+  }
+
   draw(ctx) {
     // Use cached gradient canvas for performance
     const cache = getGradientCache();
@@ -199,10 +257,22 @@ export class ParticleSystem {
       front: [],
     };
     this.timePeriod = TIME_PERIOD.NOON;
-
-    // Cached dimensions to avoid layout thrashing
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    // Orb count multiplier from the renderer's quality tier
+    this.countScale = 1;
+
+    // Layout seed (null = unseeded, see setSeed)
+    this.seed = null;
+    this.random = Math.random;
+
+    // Pointer position the orbs move away from (null = none)
+    this.pointer = null;
+    // Parallax shift of the nearest layer in px
+    this.parallax = { x: 0, y: 0 };
+
+    // Cached dimensions to avoid layout thrashing (workers have no window;
+    // the renderer resizes every system right after creating it)
+    this.width = typeof window !== "undefined" ? window.innerWidth : 0;
+    this.height = typeof window !== "undefined" ? window.innerHeight : 0;
   }
 
   /**
@@ -210,6 +280,7 @@ export class ParticleSystem {
    */
   init(timePeriod) {
     this.timePeriod = timePeriod;
+    this.random = createRandom(this.seed);
 
     // Clear existing
     this.layers = {
@@ -232,7 +303,7 @@ export class ParticleSystem {
     };
 
     // Total orb count
-    const totalCount = LIGHT_ORBS.COUNT;
+    const totalCount = LIGHT_ORBS.COUNT * this.countScale;
 
     // Create orbs for each depth layer
     for (const [layerName, layerConfig] of Object.entries(DEPTH_LAYERS)) {
@@ -246,6 +317,39 @@ export class ParticleSystem {
     }
   }
 
+  /**
+   * Seed the orb layout; applied on the next init()
+   * @param {number|null} seed - Integer seed (null = Math.random)
+   */
+  setSeed(seed) {
+    this.seed = seed;
+  }
+
+  /**
+   * Set the pointer position the orbs move away from
+   * @param {import('./pointer.js').PointerPosition|null} pointer - Null when
+   *   there is no pointer
+   */
+  setPointer(pointer) {
+    this.pointer = pointer;
+  }
+
+  /**
+   * Set the parallax shift; each layer moves by it times its depth
+   * @param {{x: number, y: number}} shift - Shift of the nearest layer in px
+   */
+  setParallax(shift) {
+    this.parallax = shift;
+  }
+
+  /**
+   * Scale the orb count; applied on the next init()
+   * @param {number} scale - Count multiplier (0-1)
+   */
+  setCountScale(scale) {
+    this.countScale = scale;
+  }
+
   /**
    * Update all orbs
    */
@@ -258,29 +362,36 @@ export class ParticleSystem {
   }
 
   /**
-   * Draw all orbs (back to front)
+   * Get all orbs back to front (also read by the WebGL backend)
+   * @returns {LightOrb[]}
    */
-  draw(ctx) {
+  getOrbs() {
     const drawOrder = ["far", "middle", "front"];
+    return drawOrder.flatMap((layerName) => this.layers[layerName]);
+  }
 
-    for (const layerName of drawOrder) {
-      for (const orb of this.layers[layerName]) {
-        orb.draw(ctx);
-      }
+  /**
+   * Draw all orbs (back to front)
+   */
+  draw(ctx) {
+    for (const orb of this.getOrbs()) {
+      orb.draw(ctx);
     }
   }
 
   /**
    * Handle canvas resize
    * Adjusts existing particle positions to maintain visual continuity
+   * @param {number} [width] - New width (defaults to window.innerWidth)
+   * @param {number} [height] - New height (defaults to window.innerHeight)
    */
-  resize() {
+  resize(width = window.innerWidth, height = window.innerHeight) {
     const oldWidth = this.width;
     const oldHeight = this.height;
 
     // Update cached dimensions
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    this.width = width;
+    this.height = height;
 
     // Adjust existing particle positions proportionally
     // This prevents visual discontinuity (particles jumping to new positions)
@@ -0,0 +1,74 @@
+/**
+ * Background Animation System - Pointer Module
+ *
+ * Follows the mouse, pen or finger so the background can react to it. The
+ * canvases keep `pointer-events: none`; events are read on the window, so
+ * the card and links above the background still get every click and touch.
+ */
+
+/**
+ * @typedef {Object} PointerPosition
+ * @property {number} x - X in drawing-area CSS pixels
+ * @property {number} y - Y in drawing-area CSS pixels
+ */
+
+/**
+ * Watch the pointer over the page
+ * @param {HTMLElement|null} container - Canvas host (null = full page)
+ * @param {(pointer: PointerPosition|null) => void} onChange - Called at most
+ *   once per animation frame with the latest position, or null when the
+ *   mouse leaves the window or the touch ends
+ * @returns {() => void} Stops watching
+ */
+export function watchPointer(container, onChange) {
+  const isFullPage = !container || container === document.body;
+  let latest = null;
+  let frame = null;
+
+  const flush = () => {
+    frame = null;
+    onChange(latest);
+  };
+
+  // Moves can fire several times per frame; report only the last one
+  const report = (pointer) => {
+    latest = pointer;
+    if (frame === null) frame = requestAnimationFrame(flush);
+  };
+
+  const handleMove = (event) => {
+    const offset = isFullPage
+      ? { left: 0, top: 0 }
+      : container.getBoundingClientRect();
+    report({ x: event.clientX - offset.left, y: event.clientY - offset.top });
+  };
+
+  // A lifted finger leaves no pointer behind; a mouse stays where it is
+  const handleUp = (event) => {
+    if (event.pointerType !== "mouse") report(null);
+  };
+
+  const handleOut = (event) => {
+    if (!event.relatedTarget) report(null);
+  };
+
+  const handleCancel = () => report(null);
+
+  window.addEventListener("pointermove", handleMove, { passive: true });
+  window.addEventListener("pointerdown", handleMove, { passive: true });
+  window.addEventListener("pointerup", handleUp, { passive: true });
+  window.addEventListener("pointercancel", handleCancel, { passive: true });
+  window.addEventListener("pointerout", handleOut, { passive: true });
+  window.addEventListener("blur", handleCancel);
+
+  return () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    window.removeEventListener("pointermove", handleMove);
+    window.removeEventListener("pointerdown", handleMove);
+    window.removeEventListener("pointerup", handleUp);
+    window.removeEventListener("pointercancel", handleCancel);
+    window.removeEventListener("pointerout", handleOut);
+    window.removeEventListener("blur", handleCancel);
+  };
+}
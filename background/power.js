@@ -0,0 +1,59 @@
+/**
+ * Background Animation System - Power Module
+ *
+ * Detects when the visitor would rather save power or data: a low,
+ * discharging battery (Battery Status API) or the Save-Data preference
+ * (`navigator.connection.saveData`). Either API may be missing.
+ */
+
+import { CONFIG } from "./config.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("Power");
+
+/**
+ * Watch the battery and data-saver state
+ * @param {(saving: boolean) => void} onChange - Called with the initial state
+ *   once known and whenever it changes
+ * @returns {() => void} Stops watching
+ */
+export function watchPowerSaving(onChange) {
+  const connection = typeof navigator !== "undefined" && navigator.connection;
+  let battery = null;
+  let saving = null;
+  let stopped = false;
+
+  const update = () => {
+    const lowBattery =
+      battery !== null &&
+      !battery.charging &&
+      battery.level <= CONFIG.BATTERY_SAVER.LOW_LEVEL;
+    const next = lowBattery || Boolean(connection?.saveData);
+    if (next === saving) return;
+    saving = next;
+    onChange(saving);
+  };
+
+  connection?.addEventListener?.("change", update);
+  update();
+
+  if (typeof navigator !== "undefined" && navigator.getBattery) {
+    navigator
+      .getBattery()
+      .then((manager) => {
+        if (stopped) return;
+        battery = manager;
+        battery.addEventListener("levelchange", update);
+        battery.addEventListener("chargingchange", update);
+        update();
+      })
+      .catch((error) => logger.warn("Battery status unavailable:", error));
+  }
+
+  return () => {
+    stopped = true;
+    connection?.removeEventListener?.("change", update);
+    battery?.removeEventListener("levelchange", update);
+    battery?.removeEventListener("chargingchange", update);
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Background Animation System - Quality Module
+ *
+ * Adaptive quality controller. Tracks a rolling average of frame times and
+ * steps between quality tiers to hold CONFIG.QUALITY.TARGET_FPS.
+ */
+
+import { CONFIG } from "./config.js";
+
+/**
+ * @typedef {'low'|'medium'|'high'} QualityTier
+ */
+
+/**
+ * @typedef {QualityTier|'auto'} QualityMode
+ */
+
+/**
+ * @typedef {Object} QualitySettings
+ * @property {number} ORB_SCALE - Light orb count multiplier
+ * @property {number} EFFECT_SCALE - Effect particle count multiplier
+ * @property {number} MAX_PIXEL_RATIO - Canvas pixel ratio cap
+ * @property {string[]} DISABLED_EFFECTS - Effect names switched off
+ */
+
+/**
+ * Quality tier constants
+ * @type {Object<string, QualityTier>}
+ */
+export const QUALITY_TIER = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+};
+
+// Adaptive mode: the controller picks the tier
+export const QUALITY_AUTO = "auto";
+
+// Tiers from cheapest to most detailed
+const TIER_ORDER = [QUALITY_TIER.LOW, QUALITY_TIER.MEDIUM, QUALITY_TIER.HIGH];
+
+/**
+ * Get the settings for a tier
+ * @param {QualityTier} tier
+ * @returns {QualitySettings}
+ */
+export function getQualitySettings(tier) {
+  return CONFIG.QUALITY.TIERS[tier];
+}
+
+/**
+ * Frame-time driven quality controller
+ */
+export class QualityManager {
+  /**
+   * @param {QualityMode} [mode] - Fixed tier, or 'auto' to adapt
+   */
+  constructor(mode = QUALITY_AUTO) {
+    /** @type {QualityTier} */
+    this.tier = QUALITY_TIER.HIGH;
+    this.adaptive = true;
+    this.samples = [];
+    this.sampleSum = 0;
+    // Sampled time since creation; drives cooldowns without a clock
+    this.elapsed = 0;
+    this.lastChange = 0;
+    this.lastUpgrade = -Infinity;
+    this.upgradeDelay = CONFIG.QUALITY.UPGRADE_DELAY;
+    // Frame-rate cap of the render loop (0 = uncapped)
+    this.frameRateCap = 0;
+    this.setMode(mode);
+  }
+
+  /**
+   * Lower the target to the render loop's frame-rate cap
+   * @param {number} fps - Cap in frames per second (0 = uncapped)
+   */
+  setFrameRateCap(fps) {
+    if (fps === this.frameRateCap) return;
+    this.frameRateCap = fps;
+    this.resetSamples();
+  }
+
+  /**
+   * Frame rate to hold: the configured target or a lower cap
+   * @returns {number}
+   */
+  getTargetFps() {
+    const { TARGET_FPS } = CONFIG.QUALITY;
+    return this.frameRateCap > 0
+      ? Math.min(TARGET_FPS, this.frameRateCap)
+      : TARGET_FPS;
+  }
+
+  /**
+   * Fix the tier or switch back to adaptive mode
+   * @param {QualityMode|null} mode - Tier, or 'auto'/null to adapt
+   * @returns {boolean} Whether the tier changed
+   */
+  setMode(mode) {
+    const previous = this.tier;
+    this.adaptive = !TIER_ORDER.includes(mode);
+    if (!this.adaptive) this.tier = mode;
+    this.resetSamples();
+    return this.tier !== previous;
+  }
+
+  /**
+   * Record a frame and step the tier if the average is off target
+   * @param {number} frameTime - Time since the previous frame (ms)
+   * @returns {boolean} Whether the tier changed
+   */
+  sample(frameTime) {
+    const { SAMPLE_SIZE, MAX_SAMPLE, COOLDOWN } = CONFIG.QUALITY;
+    if (!this.adaptive || !(frameTime > 0) || frameTime > MAX_SAMPLE) {
+      return false;
+    }
+
+    this.elapsed += frameTime;
+    this.samples.push(frameTime);
+    this.sampleSum += frameTime;
+    if (this.samples.length > SAMPLE_SIZE) {
+      this.sampleSum -= this.samples.shift();
+    }
+    if (this.samples.length < SAMPLE_SIZE) return false;
+    if (this.elapsed - this.lastChange < COOLDOWN) return false;
+
+    const average = this.sampleSum / this.samples.length;
+    const budget = 1000 / this.getTargetFps();
+    const index = TIER_ORDER.indexOf(this.tier);
+
+    if (average > budget * CONFIG.QUALITY.DOWNGRADE_RATIO && index > 0) {
+      // Undoing a recent upgrade: wait longer before trying it again
+      if (this.elapsed - this.lastUpgrade < this.upgradeDelay) {
+        this.upgradeDelay *= 2;
+      }
+      this.step(index - 1);
+      return true;
+    }
+
+    const canUpgrade =
+      index < TIER_ORDER.length - 1 &&
+      this.elapsed - this.lastChange >= this.upgradeDelay;
+    if (average < budget * CONFIG.QUALITY.UPGRADE_RATIO && canUpgrade) {
+      this.lastUpgrade = this.elapsed;
+      this.step(index + 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move to a tier and start a fresh measurement
+   * @param {number} index - Index into the tier order
+   */
+  step(index) {
+    this.tier = TIER_ORDER[index];
+    this.lastChange = this.elapsed;
+    this.resetSamples();
+  }
+
+  /**
+   * Discard frame times measured under the previous settings
+   */
+  resetSamples() {
+    this.samples = [];
+    this.sampleSum = 0;
+  }
+
+  /**
+   * Settings for the current tier
+   * @returns {QualitySettings}
+   */
+  getSettings() {
+    return getQualitySettings(this.tier);
+  }
+}
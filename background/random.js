@@ -0,0 +1,70 @@
+/**
+ * Background Animation System - Random Module
+ *
+ * Seeded pseudo-random numbers, so generated scenes can be reproduced.
+ * The renderer derives one seed per system (orbs, shapes, each effect) from
+ * a single scene seed, so adding or removing an effect leaves the others'
+ * layouts unchanged.
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|null} seed - Integer seed (null = unseeded Math.random)
+ * @returns {() => number} Generator returning values in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh scene seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive an independent seed for one system from the scene seed
+ * @param {number} seed - Scene seed
+ * @param {string} key - System name (e.g. 'orbs', an effect name)
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function deriveSeed(seed, key) {
+  return hashString(`${seed >>> 0}:${key}`);
+}
+
+/**
+ * Read a seed from user input such as a URL parameter. Integers are used
+ * as-is; any other text is hashed, so words work as seeds too.
+ * @param {string|number|null} value
+ * @returns {number|null} Unsigned 32-bit integer, or null when empty
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
@@ -11,16 +11,18 @@
  */
 
 /**
- * Create and configure a canvas element
+ * Create a styled canvas element without a context, e.g. for
+ * transferControlToOffscreen()
  * @param {string} id - Canvas element ID
  * @param {number} zIndex - CSS z-index value
- * @returns {CanvasContext}
+ * @param {'fixed'|'absolute'} [position] - 'absolute' fills a positioned container
+ * @returns {HTMLCanvasElement}
  */
-export function createCanvas(id, zIndex) {
+export function createCanvasElement(id, zIndex, position = "fixed") {
   const canvas = document.createElement("canvas");
   canvas.id = id;
   canvas.style.cssText = `
-    position: fixed;
+    position: ${position};
     top: 0;
     left: 0;
     width: 100%;
@@ -28,7 +30,18 @@ export function createCanvas(id, zIndex) {
     z-index: ${zIndex};
     pointer-events: none;
   `;
+  return canvas;
+}
 
+/**
+ * Create and configure a canvas element
+ * @param {string} id - Canvas element ID
+ * @param {number} zIndex - CSS z-index value
+ * @param {'fixed'|'absolute'} [position] - 'absolute' fills a positioned container
+ * @returns {CanvasContext}
+ */
+export function createCanvas(id, zIndex, position = "fixed") {
+  const canvas = createCanvasElement(id, zIndex, position);
   const ctx = canvas.getContext("2d");
   if (!ctx) {
     console.error(`[Canvas] Failed to get 2D context for canvas: ${id}`);
@@ -37,6 +50,35 @@ export function createCanvas(id, zIndex) {
   return { canvas, ctx };
 }
 
+/**
+ * Create an offscreen drawing surface for cached layers. Workers have no
+ * document, so they get an OffscreenCanvas instead.
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createLayerCanvas(width, height) {
+  if (typeof document === "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Get the drawing area size for a canvas host
+ * @param {HTMLElement|null} container - Host element (null = full page)
+ * @returns {{width: number, height: number}}
+ */
+export function getHostSize(container) {
+  if (!container || container === document.body) {
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  return { width: container.clientWidth, height: container.clientHeight };
+}
+
 /**
  * Remove existing canvas element by ID
  * @param {string} id - Canvas element ID
@@ -65,10 +107,15 @@ export function getDevicePixelRatio() {
  * @param {CanvasRenderingContext2D} ctx - The 2D rendering context
  * @param {number} width - Target width
  * @param {number} height - Target height
+ * @param {number} [dpr] - Pixel ratio (defaults to the capped device ratio)
  */
-export function resizeCanvas(canvas, ctx, width, height) {
-  const dpr = getDevicePixelRatio();
-
+export function resizeCanvas(
+  canvas,
+  ctx,
+  width,
+  height,
+  dpr = getDevicePixelRatio(),
+) {
   canvas.width = width * dpr;
   canvas.height = height * dpr;
   ctx.setTransform(1, 0, 0, 1, 0, 0);
@@ -2,20 +2,33 @@
  * Background Animation System - Celestial Module
  *
  * Handles drawing of sun/moon light effects.
- * Creates ambient light rays from off-screen light sources.
+ * Creates ambient light rays from off-screen light sources, plus a visible
+ * moon disc showing the current phase.
  */
 
 import { CONFIG } from "../config.js";
+import { blendCelestialLight } from "../colors/theme.js";
+import { parseRgbaColor } from "../colors/interpolation.js";
 
 /**
- * Draw ambient light effect from celestial body (sun/moon)
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @typedef {Object} CelestialLight
+ * @property {number} x - Light source X (often off-screen)
+ * @property {number} y - Light source Y
+ * @property {number} reach - Ambient light radius
+ * @property {number} accentReach - Accent light radius
+ * @property {number} intensity - Light strength (moonlight follows the phase)
+ */
+
+/**
+ * Compute the light source for a palette. Shared by the Canvas 2D and
+ * WebGL backends.
  * @param {Object} palette - Color palette with celestial config
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @returns {CelestialLight|null} Null when the palette has no light
  */
-export function drawCelestial(ctx, palette, width, height) {
-  if (!palette || !palette.celestial) return;
+export function getCelestialLight(palette, width, height) {
+  if (!palette || !palette.celestial) return null;
 
   const { celestial } = palette;
   const { CELESTIAL } = CONFIG;
@@ -27,14 +40,39 @@ export function drawCelestial(ctx, palette, width, height) {
   // Extend source further off-screen for natural light rays
   const offsetX = (celestial.x - 0.5) * width * CELESTIAL.OFFSET_FACTOR;
   const offsetY = (celestial.y - 0.5) * height * CELESTIAL.OFFSET_FACTOR;
-  const lightX = sourceX + offsetX;
-  const lightY = sourceY + offsetY;
 
   // Calculate light reach
   const reach = Math.max(width, height) * CELESTIAL.REACH_FACTOR;
 
-  const isMoon = celestial.type === "moon";
-  const intensity = isMoon ? CELESTIAL.MOON_INTENSITY : 1.0;
+  // Moonlight follows the phase, so new moon nights are darker
+  const intensity = blendCelestialLight(
+    celestial,
+    1.0,
+    CELESTIAL.MOON_INTENSITY,
+  );
+
+  return {
+    x: sourceX + offsetX,
+    y: sourceY + offsetY,
+    reach,
+    accentReach: reach * CELESTIAL.ACCENT_REACH_FACTOR,
+    intensity,
+  };
+}
+
+/**
+ * Draw ambient light effect from celestial body (sun/moon)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} palette - Color palette with celestial config
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export function drawCelestial(ctx, palette, width, height) {
+  const light = getCelestialLight(palette, width, height);
+  if (!light) return;
+
+  const { celestial } = palette;
+  const { x: lightX, y: lightY, reach, accentReach, intensity } = light;
 
   // Primary ambient light
   const ambientLight = ctx.createRadialGradient(
@@ -64,7 +102,6 @@ export function drawCelestial(ctx, palette, width, height) {
   ctx.fillRect(0, 0, width, height);
 
   // Secondary accent light near source edge
-  const accentReach = reach * CELESTIAL.ACCENT_REACH_FACTOR;
   const accentLight = ctx.createRadialGradient(
     lightX,
     lightY,
@@ -90,6 +127,74 @@ export function drawCelestial(ctx, palette, width, height) {
 
   ctx.fillStyle = accentLight;
   ctx.fillRect(0, 0, width, height);
+
+  drawCelestialDisc(ctx, palette, width, height);
+}
+
+/**
+ * Draw the visible moon disc, if the palette has a moon with a phase
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} palette - Color palette with celestial config
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export function drawCelestialDisc(ctx, palette, width, height) {
+  const celestial = palette?.celestial;
+  if (celestial?.type === "moon" && celestial.phase !== undefined) {
+    drawMoonDisc(ctx, celestial, width, height);
+  }
+}
+
+/**
+ * Draw the moon with its lit fraction. The disc sits just inside the screen
+ * near the (often off-screen) light source.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {import('../colors/palette.js').CelestialConfig} celestial
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawMoonDisc(ctx, celestial, width, height) {
+  const { MOON_RADIUS, MOON_INSET } = CONFIG.CELESTIAL;
+  const clamp = (v) => Math.max(MOON_INSET, Math.min(1 - MOON_INSET, v));
+  const x = width * clamp(celestial.x);
+  const y = height * clamp(celestial.y);
+  const r = MOON_RADIUS;
+
+  // Weather dims the celestial color; let it dim the disc too
+  const opacity = Math.min(1, parseRgbaColor(celestial.color).a * 2.2);
+  const { phase, illumination } = celestial;
+
+  ctx.save();
+  ctx.translate(x, y);
+
+  // Halo grows with the lit fraction
+  const haloReach = r * (2 + illumination * 2.5);
+  const halo = ctx.createRadialGradient(0, 0, r * 0.8, 0, 0, haloReach);
+  halo.addColorStop(
+    0,
+    replaceOpacity(celestial.glowColor, 0.35 * illumination * opacity),
+  );
+  halo.addColorStop(1, "transparent");
+  ctx.fillStyle = halo;
+  ctx.fillRect(-haloReach, -haloReach, haloReach * 2, haloReach * 2);
+
+  // Earthshine: the dark side stays faintly visible
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.fillStyle = `rgba(200, 215, 240, ${0.06 * opacity})`;
+  ctx.fill();
+
+  // Lit part: a half disc bounded by the elliptical terminator. Waxing moons
+  // are lit on the right (northern hemisphere view), so mirror when waning.
+  if (phase >= 0.5) ctx.scale(-1, 1);
+  const k = Math.cos(phase * 2 * Math.PI);
+  ctx.beginPath();
+  ctx.arc(0, 0, r, -Math.PI / 2, Math.PI / 2);
+  ctx.ellipse(0, 0, Math.abs(k) * r, r, 0, Math.PI / 2, -Math.PI / 2, k > 0);
+  ctx.fillStyle = `rgba(240, 244, 255, ${0.9 * opacity})`;
+  ctx.fill();
+
+  ctx.restore();
 }
 
 /**
@@ -5,6 +5,7 @@
  */
 
 import { CONFIG } from "../config.js";
+import { rgbToHex } from "../colors/interpolation.js";
 
 /**
  * @typedef {Object} GradientState
@@ -42,17 +43,26 @@ export function updateGradientCache(state, palette) {
 }
 
 /**
- * Draw the background gradient with breathing animation
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @typedef {Object} GradientFrame
+ * @property {number} x0 - Gradient line start X
+ * @property {number} y0 - Gradient line start Y
+ * @property {number} x1 - Gradient line end X
+ * @property {number} y1 - Gradient line end Y
+ * @property {Array<{r: number, g: number, b: number}>} colors - Evenly spaced
+ *   color stops after breathing
+ */
+
+/**
+ * Advance the breathing animation and compute this frame's gradient.
+ * Shared by the Canvas 2D and WebGL backends.
  * @param {GradientState} state - Gradient state
  * @param {Object} palette - Color palette
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} deltaTime - Time since last frame
+ * @returns {GradientFrame}
  */
-export function drawGradient(ctx, state, palette, width, height, deltaTime) {
-  if (!palette) return;
-
+export function advanceGradient(state, palette, width, height, deltaTime) {
   state.time += deltaTime;
 
   const { gradientAngle = 180 } = palette;
@@ -76,26 +86,43 @@ export function drawGradient(ctx, state, palette, width, height, deltaTime) {
   const driftX = Math.sin(breathCycle * 1.1) * ANIMATION.POSITION_DRIFT.x;
   const driftY = Math.cos(breathCycle * 0.9) * ANIMATION.POSITION_DRIFT.y;
 
-  const x0 = cx - cos * length + driftX;
-  const y0 = cy - sin * length + driftY;
-  const x1 = cx + cos * length + driftX;
-  const y1 = cy + sin * length + driftY;
+  // Apply breathing to gradient colors
+  const colors = (state.colorsCache || []).map((rgb, i) =>
+    breatheColor(rgb, breathCycle, i, ANIMATION.BREATH_INTENSITY),
+  );
 
-  const bgGradient = ctx.createLinearGradient(x0, y0, x1, y1);
+  return {
+    x0: cx - cos * length + driftX,
+    y0: cy - sin * length + driftY,
+    x1: cx + cos * length + driftX,
+    y1: cy + sin * length + driftY,
+    colors,
+  };
+}
 
-  // Apply breathing to gradient colors
-  const colors = state.colorsCache;
-  if (colors) {
-    for (let i = 0; i < colors.length; i++) {
-      const adjustedColor = breatheColor(
-        colors[i],
-        breathCycle,
-        i,
-        ANIMATION.BREATH_INTENSITY,
-      );
-      bgGradient.addColorStop(i / (colors.length - 1), adjustedColor);
-    }
-  }
+/**
+ * Draw the background gradient with breathing animation
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {GradientState} state - Gradient state
+ * @param {Object} palette - Color palette
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} deltaTime - Time since last frame
+ */
+export function drawGradient(ctx, state, palette, width, height, deltaTime) {
+  if (!palette) return;
+
+  const { x0, y0, x1, y1, colors } = advanceGradient(
+    state,
+    palette,
+    width,
+    height,
+    deltaTime,
+  );
+  const bgGradient = ctx.createLinearGradient(x0, y0, x1, y1);
+  colors.forEach(({ r, g, b }, i) => {
+    bgGradient.addColorStop(i / (colors.length - 1), rgbToHex(r, g, b));
+  });
 
   ctx.fillStyle = bgGradient;
   ctx.fillRect(0, 0, width, height);
@@ -107,16 +134,16 @@ export function drawGradient(ctx, state, palette, width, height, deltaTime) {
  * @param {number} time - Animation time
  * @param {number} index - Color stop index
  * @param {number} intensity - Breathing intensity
- * @returns {string} Hex color string
+ * @returns {{r: number, g: number, b: number}} Adjusted RGB values
  */
 function breatheColor(rgb, time, index, intensity) {
   // Different phase for each color stop for wave effect
   const phase = index * 0.5;
   const adjustment = 1 + Math.sin(time + phase) * intensity;
 
-  const r = Math.min(255, Math.max(0, Math.round(rgb.r * adjustment)));
-  const g = Math.min(255, Math.max(0, Math.round(rgb.g * adjustment)));
-  const b = Math.min(255, Math.max(0, Math.round(rgb.b * adjustment)));
-
-  return `#${r.toString(16).padStart(2, "0")}${g.toString(16).padStart(2, "0")}${b.toString(16).padStart(2, "0")}`;
+  return {
+    r: Math.min(255, Math.max(0, Math.round(rgb.r * adjustment))),
+    g: Math.min(255, Math.max(0, Math.round(rgb.g * adjustment))),
+    b: Math.min(255, Math.max(0, Math.round(rgb.b * adjustment))),
+  };
 }
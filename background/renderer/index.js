@@ -6,58 +6,155 @@
  */
 
 import { ParticleSystem } from "../particles.js";
-import {
-  MorningMist,
-  GodRays,
-  DustParticles,
-  EveningClouds,
-  FireflySystem,
-} from "../effects/index.js";
+import { EFFECT_LAYER, getRegisteredEffects } from "../effects/index.js";
 import {
   createCanvas,
+  createCanvasElement,
   removeExistingCanvas,
   resizeCanvas,
   clearCanvas,
+  getDevicePixelRatio,
+  getHostSize,
 } from "./canvas.js";
 import {
   createGradientState,
   updateGradientCache,
   drawGradient,
+  advanceGradient,
 } from "./gradient.js";
-import { drawCelestial } from "./celestial.js";
+import {
+  drawCelestial,
+  drawCelestialDisc,
+  getCelestialLight,
+} from "./celestial.js";
 import { createShapesState, initShapes, drawShapes } from "./shapes.js";
+import { WebGLLayer } from "./webgl-layer.js";
+import { QualityManager } from "../quality.js";
+import { watchPointer } from "../pointer.js";
+import { watchTilt } from "../tilt.js";
+import { createSeed, deriveSeed } from "../random.js";
+import { CONFIG } from "../config.js";
+import { createLogger } from "../../utils/logger.js";
+
+const logger = createLogger("Renderer");
+
+// Slack for vsync jitter when the cap equals the display refresh rate (ms)
+const FRAME_TOLERANCE = 1;
+
+/**
+ * Drawing backends. WebGL draws the sky gradient and celestial light with
+ * shaders on a canvas beneath the 2D layers, and bokeh orbs and god rays
+ * onto the 2D layers in their usual place.
+ * @type {Object<string, 'canvas'|'webgl'>}
+ */
+export const RENDER_BACKEND = {
+  CANVAS: "canvas",
+  WEBGL: "webgl",
+};
+
+/**
+ * @typedef {Object} RendererOptions
+ * @property {HTMLElement} [container] - Element hosting the canvases
+ *   (defaults to document.body; other containers must be positioned)
+ * @property {string[]|null} [effects] - Names of effects to enable (null = all)
+ * @property {import('../quality.js').QualityMode} [quality] - Fixed quality
+ *   tier, or 'auto' to adapt to the measured frame rate (default)
+ * @property {(tier: import('../quality.js').QualityTier) => void} [onQualityChange] -
+ *   Called when the quality tier changes
+ * @property {number|null} [maxFps] - Frame-rate cap (null = CONFIG.FRAME_RATE.MAX_FPS,
+ *   0 = uncapped)
+ * @property {'canvas'|'webgl'} [backend] - Drawing backend; WebGL falls back
+ *   to Canvas 2D when unavailable (default 'canvas')
+ * @property {number|null} [seed] - Scene seed for orbs, shapes and effects
+ *   (null = a fresh random seed)
+ * @property {boolean} [interactive] - Let orbs, fireflies and mist react to
+ *   the pointer (never under reduced motion)
+ * @property {boolean} [parallax] - Shift orbs, shapes and the sun/moon light
+ *   by depth as the phone tilts or the mouse moves (never under reduced
+ *   motion)
+ */
+
+/**
+ * @typedef {Object} EffectEntry
+ * @property {import('../effects/registry.js').EffectDefinition} definition
+ * @property {import('../effects/base-effect.js').BaseEffect} instance
+ */
 
 /**
  * Background Renderer
  * Manages the canvas and animation loop
  */
 export class BackgroundRenderer {
-  constructor() {
+  /**
+   * @param {RendererOptions} [options]
+   */
+  constructor(options = {}) {
+    this.container = options.container || null;
+    this.enabledEffects = options.effects || null;
+    // On-demand effects currently requested (e.g. by calendar rules)
+    this.requestedEffects = [];
     this.canvas = null;
     this.ctx = null;
     this.overlayCanvas = null;
     this.overlayCtx = null;
+    this.backend = options.backend || RENDER_BACKEND.CANVAS;
+    this.glCanvas = null;
+    /** @type {WebGLLayer|null} */
+    this.glLayer = null;
     this.particleSystem = null;
     this.animationId = null;
     this.lastTime = 0;
     this.isRunning = false;
     this.currentPalette = null;
+    // Sun/moon position drawn, gliding toward the palette's between updates
+    /** @type {{x: number, y: number}|null} */
+    this.celestialPosition = null;
+    this.celestialGlide = null;
     this.currentTimePeriod = null;
+    this.currentTransition = null;
+    this.currentWeather = null;
+    this.currentSeason = null;
+
+    // Adaptive quality
+    this.quality = new QualityManager(options.quality);
+    this.onQualityChange = options.onQualityChange || null;
+
+    // Frame-rate cap and battery saver
+    this.maxFps = options.maxFps ?? null;
+    this.batterySaver = false;
+    this.frameInterval = 0;
+    this.nextFrameTime = 0;
+    this.updateFrameInterval();
+
+    // Scene seed; each system gets its own seed derived from it
+    this.seed = options.seed ?? createSeed();
+
+    // Pointer interaction
+    this.interactive = Boolean(options.interactive);
+    /** @type {import('../pointer.js').PointerPosition|null} */
+    this.pointer = null;
+    this.unwatchPointer = null;
+
+    // Depth parallax: tilt reported by the input, and the eased shift of
+    // the nearest layer in px
+    this.parallaxEnabled = Boolean(options.parallax);
+    /** @type {import('../../utils/orientation.js').Tilt} */
+    this.tilt = { x: 0, y: 0 };
+    this.parallax = { x: 0, y: 0 };
+    this.unwatchTilt = null;
 
     // Cached dimensions
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    const { width, height } = this.getViewportSize();
+    this.width = width;
+    this.height = height;
 
     // Module states
     this.gradientState = createGradientState();
     this.shapesState = createShapesState();
 
-    // Time-specific effects
-    this.morningMist = null;
-    this.godRays = null;
-    this.dustParticles = null;
-    this.eveningClouds = null;
-    this.fireflySystem = null;
+    // Registered effects in draw order
+    /** @type {EffectEntry[]} */
+    this.effects = [];
 
     // Resize debounce timer
     this.resizeTimer = null;
@@ -74,7 +171,12 @@ export class BackgroundRenderer {
   init() {
     this.createCanvases();
     this.setupEventListeners();
-    initShapes(this.shapesState, this.width, this.height);
+    initShapes(
+      this.shapesState,
+      this.width,
+      this.height,
+      this.getSystemSeed("shapes"),
+    );
     return this;
   }
 
@@ -82,34 +184,399 @@ export class BackgroundRenderer {
    * Create and insert canvas elements
    */
   createCanvases() {
+    const host = this.container || document.body;
+
     // Remove existing canvases
     removeExistingCanvas("bg-canvas");
     removeExistingCanvas("overlay-canvas");
+    removeExistingCanvas("gl-canvas");
+
+    // Full-page canvases stay fixed; embedded ones fill their container
+    const position = this.isFullPage() ? "fixed" : "absolute";
 
     // Create background canvas (behind content)
-    const bg = createCanvas("bg-canvas", -2);
+    const bg = createCanvas("bg-canvas", -2, position);
     this.canvas = bg.canvas;
     this.ctx = bg.ctx;
 
     // Create overlay canvas (behind card but in front of bg-canvas)
-    const overlay = createCanvas("overlay-canvas", -1);
+    const overlay = createCanvas("overlay-canvas", -1, position);
     this.overlayCanvas = overlay.canvas;
     this.overlayCtx = overlay.ctx;
 
     // Insert canvases
-    document.body.insertBefore(this.canvas, document.body.firstChild);
-    document.body.appendChild(this.overlayCanvas);
+    host.insertBefore(this.canvas, host.firstChild);
+    host.appendChild(this.overlayCanvas);
+
+    // WebGL canvas goes beneath the background canvas
+    if (this.backend === RENDER_BACKEND.WEBGL) {
+      this.glCanvas = createCanvasElement("gl-canvas", -3, position);
+      host.insertBefore(this.glCanvas, host.firstChild);
+    }
+
+    this.initSystems();
+  }
+
+  /**
+   * Size the canvases and build particles and effects for them
+   */
+  initSystems() {
+    this.initWebGL();
 
     // Set size
     this.resize();
 
-    // Initialize systems
+    // Initialize systems (they default to window size; sync with container)
     this.particleSystem = new ParticleSystem();
-    this.morningMist = new MorningMist();
-    this.godRays = new GodRays();
-    this.dustParticles = new DustParticles();
-    this.eveningClouds = new EveningClouds();
-    this.fireflySystem = new FireflySystem();
+    this.particleSystem.setSeed(this.getSystemSeed("orbs"));
+    this.particleSystem.resize(this.width, this.height);
+    this.particleSystem.setCountScale(this.quality.getSettings().ORB_SCALE);
+    this.particleSystem.setPointer(this.pointer);
+    this.particleSystem.setParallax(this.parallax);
+    this.syncEffects();
+  }
+
+  /**
+   * Set up the WebGL layer when requested, falling back to Canvas 2D
+   */
+  initWebGL() {
+    if (!this.glCanvas) return;
+    this.glLayer = WebGLLayer.create(this.glCanvas, () =>
+      this.handleContextLost(),
+    );
+    if (!this.glLayer) {
+      logger.warn("Falling back to Canvas 2D");
+      this.disableWebGL();
+    }
+  }
+
+  /**
+   * Switch to Canvas 2D when the GPU drops the WebGL context
+   */
+  handleContextLost() {
+    this.disableWebGL();
+    // A static frame would otherwise stay blank until the next redraw
+    if (!this.isRunning && this.currentPalette) this.renderStaticFrame();
+  }
+
+  /**
+   * Drop the WebGL layer and draw everything with Canvas 2D
+   */
+  disableWebGL() {
+    this.glLayer?.destroy();
+    this.glLayer = null;
+    if (this.glCanvas?.parentNode) {
+      this.glCanvas.parentNode.removeChild(this.glCanvas);
+    }
+    this.glCanvas = null;
+  }
+
+  /**
+   * Whether the WebGL layer is drawing
+   * @returns {boolean}
+   */
+  isWebGLActive() {
+    return this.glLayer !== null;
+  }
+
+  /**
+   * Reconcile effect instances with the registry: instantiate newly
+   * registered effects, drop unregistered ones, and restore draw order.
+   */
+  syncEffects() {
+    const existing = new Map(
+      this.effects.map((entry) => [entry.definition, entry]),
+    );
+
+    this.effects = getRegisteredEffects().map((definition) => {
+      const current = existing.get(definition);
+      if (current) return current;
+
+      const instance = new definition.effect();
+      if (definition.periods) instance.setTargetTimePeriods(definition.periods);
+      if (definition.weather !== undefined) {
+        instance.setWeatherIntensity(definition.weather);
+      }
+      if (definition.seasons !== undefined) {
+        instance.setSeasonIntensity(definition.seasons);
+      }
+      instance.setQuality(this.quality.getSettings().EFFECT_SCALE);
+      instance.setSeed(this.getSystemSeed(definition.name));
+      instance.setPointer(this.pointer);
+      instance.resize(this.width, this.height);
+      return { definition, instance };
+    });
+
+    if (this.currentPalette) {
+      this.updateEffects(this.currentTimePeriod, this.currentTransition);
+    }
+  }
+
+  /**
+   * Whether the canvases cover the whole page rather than a container
+   * @returns {boolean}
+   */
+  isFullPage() {
+    return !this.container || this.container === document.body;
+  }
+
+  /**
+   * Get the drawing area size
+   * @returns {{width: number, height: number}}
+   */
+  getViewportSize() {
+    return getHostSize(this.container);
+  }
+
+  /**
+   * Get the canvas pixel ratio, capped by the quality tier
+   * @returns {number}
+   */
+  getPixelRatio() {
+    return Math.min(
+      this.getDevicePixelRatio(),
+      this.quality.getSettings().MAX_PIXEL_RATIO,
+    );
+  }
+
+  /**
+   * Get the display's (capped) device pixel ratio
+   * @returns {number}
+   */
+  getDevicePixelRatio() {
+    return getDevicePixelRatio();
+  }
+
+  /**
+   * Get the active quality tier
+   * @returns {import('../quality.js').QualityTier}
+   */
+  getQualityTier() {
+    return this.quality.tier;
+  }
+
+  /**
+   * Fix the quality tier or return to adaptive quality
+   * @param {import('../quality.js').QualityMode|null} mode - Tier or 'auto'
+   */
+  setQualityMode(mode) {
+    if (this.quality.setMode(mode)) this.applyQuality();
+  }
+
+  /**
+   * Get the scene seed
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Derive the seed for one system from the scene seed
+   * @param {string} key - System name ('orbs', 'shapes' or an effect name)
+   * @returns {number}
+   */
+  getSystemSeed(key) {
+    return deriveSeed(this.seed, key);
+  }
+
+  /**
+   * Rebuild orbs, shapes and effects from a new scene seed
+   * @param {number} seed - Integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.particleSystem.setSeed(this.getSystemSeed("orbs"));
+    if (this.currentTimePeriod) {
+      this.particleSystem.init(this.currentTimePeriod);
+    }
+    initShapes(
+      this.shapesState,
+      this.width,
+      this.height,
+      this.getSystemSeed("shapes"),
+    );
+    for (const { definition, instance } of this.effects) {
+      instance.setSeed(this.getSystemSeed(definition.name));
+    }
+
+    // Static frames aren't redrawn on their own
+    if (!this.isRunning && this.currentPalette) this.renderStaticFrame();
+  }
+
+  /**
+   * Set the frame-rate cap
+   * @param {number|null} fps - Frames per second (null = config default,
+   *   0 = uncapped)
+   */
+  setMaxFps(fps) {
+    this.maxFps = fps ?? null;
+    this.updateFrameInterval();
+  }
+
+  /**
+   * Enter or leave battery saver: the saver frame rate, or a single static
+   * frame when CONFIG.BATTERY_SAVER.FPS is 0
+   * @param {boolean} active
+   */
+  setBatterySaver(active) {
+    if (active === this.batterySaver) return;
+    const wasStatic = this.isStatic();
+    this.batterySaver = active;
+    this.updateFrameInterval();
+
+    if (this.isStatic() === wasStatic) return;
+    if (wasStatic) {
+      this.start();
+    } else {
+      this.pause();
+      this.renderStaticFrame();
+    }
+  }
+
+  /**
+   * Get the frame-rate cap in effect
+   * @returns {number} Frames per second (0 = uncapped)
+   */
+  getFrameRateCap() {
+    if (this.batterySaver) return CONFIG.BATTERY_SAVER.FPS;
+    return this.maxFps ?? CONFIG.FRAME_RATE.MAX_FPS;
+  }
+
+  /**
+   * Recompute the minimum time between drawn frames
+   */
+  updateFrameInterval() {
+    const fps = this.getFrameRateCap();
+    this.frameInterval = fps > 0 ? 1000 / fps : 0;
+    this.quality.setFrameRateCap(fps);
+  }
+
+  /**
+   * Apply the current tier's counts, pixel ratio and effect toggles
+   */
+  applyQuality() {
+    const settings = this.quality.getSettings();
+
+    this.particleSystem.setCountScale(settings.ORB_SCALE);
+    if (this.currentTimePeriod) {
+      this.particleSystem.init(this.currentTimePeriod);
+    }
+    for (const { instance } of this.effects) {
+      instance.setQuality(settings.EFFECT_SCALE);
+    }
+    this.resize();
+    if (this.currentPalette) {
+      this.updateEffects(this.currentTimePeriod, this.currentTransition);
+    }
+
+    this.onQualityChange?.(this.quality.tier);
+  }
+
+  /**
+   * Restrict which effects may activate
+   * @param {string[]|null} names - Effect names (null = all)
+   */
+  setEnabledEffects(names) {
+    this.enabledEffects = names || null;
+    if (this.currentPalette) {
+      this.updateEffects(this.currentTimePeriod, this.currentTransition);
+    }
+  }
+
+  /**
+   * Set which on-demand effects may activate; applied on the next
+   * updateConditions()
+   * @param {string[]} names - Effect names
+   */
+  setRequestedEffects(names) {
+    this.requestedEffects = names || [];
+  }
+
+  /**
+   * Turn pointer reactions on or off
+   * @param {boolean} enabled
+   */
+  setInteractive(enabled) {
+    this.interactive = enabled;
+    if (enabled) {
+      this.startPointerTracking();
+    } else {
+      this.stopPointerTracking();
+    }
+  }
+
+  /**
+   * Pass the pointer position to the orbs and effects
+   * @param {import('../pointer.js').PointerPosition|null} pointer - Null when
+   *   there is no pointer
+   */
+  setPointer(pointer) {
+    this.pointer = pointer;
+    this.particleSystem?.setPointer(pointer);
+    for (const { instance } of this.effects) {
+      instance.setPointer(pointer);
+    }
+  }
+
+  /**
+   * Follow the pointer, if interaction is on and motion is welcome
+   */
+  startPointerTracking() {
+    if (!this.interactive || this.unwatchPointer) return;
+    if (this.prefersReducedMotion()) return;
+    this.unwatchPointer = watchPointer(this.container, (pointer) =>
+      this.setPointer(pointer),
+    );
+  }
+
+  /**
+   * Stop following the pointer and let everything settle back
+   */
+  stopPointerTracking() {
+    this.unwatchPointer?.();
+    this.unwatchPointer = null;
+    this.setPointer(null);
+  }
+
+  /**
+   * Turn the depth parallax on or off
+   * @param {boolean} enabled
+   */
+  setParallaxEnabled(enabled) {
+    this.parallaxEnabled = enabled;
+    if (enabled) {
+      this.startTiltTracking();
+    } else {
+      this.stopTiltTracking();
+    }
+  }
+
+  /**
+   * Set the view tilt the parallax eases toward
+   * @param {import('../../utils/orientation.js').Tilt} tilt
+   */
+  setTilt(tilt) {
+    this.tilt = tilt;
+  }
+
+  /**
+   * Follow the phone's tilt and the mouse, if the parallax is on and motion
+   * is welcome
+   */
+  startTiltTracking() {
+    if (!this.parallaxEnabled || this.unwatchTilt) return;
+    if (this.prefersReducedMotion()) return;
+    this.unwatchTilt = watchTilt((tilt) => this.setTilt(tilt));
+  }
+
+  /**
+   * Stop following the tilt and ease back to the neutral view
+   */
+  stopTiltTracking() {
+    this.unwatchTilt?.();
+    this.unwatchTilt = null;
+    this.setTilt({ x: 0, y: 0 });
   }
 
   /**
@@ -118,6 +585,18 @@ export class BackgroundRenderer {
   setupEventListeners() {
     window.addEventListener("resize", this.handleResize);
     document.addEventListener("visibilitychange", this.handleVisibility);
+    this.startPointerTracking();
+    this.startTiltTracking();
+  }
+
+  /**
+   * Remove event listeners
+   */
+  removeEventListeners() {
+    window.removeEventListener("resize", this.handleResize);
+    document.removeEventListener("visibilitychange", this.handleVisibility);
+    this.stopPointerTracking();
+    this.stopTiltTracking();
   }
 
   /**
@@ -141,46 +620,97 @@ export class BackgroundRenderer {
     }
 
     this.resizeTimer = setTimeout(() => {
-      this.resize();
-      this.particleSystem.resize();
-      this.morningMist.resize();
-      this.godRays.resize();
-      this.dustParticles.resize();
-      this.eveningClouds.resize();
-      this.fireflySystem.resize();
-      initShapes(this.shapesState, this.width, this.height);
+      this.resizeSystems();
     }, 150);
   }
 
+  /**
+   * Resize canvases, particles, effects and shapes to the current viewport
+   */
+  resizeSystems() {
+    this.resize();
+    this.particleSystem.resize(this.width, this.height);
+    for (const { instance } of this.effects) {
+      instance.resize(this.width, this.height);
+    }
+    initShapes(
+      this.shapesState,
+      this.width,
+      this.height,
+      this.getSystemSeed("shapes"),
+    );
+  }
+
   /**
    * Resize canvases to window size
    */
   resize() {
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
-    resizeCanvas(this.canvas, this.ctx, this.width, this.height);
-    resizeCanvas(this.overlayCanvas, this.overlayCtx, this.width, this.height);
+    const { width, height } = this.getViewportSize();
+    this.width = width;
+    this.height = height;
+    const dpr = this.getPixelRatio();
+    resizeCanvas(this.canvas, this.ctx, this.width, this.height, dpr);
+    resizeCanvas(
+      this.overlayCanvas,
+      this.overlayCtx,
+      this.width,
+      this.height,
+      dpr,
+    );
+    this.glLayer?.resize(this.width, this.height, dpr);
   }
 
   /**
-   * Update conditions (time period, palette)
+   * Update conditions (time period, palette, transition, weather, season)
    */
-  updateConditions(timePeriod, palette) {
+  updateConditions(
+    timePeriod,
+    palette,
+    transition = null,
+    weather = null,
+    season = null,
+  ) {
+    const periodChanged = timePeriod !== this.currentTimePeriod;
     this.currentPalette = palette;
+    if (palette?.celestial) this.setCelestialPosition(palette.celestial);
     this.currentTimePeriod = timePeriod;
+    this.currentTransition = transition;
+    this.currentWeather = weather;
+    this.currentSeason = season;
 
     // Update gradient cache
     updateGradientCache(this.gradientState, palette);
 
-    // Update particle system
-    this.particleSystem.init(timePeriod);
+    // Re-seed orbs only on a period change; transition ticks just recolor
+    if (periodChanged) {
+      this.particleSystem.init(timePeriod);
+    }
+
+    this.updateEffects(timePeriod, transition);
+  }
 
-    // Update all effects
-    this.morningMist.setTimePeriod(timePeriod);
-    this.godRays.setTimePeriod(timePeriod);
-    this.dustParticles.setTimePeriod(timePeriod);
-    this.eveningClouds.setTimePeriod(timePeriod);
-    this.fireflySystem.setTimePeriod(timePeriod);
+  /**
+   * Activate effects for the period, weather and season; disabled effects never activate
+   * @param {string} timePeriod - Current time period
+   * @param {import('../time.js').TimeTransition|null} transition
+   */
+  updateEffects(timePeriod, transition) {
+    const { DISABLED_EFFECTS } = this.quality.getSettings();
+    for (const { definition, instance } of this.effects) {
+      const enabled =
+        (!this.enabledEffects ||
+          this.enabledEffects.includes(definition.name)) &&
+        (!definition.onDemand ||
+          this.requestedEffects.includes(definition.name)) &&
+        !DISABLED_EFFECTS.includes(definition.name);
+      if (enabled) {
+        instance.setWeather(this.currentWeather);
+        instance.setSeason(this.currentSeason);
+        instance.setTimePeriod(timePeriod, transition);
+      } else {
+        instance.setTimePeriod(null);
+      }
+    }
   }
 
   /**
@@ -189,17 +719,45 @@ export class BackgroundRenderer {
   animate(currentTime) {
     if (!this.isRunning) return;
 
+    // Skip refreshes that come sooner than the frame-rate cap allows
+    if (!this.isFrameDue(currentTime)) {
+      this.animationId = requestAnimationFrame(this.animate);
+      return;
+    }
+
     // Calculate delta time
     const rawDelta = currentTime - this.lastTime;
     const deltaTime = this.lastTime === 0 || rawDelta > 100 ? 16 : rawDelta;
     this.lastTime = currentTime;
 
+    if (this.quality.sample(rawDelta)) {
+      this.applyQuality();
+    }
+
     this.drawFrame(deltaTime);
 
     // Continue animation
     this.animationId = requestAnimationFrame(this.animate);
   }
 
+  /**
+   * Whether the frame-rate cap allows drawing at this refresh. Due times
+   * advance by the cap interval, so a cap between refresh rates (e.g. 50
+   * on 60Hz) averages out instead of halving.
+   * @param {number} currentTime - rAF timestamp
+   * @returns {boolean}
+   */
+  isFrameDue(currentTime) {
+    if (!this.frameInterval) return true;
+    if (currentTime < this.nextFrameTime - FRAME_TOLERANCE) return false;
+    this.nextFrameTime += this.frameInterval;
+    // Far behind (first frame, stall): restart the cadence from now
+    if (this.nextFrameTime < currentTime - this.frameInterval) {
+      this.nextFrameTime = currentTime + this.frameInterval;
+    }
+    return true;
+  }
+
   /**
    * Draw one composited frame, advancing particle/effect state by deltaTime.
    */
@@ -208,16 +766,34 @@ export class BackgroundRenderer {
     clearCanvas(this.ctx, this.width, this.height);
     clearCanvas(this.overlayCtx, this.width, this.height);
 
+    this.updateParallax(deltaTime);
+    this.updateCelestialGlide(deltaTime);
+    const skyPalette = this.getParallaxPalette();
+
     // Draw background layers
-    drawGradient(
-      this.ctx,
-      this.gradientState,
-      this.currentPalette,
-      this.width,
-      this.height,
-      deltaTime,
-    );
-    drawCelestial(this.ctx, this.currentPalette, this.width, this.height);
+    const gl = this.glLayer;
+    const gradient = gl
+      ? advanceGradient(
+          this.gradientState,
+          this.currentPalette,
+          this.width,
+          this.height,
+          deltaTime,
+        )
+      : null;
+    if (gl) {
+      drawCelestialDisc(this.ctx, skyPalette, this.width, this.height);
+    } else {
+      drawGradient(
+        this.ctx,
+        this.gradientState,
+        this.currentPalette,
+        this.width,
+        this.height,
+        deltaTime,
+      );
+      drawCelestial(this.ctx, skyPalette, this.width, this.height);
+    }
     drawShapes(
       this.ctx,
       this.shapesState,
@@ -225,27 +801,120 @@ export class BackgroundRenderer {
       this.width,
       this.height,
       deltaTime,
+      this.parallax,
     );
 
     // Update and draw particles
     this.particleSystem.update(deltaTime);
-    this.particleSystem.draw(this.ctx);
+    if (gl) {
+      gl.copyOrbs(this.ctx, this.particleSystem.getOrbs());
+    } else {
+      this.particleSystem.draw(this.ctx);
+    }
 
-    // Draw overlay effects
-    this.morningMist.update(deltaTime);
-    this.morningMist.draw(this.overlayCtx, this.currentPalette);
+    // Draw registered effects on their layer, in z-order
+    for (const { definition, instance } of this.effects) {
+      const ctx =
+        definition.layer === EFFECT_LAYER.BACKGROUND
+          ? this.ctx
+          : this.overlayCtx;
+      this.drawEffect(instance, ctx, deltaTime);
+    }
+
+    // Last, as the copies above reuse the WebGL canvas
+    gl?.drawSky({
+      gradient,
+      palette: this.currentPalette,
+      light: getCelestialLight(skyPalette, this.width, this.height),
+    });
+  }
 
-    this.godRays.update(deltaTime);
-    this.godRays.draw(this.overlayCtx, this.currentPalette);
+  /**
+   * Ease the parallax shift toward the reported tilt. Layers shift against
+   * the view, like looking through a window.
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  updateParallax(deltaTime) {
+    const { DISTANCE, EASE } = CONFIG.PARALLAX;
+    const ease = Math.min(1, deltaTime * EASE);
+    this.parallax.x += (-this.tilt.x * DISTANCE - this.parallax.x) * ease;
+    this.parallax.y += (-this.tilt.y * DISTANCE - this.parallax.y) * ease;
+  }
 
-    this.dustParticles.update(deltaTime);
-    this.dustParticles.draw(this.overlayCtx);
+  /**
+   * Move the sun/moon to a new point on its arc. Small steps glide there over
+   * one arc update interval, so the arc reads as continuous motion; larger
+   * jumps, and moves with no animation loop running, apply at once.
+   * @param {{x: number, y: number}} position - Screen fractions
+   */
+  setCelestialPosition({ x, y }) {
+    const from = this.celestialPosition;
+    const distance = from ? Math.hypot(x - from.x, y - from.y) : Infinity;
+    if (distance > CONFIG.CELESTIAL.ARC.SNAP_DISTANCE || !this.isRunning) {
+      this.celestialPosition = { x, y };
+      this.celestialGlide = null;
+      return;
+    }
+    this.celestialGlide = { from: { ...from }, to: { x, y }, elapsed: 0 };
+  }
 
-    this.eveningClouds.update(deltaTime);
-    this.eveningClouds.draw(this.overlayCtx, this.currentPalette);
+  /**
+   * Advance the sun/moon along a glide started by setCelestialPosition
+   * @param {number} deltaTime - Time since last frame in milliseconds
+   */
+  updateCelestialGlide(deltaTime) {
+    const glide = this.celestialGlide;
+    if (!glide) return;
+    glide.elapsed += deltaTime;
+    const t = Math.min(1, glide.elapsed / CONFIG.CELESTIAL.ARC.UPDATE_INTERVAL);
+    this.celestialPosition = {
+      x: glide.from.x + (glide.to.x - glide.from.x) * t,
+      y: glide.from.y + (glide.to.y - glide.from.y) * t,
+    };
+    if (t === 1) this.celestialGlide = null;
+  }
 
-    this.fireflySystem.update(deltaTime);
-    this.fireflySystem.draw(this.overlayCtx);
+  /**
+   * Current palette with the sun/moon at its drawn position, moved by the
+   * parallax
+   * @returns {import('../colors/palette.js').ColorPalette}
+   */
+  getParallaxPalette() {
+    const palette = this.currentPalette;
+    if (!palette?.celestial) return palette;
+
+    const { x, y } = this.parallax;
+    const position = this.celestialPosition ?? palette.celestial;
+    const depth = CONFIG.PARALLAX.DEPTH.CELESTIAL;
+    return {
+      ...palette,
+      celestial: {
+        ...palette.celestial,
+        x: position.x + (x * depth) / this.width,
+        y: position.y + (y * depth) / this.height,
+      },
+    };
+  }
+
+  /**
+   * Update and draw an effect, faded by its transition intensity
+   * @param {import('../effects/base-effect.js').BaseEffect} effect
+   * @param {CanvasRenderingContext2D} ctx - Target layer context
+   * @param {number} deltaTime - Time since last frame
+   */
+  drawEffect(effect, ctx, deltaTime) {
+    if (!effect.isActive) return;
+    effect.updateFade(deltaTime);
+    effect.update(deltaTime);
+
+    ctx.globalAlpha = effect.intensity;
+    // Ray effects are drawn by the WebGL layer when it is on
+    if (this.glLayer && effect.getRayShapes) {
+      this.glLayer.copyRays(ctx, effect.getRayShapes());
+    } else {
+      effect.draw(ctx, this.currentPalette);
+    }
+    ctx.globalAlpha = 1;
   }
 
   /**
@@ -253,6 +922,10 @@ export class BackgroundRenderer {
    * Used when the user prefers reduced motion.
    */
   renderStaticFrame() {
+    // No animation will follow, so skip effect fades
+    for (const { instance } of this.effects) {
+      instance.completeFade();
+    }
     this.drawFrame(16);
   }
 
@@ -267,20 +940,33 @@ export class BackgroundRenderer {
     );
   }
 
+  /**
+   * Whether only static frames are drawn: reduced motion, or battery saver
+   * without a frame rate
+   * @returns {boolean}
+   */
+  isStatic() {
+    return (
+      this.prefersReducedMotion() ||
+      (this.batterySaver && CONFIG.BATTERY_SAVER.FPS <= 0)
+    );
+  }
+
   /**
    * Start the animation
    */
   start() {
     if (this.isRunning) return;
 
-    // Reduced-motion: paint one static frame and never enter the rAF loop.
-    if (this.prefersReducedMotion()) {
+    // Static: paint one frame and never enter the rAF loop.
+    if (this.isStatic()) {
       this.renderStaticFrame();
       return;
     }
 
     this.isRunning = true;
     this.lastTime = performance.now();
+    this.nextFrameTime = 0;
     this.animationId = requestAnimationFrame(this.animate);
   }
 
@@ -313,8 +999,8 @@ export class BackgroundRenderer {
       clearTimeout(this.resizeTimer);
       this.resizeTimer = null;
     }
-    window.removeEventListener("resize", this.handleResize);
-    document.removeEventListener("visibilitychange", this.handleVisibility);
+    this.removeEventListeners();
+    this.disableWebGL();
 
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
@@ -329,10 +1015,6 @@ export class BackgroundRenderer {
     this.overlayCanvas = null;
     this.overlayCtx = null;
     this.particleSystem = null;
-    this.morningMist = null;
-    this.godRays = null;
-    this.dustParticles = null;
-    this.eveningClouds = null;
-    this.fireflySystem = null;
+    this.effects = [];
   }
 }
@@ -0,0 +1,121 @@
+/**
+ * Background Animation System - Offscreen Renderer
+ *
+ * BackgroundRenderer variant that draws into transferred OffscreenCanvases
+ * inside a worker. It has no DOM: size, pixel ratio, visibility, the pointer
+ * and the view tilt are pushed in by the main thread (see worker-renderer.js).
+ */
+
+import { BackgroundRenderer } from "./index.js";
+
+/**
+ * @typedef {Object} OffscreenRendererOptions
+ * @property {OffscreenCanvas} canvas - Transferred background canvas
+ * @property {OffscreenCanvas} overlayCanvas - Transferred overlay canvas
+ * @property {OffscreenCanvas} [glCanvas] - Transferred WebGL canvas, with the
+ *   'webgl' backend
+ * @property {number} width - Drawing area width in CSS pixels
+ * @property {number} height - Drawing area height in CSS pixels
+ * @property {number} pixelRatio - Capped device pixel ratio
+ * @property {boolean} [reducedMotion] - Main thread's reduced-motion setting
+ * @property {string[]|null} [effects] - Names of effects to enable (null = all)
+ * @property {import('../quality.js').QualityMode} [quality] - Quality mode
+ * @property {(tier: string) => void} [onQualityChange] - Tier change callback
+ * @property {'canvas'|'webgl'} [backend] - Drawing backend
+ * @property {() => void} [onWebGLDisabled] - Called when WebGL is unavailable
+ *   or lost, so the main thread can drop the canvas it can no longer reach
+ * @property {number|null} [seed] - Scene seed
+ */
+
+/**
+ * Offscreen Background Renderer
+ * Runs the regular draw loop against OffscreenCanvases
+ */
+export class OffscreenRenderer extends BackgroundRenderer {
+  /**
+   * @param {OffscreenRendererOptions} options
+   */
+  constructor(options) {
+    super(options);
+    this.offscreenCanvas = options.canvas;
+    this.offscreenOverlayCanvas = options.overlayCanvas;
+    this.offscreenGlCanvas = options.glCanvas || null;
+    this.onWebGLDisabled = options.onWebGLDisabled || null;
+    this.viewport = { width: options.width, height: options.height };
+    this.pixelRatio = options.pixelRatio;
+    this.reducedMotion = Boolean(options.reducedMotion);
+    this.width = options.width;
+    this.height = options.height;
+  }
+
+  /**
+   * Take over the transferred canvases instead of creating DOM elements
+   */
+  createCanvases() {
+    this.canvas = this.offscreenCanvas;
+    this.ctx = this.canvas.getContext("2d");
+    this.overlayCanvas = this.offscreenOverlayCanvas;
+    this.overlayCtx = this.overlayCanvas.getContext("2d");
+    if (!this.ctx || !this.overlayCtx) {
+      throw new Error("OffscreenCanvas 2D context not available");
+    }
+    this.glCanvas = this.offscreenGlCanvas;
+
+    this.initSystems();
+  }
+
+  /**
+   * Size last reported by the main thread
+   * @returns {{width: number, height: number}}
+   */
+  getViewportSize() {
+    // Called from the base constructor before the viewport is stored
+    return this.viewport || { width: 0, height: 0 };
+  }
+
+  /**
+   * Device pixel ratio last reported by the main thread
+   * @returns {number}
+   */
+  getDevicePixelRatio() {
+    return this.pixelRatio;
+  }
+
+  /**
+   * Apply a size reported by the main thread (already debounced there)
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {number} pixelRatio - Capped device pixel ratio
+   */
+  setViewport(width, height, pixelRatio) {
+    this.viewport = { width, height };
+    this.pixelRatio = pixelRatio;
+    this.resizeSystems();
+  }
+
+  /**
+   * Drop the WebGL layer; the canvas element lives on the main thread
+   */
+  disableWebGL() {
+    const hadCanvas = this.glCanvas !== null;
+    super.disableWebGL();
+    if (hadCanvas) this.onWebGLDisabled?.();
+  }
+
+  /**
+   * Workers have no window or document to listen to
+   */
+  setupEventListeners() {}
+
+  /**
+   * Workers have no window or document to listen to
+   */
+  removeEventListeners() {}
+
+  /**
+   * Reduced motion is detected on the main thread and passed in
+   */
+  prefersReducedMotion() {
+    return this.reducedMotion;
+  }
+}
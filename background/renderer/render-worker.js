@@ -0,0 +1,144 @@
+/**
+ * Background Animation System - Render Worker
+ *
+ * Module worker entry that owns the transferred canvases and runs the draw
+ * loop off the main thread. Driven by messages from WorkerRenderer:
+ *
+ *   { type: 'init', canvas, overlayCanvas, glCanvas, backend, width, height,
+ *     pixelRatio, reducedMotion, effects, quality, maxFps, seed, config,
+ *     registeredEffects }
+ *   { type: 'conditions', timePeriod, palette, transition, weather, season }
+ *   { type: 'resize', width, height, pixelRatio }
+ *   { type: 'cardRect', rect }
+ *   { type: 'quality', mode }
+ *   { type: 'maxFps', fps }
+ *   { type: 'batterySaver', active }
+ *   { type: 'seed', seed }
+ *   { type: 'pointer', pointer }
+ *   { type: 'tilt', tilt }
+ *   { type: 'celestial', position }
+ *   { type: 'enabledEffects' | 'requestedEffects' | 'registeredEffects', names }
+ *   { type: 'start' | 'pause' | 'resume' | 'renderStatic' }
+ *
+ * Quality tier changes are posted back as { type: 'qualityChange', tier };
+ * a fallback from WebGL to Canvas 2D as { type: 'webglDisabled' }; errors as
+ * { type: 'error', message } so the main thread can fall back to in-thread
+ * rendering.
+ */
+
+import { configure } from "../config.js";
+import { getRegisteredEffects, unregisterEffect } from "../effects/registry.js";
+import { setReportedCardRect } from "../effects/precipitation.js";
+import { OffscreenRenderer } from "./offscreen-renderer.js";
+
+// Dedicated workers normally have rAF; older engines only have timers
+if (typeof self.requestAnimationFrame !== "function") {
+  self.requestAnimationFrame = (callback) =>
+    setTimeout(() => callback(performance.now()), 16);
+  self.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+/** @type {OffscreenRenderer|null} */
+let renderer = null;
+
+/**
+ * Drop registry entries the main thread no longer has
+ * @param {string[]} names - Effect names registered on the main thread
+ */
+function syncRegistry(names) {
+  for (const { name } of getRegisteredEffects()) {
+    if (!names.includes(name)) unregisterEffect(name);
+  }
+}
+
+/**
+ * Handle a message from the main thread
+ * @param {Object} data - Message payload
+ */
+function handleMessage(data) {
+  if (data.type === "init") {
+    configure(data.config || {});
+    syncRegistry(data.registeredEffects);
+    renderer = new OffscreenRenderer({
+      ...data,
+      onQualityChange: (tier) =>
+        self.postMessage({ type: "qualityChange", tier }),
+      onWebGLDisabled: () => self.postMessage({ type: "webglDisabled" }),
+    }).init();
+    self.postMessage({
+      type: "qualityChange",
+      tier: renderer.getQualityTier(),
+    });
+    return;
+  }
+  if (!renderer) return;
+
+  switch (data.type) {
+    case "conditions":
+      renderer.updateConditions(
+        data.timePeriod,
+        data.palette,
+        data.transition,
+        data.weather,
+        data.season,
+      );
+      break;
+    case "resize":
+      renderer.setViewport(data.width, data.height, data.pixelRatio);
+      break;
+    case "cardRect":
+      setReportedCardRect(data.rect);
+      break;
+    case "quality":
+      renderer.setQualityMode(data.mode);
+      break;
+    case "maxFps":
+      renderer.setMaxFps(data.fps);
+      break;
+    case "batterySaver":
+      renderer.setBatterySaver(data.active);
+      break;
+    case "seed":
+      renderer.setSeed(data.seed);
+      break;
+    case "pointer":
+      renderer.setPointer(data.pointer);
+      break;
+    case "tilt":
+      renderer.setTilt(data.tilt);
+      break;
+    case "celestial":
+      renderer.setCelestialPosition(data.position);
+      break;
+    case "enabledEffects":
+      renderer.setEnabledEffects(data.names);
+      break;
+    case "requestedEffects":
+      renderer.setRequestedEffects(data.names);
+      break;
+    case "registeredEffects":
+      syncRegistry(data.names);
+      renderer.syncEffects();
+      break;
+    case "start":
+      renderer.start();
+      break;
+    case "pause":
+      renderer.pause();
+      break;
+    case "resume":
+      renderer.resume();
+      break;
+    case "renderStatic":
+      renderer.renderStaticFrame();
+      break;
+  }
+}
+
+self.addEventListener("message", (event) => {
+  try {
+    handleMessage(event.data);
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+});
@@ -0,0 +1,148 @@
+/**
+ * Background Animation System - Shaders
+ *
+ * GLSL (WebGL 1) sources for the WebGL backend. Gradient stops and falloff
+ * curves mirror the Canvas 2D drawing in gradient.js, celestial.js,
+ * particles.js and effects/god-rays.js.
+ */
+
+// Maximum gradient color stops supported by the sky shader
+export const MAX_GRADIENT_STOPS = 8;
+
+/**
+ * Shared vertex shader. Positions are in CSS pixels with y pointing down;
+ * `a_local` carries per-shape coordinates (orb offset, beam progress).
+ */
+export const VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec2 a_local;
+attribute float a_alpha;
+uniform vec2 u_resolution;
+varying vec2 v_position;
+varying vec2 v_local;
+varying float v_alpha;
+
+void main() {
+  v_position = a_position;
+  v_local = a_local;
+  v_alpha = a_alpha;
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+// Positions are in pixels, beyond what mediump guarantees on mobile GPUs
+const PRECISION = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+`;
+
+// Piecewise-linear ramp through four (position, value) stops
+const RAMP = `
+float ramp(float t, vec4 at, vec4 value) {
+  t = clamp(t, at.x, at.w);
+  if (t < at.y) return mix(value.x, value.y, (t - at.x) / (at.y - at.x));
+  if (t < at.z) return mix(value.y, value.z, (t - at.y) / (at.z - at.y));
+  return mix(value.z, value.w, (t - at.z) / (at.w - at.z));
+}
+`;
+
+/**
+ * Full-screen sky: breathing linear gradient plus the sun/moon ambient and
+ * accent light.
+ */
+export const SKY_FRAGMENT_SHADER = `
+${PRECISION}
+${RAMP}
+uniform vec2 u_gradientStart;
+uniform vec2 u_gradientEnd;
+uniform vec3 u_stops[${MAX_GRADIENT_STOPS}];
+uniform int u_stopCount;
+uniform vec2 u_light;
+uniform float u_reach;
+uniform float u_accentReach;
+uniform float u_intensity;
+uniform vec3 u_glowColor;
+uniform vec3 u_accentColor;
+varying vec2 v_position;
+
+vec3 gradientColor(vec2 p) {
+  vec2 axis = u_gradientEnd - u_gradientStart;
+  float t = clamp(dot(p - u_gradientStart, axis) / dot(axis, axis), 0.0, 1.0);
+  float scaled = t * float(u_stopCount - 1);
+  vec3 color = u_stops[0];
+  for (int i = 0; i < ${MAX_GRADIENT_STOPS - 1}; i++) {
+    if (i >= u_stopCount - 1) break;
+    color = mix(color, u_stops[i + 1], clamp(scaled - float(i), 0.0, 1.0));
+  }
+  return color;
+}
+
+void main() {
+  vec3 color = gradientColor(v_position);
+  float distance = length(v_position - u_light);
+
+  float ambient = ramp(
+    distance / u_reach,
+    vec4(0.0, 0.2, 0.5, 1.0),
+    vec4(0.25, 0.12, 0.05, 0.0)
+  ) * u_intensity;
+  color = mix(color, u_glowColor, ambient);
+
+  float accent = ramp(
+    distance / u_accentReach,
+    vec4(0.0, 0.3, 0.6, 1.0),
+    vec4(0.15, 0.06, 0.02, 0.0)
+  ) * u_intensity;
+  color = mix(color, u_accentColor, accent);
+
+  gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+/**
+ * Bokeh orb: soft white radial falloff, premultiplied
+ */
+export const ORB_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 v_local;
+varying float v_alpha;
+
+float falloff(float d) {
+  if (d < 0.15) return mix(1.0, 0.7, d / 0.15);
+  if (d < 0.35) return mix(0.7, 0.4, (d - 0.15) / 0.2);
+  if (d < 0.55) return mix(0.4, 0.15, (d - 0.35) / 0.2);
+  if (d < 0.75) return mix(0.15, 0.05, (d - 0.55) / 0.2);
+  return mix(0.05, 0.0, clamp((d - 0.75) / 0.25, 0.0, 1.0));
+}
+
+void main() {
+  float alpha = falloff(length(v_local)) * v_alpha;
+  gl_FragColor = vec4(alpha);
+}
+`;
+
+/**
+ * God ray beam: warm core fading along its length, premultiplied
+ */
+export const RAY_FRAGMENT_SHADER = `
+precision mediump float;
+${RAMP}
+uniform vec3 u_lightColor;
+uniform vec3 u_warmColor;
+varying vec2 v_local;
+varying float v_alpha;
+
+void main() {
+  float t = v_local.y;
+  float alpha = min(
+    1.0,
+    ramp(t, vec4(0.0, 0.2, 0.5, 1.0), vec4(1.2, 1.0, 0.5, 0.0)) * v_alpha
+  );
+  vec3 color = mix(u_warmColor, u_lightColor, clamp(t / 0.2, 0.0, 1.0));
+  gl_FragColor = vec4(color * alpha, alpha);
+}
+`;
@@ -5,6 +5,7 @@
  */
 
 import { CONFIG } from "../config.js";
+import { createRandom } from "../random.js";
 
 /**
  * @typedef {Object} Shape
@@ -42,29 +43,30 @@ export function createShapesState() {
  * @param {ShapesState} state - Shapes state
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @param {number|null} [seed] - Layout seed (null = Math.random)
  */
-export function initShapes(state, width, height) {
+export function initShapes(state, width, height, seed = null) {
   const { SHAPES } = CONFIG;
+  const random = createRandom(seed);
   state.shapes = [];
   const count =
     SHAPES.COUNT.min +
-    Math.floor(Math.random() * (SHAPES.COUNT.max - SHAPES.COUNT.min + 1));
+    Math.floor(random() * (SHAPES.COUNT.max - SHAPES.COUNT.min + 1));
 
   for (let i = 0; i < count; i++) {
     state.shapes.push({
-      x: Math.random() * width,
-      y: Math.random() * height,
-      size:
-        SHAPES.SIZE.min + Math.random() * (SHAPES.SIZE.max - SHAPES.SIZE.min),
-      rotation: Math.random() * Math.PI * 2,
-      rotationSpeed: (Math.random() - 0.5) * SHAPES.ROTATION_SPEED,
-      type: Math.random() > 0.5 ? "circle" : "polygon",
-      sides: 3 + Math.floor(Math.random() * 4),
+      x: random() * width,
+      y: random() * height,
+      size: SHAPES.SIZE.min + random() * (SHAPES.SIZE.max - SHAPES.SIZE.min),
+      rotation: random() * Math.PI * 2,
+      rotationSpeed: (random() - 0.5) * SHAPES.ROTATION_SPEED,
+      type: random() > 0.5 ? "circle" : "polygon",
+      sides: 3 + Math.floor(random() * 4),
       opacity:
         SHAPES.OPACITY.min +
-        Math.random() * (SHAPES.OPACITY.max - SHAPES.OPACITY.min),
-      vx: (Math.random() - 0.5) * SHAPES.VELOCITY,
-      vy: (Math.random() - 0.5) * SHAPES.VELOCITY,
+        random() * (SHAPES.OPACITY.max - SHAPES.OPACITY.min),
+      vx: (random() - 0.5) * SHAPES.VELOCITY,
+      vy: (random() - 0.5) * SHAPES.VELOCITY,
     });
   }
 }
@@ -77,12 +79,25 @@ export function initShapes(state, width, height) {
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} deltaTime - Time since last frame
+ * @param {{x: number, y: number}} [shift] - Parallax shift in px (applied at
+ *   CONFIG.PARALLAX.DEPTH.SHAPES)
  */
-export function drawShapes(ctx, state, palette, width, height, deltaTime) {
+export function drawShapes(
+  ctx,
+  state,
+  palette,
+  width,
+  height,
+  deltaTime,
+  shift = { x: 0, y: 0 },
+) {
   if (!palette) return;
 
   state.time += deltaTime * 0.001;
   const shapeColor = palette.accent || "#4A6FA5";
+  const depth = CONFIG.PARALLAX.DEPTH.SHAPES;
+  const shiftX = shift.x * depth;
+  const shiftY = shift.y * depth;
 
   for (const shape of state.shapes) {
     // Update position
@@ -98,7 +113,7 @@ export function drawShapes(ctx, state, palette, width, height, deltaTime) {
 
     // Draw shape
     ctx.save();
-    ctx.translate(shape.x, shape.y);
+    ctx.translate(shape.x + shiftX, shape.y + shiftY);
     ctx.rotate(shape.rotation);
     ctx.globalAlpha = shape.opacity;
 
@@ -0,0 +1,411 @@
+/**
+ * Background Animation System - WebGL Layer
+ *
+ * WebGL backend for the most expensive Canvas 2D work: the breathing sky
+ * gradient, the sun/moon light, bokeh orbs and god rays. The sky stays on its
+ * own canvas beneath the 2D background canvas, which keeps the shapes, the
+ * moon disc and the other effects. Orbs and beams are drawn on the same
+ * canvas first and copied onto the 2D layers where Canvas 2D would draw them,
+ * so they stack the same way with either backend.
+ */
+
+import {
+  MAX_GRADIENT_STOPS,
+  VERTEX_SHADER,
+  SKY_FRAGMENT_SHADER,
+  ORB_FRAGMENT_SHADER,
+  RAY_FRAGMENT_SHADER,
+} from "./shaders.js";
+import { parseRgbaColor } from "../colors/interpolation.js";
+import { LIGHT_COLOR, LIGHT_COLOR_WARM } from "../effects/god-rays.js";
+import { createLogger } from "../../utils/logger.js";
+
+const logger = createLogger("WebGL");
+
+// Floats per vertex: position (2), local (2), alpha (1)
+const VERTEX_SIZE = 5;
+
+/**
+ * @typedef {Object} SkyFrame
+ * @property {import('./gradient.js').GradientFrame} gradient - Sky gradient
+ * @property {Object} palette - Color palette
+ * @property {import('./celestial.js').CelestialLight|null} light - Sun/moon light
+ */
+
+/**
+ * @typedef {Array<{x: number, y: number, currentSize: number, opacity: number}>} OrbList
+ *   Bokeh orbs back to front
+ */
+
+/**
+ * Convert an "r, g, b" string to normalized components
+ * @param {string} rgb - Comma separated 0-255 channels
+ * @returns {number[]}
+ */
+function parseRgbList(rgb) {
+  return rgb.split(",").map((channel) => Number(channel) / 255);
+}
+
+/** Colors already reported by parseUniformColor */
+const warnedColors = new Set();
+
+/**
+ * Parse a palette color for a uniform. A malformed color (warned about once)
+ * draws black instead of stopping the draw loop every frame.
+ * @param {string} color
+ * @returns {import('../colors/interpolation.js').RGBA}
+ */
+function parseUniformColor(color) {
+  try {
+    return parseRgbaColor(color);
+  } catch (error) {
+    if (!warnedColors.has(color)) {
+      warnedColors.add(color);
+      logger.warn("Drawing invalid color as black:", error);
+    }
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+}
+
+/**
+ * Compile a shader program
+ * @param {WebGLRenderingContext} gl
+ * @param {string} vertexSource
+ * @param {string} fragmentSource
+ * @returns {WebGLProgram}
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [
+    [gl.VERTEX_SHADER, vertexSource],
+    [gl.FRAGMENT_SHADER, fragmentSource],
+  ]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  }
+
+  // Share attribute slots so one vertex layout serves every program
+  gl.bindAttribLocation(program, 0, "a_position");
+  gl.bindAttribLocation(program, 1, "a_local");
+  gl.bindAttribLocation(program, 2, "a_alpha");
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+/**
+ * Append a quad as two triangles
+ * @param {number[]} data - Vertex data
+ * @param {number[][]} corners - Four [x, y, localX, localY] corners in order
+ * @param {number} alpha - Per-shape alpha
+ */
+function pushQuad(data, corners, alpha) {
+  for (const index of [0, 1, 2, 0, 2, 3]) {
+    data.push(...corners[index], alpha);
+  }
+}
+
+/**
+ * WebGL drawing layer
+ */
+export class WebGLLayer {
+  /**
+   * Set up WebGL on a canvas
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {() => void} [onContextLost] - Called if the GPU drops the context
+   * @returns {WebGLLayer|null} Null when WebGL is unavailable
+   */
+  static create(canvas, onContextLost) {
+    // Transparent where nothing is drawn, for copying orbs and beams
+    const gl = canvas.getContext("webgl", {
+      alpha: true,
+      antialias: false,
+      depth: false,
+      powerPreference: "low-power",
+    });
+    if (!gl) {
+      logger.warn("WebGL not available");
+      return null;
+    }
+
+    try {
+      return new WebGLLayer(canvas, gl, onContextLost);
+    } catch (error) {
+      logger.warn("WebGL setup failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {WebGLRenderingContext} gl
+   * @param {() => void} [onContextLost]
+   */
+  constructor(canvas, gl, onContextLost) {
+    this.canvas = canvas;
+    this.gl = gl;
+    this.width = 0;
+    this.height = 0;
+
+    this.sky = this.createProgramInfo(SKY_FRAGMENT_SHADER, [
+      "u_gradientStart",
+      "u_gradientEnd",
+      "u_stops",
+      "u_stopCount",
+      "u_light",
+      "u_reach",
+      "u_accentReach",
+      "u_intensity",
+      "u_glowColor",
+      "u_accentColor",
+    ]);
+    this.orb = this.createProgramInfo(ORB_FRAGMENT_SHADER, []);
+    this.ray = this.createProgramInfo(RAY_FRAGMENT_SHADER, [
+      "u_lightColor",
+      "u_warmColor",
+    ]);
+
+    this.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    const stride = VERTEX_SIZE * 4;
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 2, gl.FLOAT, false, stride, 8);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 1, gl.FLOAT, false, stride, 16);
+
+    // Shapes are drawn premultiplied
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    // Beam colors never change
+    gl.useProgram(this.ray.program);
+    gl.uniform3fv(this.ray.uniforms.u_lightColor, parseRgbList(LIGHT_COLOR));
+    gl.uniform3fv(
+      this.ray.uniforms.u_warmColor,
+      parseRgbList(LIGHT_COLOR_WARM),
+    );
+
+    this.handleContextLost = (event) => {
+      event.preventDefault();
+      logger.warn("WebGL context lost");
+      onContextLost?.();
+    };
+    canvas.addEventListener?.("webglcontextlost", this.handleContextLost);
+  }
+
+  /**
+   * Compile a program with the shared vertex shader and look up uniforms
+   * @param {string} fragmentSource
+   * @param {string[]} uniformNames
+   * @returns {{program: WebGLProgram, uniforms: Object<string, WebGLUniformLocation>}}
+   */
+  createProgramInfo(fragmentSource, uniformNames) {
+    const { gl } = this;
+    const program = createProgram(gl, VERTEX_SHADER, fragmentSource);
+    const uniforms = {};
+    for (const name of ["u_resolution", ...uniformNames]) {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, uniforms };
+  }
+
+  /**
+   * Match the drawing area
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {number} dpr - Pixel ratio
+   */
+  resize(width, height, dpr) {
+    this.width = width;
+    this.height = height;
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Draw into the cleared canvas and copy the result onto a 2D layer at its
+   * current globalAlpha. Runs before drawSky, which then repaints the canvas.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {() => void} draw - Draws with this layer
+   */
+  copyOnto(ctx, draw) {
+    const { gl } = this;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    draw();
+    ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+  }
+
+  /**
+   * Draw bokeh orbs onto a 2D layer
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {OrbList} orbs
+   */
+  copyOrbs(ctx, orbs) {
+    if (orbs.length === 0) return;
+    this.copyOnto(ctx, () => this.drawOrbs(orbs));
+  }
+
+  /**
+   * Draw god ray beams onto a 2D layer
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {import('../effects/god-rays.js').RayShape[]} rays
+   */
+  copyRays(ctx, rays) {
+    if (rays.length === 0) return;
+    this.copyOnto(ctx, () => this.drawRays(rays));
+  }
+
+  /**
+   * Upload vertices and draw them with a program
+   * @param {{program: WebGLProgram, uniforms: Object}} info
+   * @param {number[]} data - Vertex data
+   */
+  drawTriangles(info, data) {
+    if (data.length === 0) return;
+    const { gl } = this;
+    gl.useProgram(info.program);
+    gl.uniform2f(info.uniforms.u_resolution, this.width, this.height);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.TRIANGLES, 0, data.length / VERTEX_SIZE);
+  }
+
+  /**
+   * Fill the screen with the gradient and celestial light
+   * @param {SkyFrame} frame
+   */
+  drawSky({ gradient, palette, light }) {
+    const { gl } = this;
+    const { uniforms } = this.sky;
+    gl.useProgram(this.sky.program);
+
+    const colors = gradient.colors.slice(0, MAX_GRADIENT_STOPS);
+    const stops = new Float32Array(MAX_GRADIENT_STOPS * 3);
+    colors.forEach(({ r, g, b }, i) =>
+      stops.set([r / 255, g / 255, b / 255], i * 3),
+    );
+    gl.uniform3fv(uniforms.u_stops, stops);
+    gl.uniform1i(uniforms.u_stopCount, Math.max(1, colors.length));
+    gl.uniform2f(uniforms.u_gradientStart, gradient.x0, gradient.y0);
+    gl.uniform2f(uniforms.u_gradientEnd, gradient.x1, gradient.y1);
+
+    if (light) {
+      const glow = parseUniformColor(palette.celestial.glowColor);
+      const accent = parseUniformColor(palette.celestial.color);
+      gl.uniform2f(uniforms.u_light, light.x, light.y);
+      gl.uniform1f(uniforms.u_reach, light.reach);
+      gl.uniform1f(uniforms.u_accentReach, light.accentReach);
+      gl.uniform1f(uniforms.u_intensity, light.intensity);
+      gl.uniform3f(
+        uniforms.u_glowColor,
+        glow.r / 255,
+        glow.g / 255,
+        glow.b / 255,
+      );
+      gl.uniform3f(
+        uniforms.u_accentColor,
+        accent.r / 255,
+        accent.g / 255,
+        accent.b / 255,
+      );
+    } else {
+      gl.uniform1f(uniforms.u_intensity, 0);
+      gl.uniform1f(uniforms.u_reach, 1);
+      gl.uniform1f(uniforms.u_accentReach, 1);
+    }
+
+    const w = this.width;
+    const h = this.height;
+    const data = [];
+    pushQuad(
+      data,
+      [
+        [0, 0, 0, 0],
+        [w, 0, 0, 0],
+        [w, h, 0, 0],
+        [0, h, 0, 0],
+      ],
+      1,
+    );
+    this.drawTriangles(this.sky, data);
+  }
+
+  /**
+   * Draw bokeh orbs as soft squares
+   * @param {OrbList} orbs
+   */
+  drawOrbs(orbs) {
+    const data = [];
+    for (const orb of orbs) {
+      const r = orb.currentSize;
+      if (!(r > 0)) continue;
+      pushQuad(
+        data,
+        [
+          [orb.x - r, orb.y - r, -1, -1],
+          [orb.x + r, orb.y - r, 1, -1],
+          [orb.x + r, orb.y + r, 1, 1],
+          [orb.x - r, orb.y + r, -1, 1],
+        ],
+        orb.opacity,
+      );
+    }
+    this.drawTriangles(this.orb, data);
+  }
+
+  /**
+   * Draw tapered god ray beams
+   * @param {import('../effects/god-rays.js').RayShape[]} rays
+   */
+  drawRays(rays) {
+    const data = [];
+    for (const ray of rays) {
+      const cos = Math.cos(ray.angle);
+      const sin = Math.sin(ray.angle);
+      // Beam-local (x across, y along) to canvas coordinates
+      const corner = (x, y, along) => [
+        ray.x + x * cos - y * sin,
+        ray.y + x * sin + y * cos,
+        0,
+        along,
+      ];
+      pushQuad(
+        data,
+        [
+          corner(-ray.topHalfWidth, 0, 0),
+          corner(ray.topHalfWidth, 0, 0),
+          corner(ray.bottomHalfWidth, ray.length, 1),
+          corner(-ray.bottomHalfWidth, ray.length, 1),
+        ],
+        ray.opacity,
+      );
+    }
+    this.drawTriangles(this.ray, data);
+  }
+
+  /**
+   * Release GPU resources
+   */
+  destroy() {
+    const { gl } = this;
+    this.canvas.removeEventListener?.(
+      "webglcontextlost",
+      this.handleContextLost,
+    );
+    for (const { program } of [this.sky, this.orb, this.ray]) {
+      gl.deleteProgram(program);
+    }
+    gl.deleteBuffer(this.buffer);
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+  }
+}
@@ -0,0 +1,563 @@
+/**
+ * Background Animation System - Worker Renderer
+ *
+ * Main-thread proxy with the BackgroundRenderer API that hands both canvases
+ * to render-worker.js via transferControlToOffscreen(). The main thread only
+ * forwards resize, visibility, card position, pointer, tilt and condition
+ * updates, so the draw loop never competes with the card tilt.
+ */
+
+import { CONFIG } from "../config.js";
+import { getRegisteredEffects } from "../effects/registry.js";
+import { CardBounds } from "../effects/precipitation.js";
+import { createSeed } from "../random.js";
+import { watchPointer } from "../pointer.js";
+import { watchTilt } from "../tilt.js";
+import { RENDER_BACKEND } from "./index.js";
+import {
+  createCanvasElement,
+  removeExistingCanvas,
+  getDevicePixelRatio,
+  getHostSize,
+} from "./canvas.js";
+
+/**
+ * @typedef {Object} WorkerRendererOptions
+ * @property {HTMLElement} [container] - Element hosting the canvases
+ * @property {string[]|null} [effects] - Names of effects to enable (null = all)
+ * @property {import('../quality.js').QualityMode} [quality] - Fixed quality
+ *   tier, or 'auto' to adapt to the worker's frame rate
+ * @property {(tier: import('../quality.js').QualityTier) => void} [onQualityChange] -
+ *   Called when the worker reports a quality tier
+ * @property {number|null} [maxFps] - Frame-rate cap (null = config default,
+ *   0 = uncapped)
+ * @property {'canvas'|'webgl'} [backend] - Drawing backend used in the worker
+ * @property {number|null} [seed] - Scene seed (null = a fresh random seed)
+ * @property {boolean} [interactive] - Forward the pointer so orbs, fireflies
+ *   and mist react to it (never under reduced motion)
+ * @property {boolean} [parallax] - Forward the phone's tilt and the mouse
+ *   position for the depth parallax (never under reduced motion)
+ * @property {Object} [config] - CONFIG overrides to apply in the worker
+ * @property {(error: Error) => void} [onError] - Called when the worker fails
+ */
+
+/**
+ * Worker-backed Background Renderer
+ */
+export class WorkerRenderer {
+  /**
+   * Whether the browser can render the background in a worker
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof HTMLCanvasElement !== "undefined" &&
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen ===
+        "function"
+    );
+  }
+
+  /**
+   * @param {WorkerRendererOptions} [options]
+   */
+  constructor(options = {}) {
+    this.container = options.container || null;
+    this.enabledEffects = options.effects || null;
+    this.config = options.config || {};
+    this.qualityMode = options.quality;
+    // Unknown until the worker reports it
+    this.qualityTier = null;
+    this.onQualityChange = options.onQualityChange || null;
+    this.maxFps = options.maxFps ?? null;
+    this.backend = options.backend || RENDER_BACKEND.CANVAS;
+    this.seed = options.seed ?? createSeed();
+    this.interactive = Boolean(options.interactive);
+    this.unwatchPointer = null;
+    this.parallaxEnabled = Boolean(options.parallax);
+    this.unwatchTilt = null;
+    this.batterySaver = false;
+    this.onError = options.onError || null;
+    this.worker = null;
+    this.canvas = null;
+    this.overlayCanvas = null;
+    this.glCanvas = null;
+    this.isRunning = false;
+    this.cardBounds = new CardBounds();
+    this.cardRect = null;
+    this.cardTimer = null;
+    this.resizeTimer = null;
+
+    // Bind methods
+    this.handleResize = this.handleResize.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.postCardRect = this.postCardRect.bind(this);
+  }
+
+  /**
+   * Create the canvases, transfer them and start the worker
+   */
+  init() {
+    const host = this.container || document.body;
+    removeExistingCanvas("bg-canvas");
+    removeExistingCanvas("overlay-canvas");
+    removeExistingCanvas("gl-canvas");
+
+    // A canvas with a context can't be transferred, so create bare elements
+    const position = this.isFullPage() ? "fixed" : "absolute";
+    this.canvas = createCanvasElement("bg-canvas", -2, position);
+    this.overlayCanvas = createCanvasElement("overlay-canvas", -1, position);
+    host.insertBefore(this.canvas, host.firstChild);
+    host.appendChild(this.overlayCanvas);
+
+    const canvas = this.canvas.transferControlToOffscreen();
+    const overlayCanvas = this.overlayCanvas.transferControlToOffscreen();
+    const transfer = [canvas, overlayCanvas];
+
+    // WebGL canvas goes beneath the background canvas
+    let glCanvas = null;
+    if (this.backend === RENDER_BACKEND.WEBGL) {
+      this.glCanvas = createCanvasElement("gl-canvas", -3, position);
+      host.insertBefore(this.glCanvas, host.firstChild);
+      glCanvas = this.glCanvas.transferControlToOffscreen();
+      transfer.push(glCanvas);
+    }
+
+    this.worker = new Worker(new URL("./render-worker.js", import.meta.url), {
+      type: "module",
+    });
+    this.worker.addEventListener("error", this.handleWorkerError);
+    this.worker.addEventListener("message", this.handleWorkerMessage);
+
+    const { width, height } = getHostSize(this.container);
+    this.worker.postMessage(
+      {
+        type: "init",
+        canvas,
+        overlayCanvas,
+        glCanvas,
+        backend: this.backend,
+        width,
+        height,
+        pixelRatio: getDevicePixelRatio(),
+        reducedMotion: this.prefersReducedMotion(),
+        effects: this.enabledEffects,
+        quality: this.qualityMode,
+        maxFps: this.maxFps,
+        seed: this.seed,
+        config: this.config,
+        registeredEffects: getRegisteredEffects().map(({ name }) => name),
+      },
+      transfer,
+    );
+
+    window.addEventListener("resize", this.handleResize);
+    document.addEventListener("visibilitychange", this.handleVisibility);
+    this.postCardRect();
+    this.cardTimer = setInterval(
+      this.postCardRect,
+      CONFIG.EFFECTS.CARD_BOUNDS_REFRESH,
+    );
+    this.startPointerTracking();
+    this.startTiltTracking();
+    return this;
+  }
+
+  /**
+   * Whether the canvases cover the whole page rather than a container
+   * @returns {boolean}
+   */
+  isFullPage() {
+    return !this.container || this.container === document.body;
+  }
+
+  /**
+   * Send a message to the worker, if it is still alive
+   * @param {Object} message
+   */
+  post(message) {
+    this.worker?.postMessage(message);
+  }
+
+  /**
+   * Worker script failed to load or threw while drawing
+   * @param {ErrorEvent} event
+   */
+  handleWorkerError(event) {
+    event.preventDefault?.();
+    this.fail(new Error(event.message || "Render worker failed"));
+  }
+
+  /**
+   * Handle quality reports, the WebGL fallback and errors from the worker
+   * @param {MessageEvent} event
+   */
+  handleWorkerMessage(event) {
+    const { data } = event;
+    if (data?.type === "qualityChange") {
+      this.qualityTier = data.tier;
+      this.onQualityChange?.(data.tier);
+    } else if (data?.type === "webglDisabled") {
+      this.removeGlCanvas();
+    } else if (data?.type === "error") {
+      this.fail(new Error(data.message));
+    }
+  }
+
+  /**
+   * Tear down and let the owner fall back to in-thread rendering
+   * @param {Error} error
+   */
+  fail(error) {
+    if (!this.worker) return;
+    this.destroy();
+    this.onError?.(error);
+  }
+
+  /**
+   * Turn pointer reactions on or off
+   * @param {boolean} enabled
+   */
+  setInteractive(enabled) {
+    this.interactive = enabled;
+    if (enabled) {
+      this.startPointerTracking();
+    } else {
+      this.stopPointerTracking();
+    }
+  }
+
+  /**
+   * Forward the pointer, if interaction is on and motion is welcome
+   */
+  startPointerTracking() {
+    if (!this.interactive || this.unwatchPointer) return;
+    if (this.prefersReducedMotion()) return;
+    this.unwatchPointer = watchPointer(this.container, (pointer) =>
+      this.post({ type: "pointer", pointer }),
+    );
+  }
+
+  /**
+   * Stop forwarding the pointer and let everything settle back
+   */
+  stopPointerTracking() {
+    if (!this.unwatchPointer) return;
+    this.unwatchPointer();
+    this.unwatchPointer = null;
+    this.post({ type: "pointer", pointer: null });
+  }
+
+  /**
+   * Turn the depth parallax on or off
+   * @param {boolean} enabled
+   */
+  setParallaxEnabled(enabled) {
+    this.parallaxEnabled = enabled;
+    if (enabled) {
+      this.startTiltTracking();
+    } else {
+      this.stopTiltTracking();
+    }
+  }
+
+  /**
+   * Forward the tilt, if the parallax is on and motion is welcome
+   */
+  startTiltTracking() {
+    if (!this.parallaxEnabled || this.unwatchTilt) return;
+    if (this.prefersReducedMotion()) return;
+    this.unwatchTilt = watchTilt((tilt) => this.post({ type: "tilt", tilt }));
+  }
+
+  /**
+   * Stop forwarding the tilt and ease back to the neutral view
+   */
+  stopTiltTracking() {
+    if (!this.unwatchTilt) return;
+    this.unwatchTilt();
+    this.unwatchTilt = null;
+    this.post({ type: "tilt", tilt: { x: 0, y: 0 } });
+  }
+
+  /**
+   * Forward the card box for rain and snow collisions when it moved
+   */
+  postCardRect() {
+    this.cardBounds.refresh(this.overlayCanvas);
+    const rect = this.cardBounds.rect;
+    const previous = this.cardRect;
+    const unchanged =
+      rect === previous ||
+      (rect &&
+        previous &&
+        rect.left === previous.left &&
+        rect.top === previous.top &&
+        rect.right === previous.right &&
+        rect.bottom === previous.bottom);
+    if (unchanged) return;
+
+    this.cardRect = rect;
+    this.post({ type: "cardRect", rect });
+  }
+
+  /**
+   * Handle window resize with debounce
+   */
+  handleResize() {
+    if (this.resizeTimer) {
+      clearTimeout(this.resizeTimer);
+    }
+
+    this.resizeTimer = setTimeout(() => {
+      const { width, height } = getHostSize(this.container);
+      this.post({
+        type: "resize",
+        width,
+        height,
+        pixelRatio: getDevicePixelRatio(),
+      });
+      this.cardBounds.lastRead = -Infinity;
+      this.postCardRect();
+    }, 150);
+  }
+
+  /**
+   * Handle visibility change - pause when hidden
+   */
+  handleVisibility() {
+    if (document.hidden) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Whether the user asked the OS to minimize non-essential motion.
+   */
+  prefersReducedMotion() {
+    return (
+      typeof window.matchMedia === "function" &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  /**
+   * Restrict which effects may activate
+   * @param {string[]|null} names - Effect names (null = all)
+   */
+  setEnabledEffects(names) {
+    this.enabledEffects = names || null;
+    this.post({ type: "enabledEffects", names: this.enabledEffects });
+  }
+
+  /**
+   * Set which on-demand effects may activate; applied on the next
+   * updateConditions()
+   * @param {string[]} names - Effect names
+   */
+  setRequestedEffects(names) {
+    this.post({ type: "requestedEffects", names: names || [] });
+  }
+
+  /**
+   * Get the last quality tier reported by the worker
+   * @returns {import('../quality.js').QualityTier|null}
+   */
+  getQualityTier() {
+    return this.qualityTier;
+  }
+
+  /**
+   * Fix the quality tier or return to adaptive quality
+   * @param {import('../quality.js').QualityMode|null} mode - Tier or 'auto'
+   */
+  setQualityMode(mode) {
+    this.qualityMode = mode;
+    this.post({ type: "quality", mode });
+  }
+
+  /**
+   * Get the scene seed
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Rebuild orbs, shapes and effects from a new scene seed
+   * @param {number} seed - Integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.post({ type: "seed", seed });
+  }
+
+  /**
+   * Mirror registry removals in the worker. Custom effects can't cross
+   * into the worker; the owner switches to in-thread rendering for those.
+   */
+  syncEffects() {
+    this.post({
+      type: "registeredEffects",
+      names: getRegisteredEffects().map(({ name }) => name),
+    });
+  }
+
+  /**
+   * Move the sun/moon along its arc (the worker glides there)
+   * @param {{x: number, y: number}} position - Screen fractions
+   */
+  setCelestialPosition(position) {
+    this.post({ type: "celestial", position });
+  }
+
+  /**
+   * Update conditions (time period, palette, transition, weather, season)
+   */
+  updateConditions(
+    timePeriod,
+    palette,
+    transition = null,
+    weather = null,
+    season = null,
+  ) {
+    this.post({
+      type: "conditions",
+      timePeriod,
+      palette,
+      transition,
+      weather,
+      season,
+    });
+  }
+
+  /**
+   * Set the frame-rate cap
+   * @param {number|null} fps - Frames per second (null = config default,
+   *   0 = uncapped)
+   */
+  setMaxFps(fps) {
+    this.maxFps = fps ?? null;
+    this.post({ type: "maxFps", fps: this.maxFps });
+  }
+
+  /**
+   * Enter or leave battery saver; the worker switches its loop itself
+   * @param {boolean} active
+   */
+  setBatterySaver(active) {
+    if (active === this.batterySaver) return;
+    const wasStatic = this.isStatic();
+    this.batterySaver = active;
+    this.post({ type: "batterySaver", active });
+    if (this.isStatic() !== wasStatic) this.isRunning = wasStatic;
+  }
+
+  /**
+   * Whether only static frames are drawn: reduced motion, or battery saver
+   * without a frame rate
+   * @returns {boolean}
+   */
+  isStatic() {
+    return (
+      this.prefersReducedMotion() ||
+      (this.batterySaver && CONFIG.BATTERY_SAVER.FPS <= 0)
+    );
+  }
+
+  /**
+   * Render a single static frame without starting the animation loop
+   */
+  renderStaticFrame() {
+    this.post({ type: "renderStatic" });
+  }
+
+  /**
+   * Start the animation
+   */
+  start() {
+    if (this.isRunning) return;
+
+    // Static: the worker paints one frame instead
+    if (this.isStatic()) {
+      this.renderStaticFrame();
+      return;
+    }
+
+    this.isRunning = true;
+    this.post({ type: "start" });
+  }
+
+  /**
+   * Pause the animation
+   */
+  pause() {
+    this.isRunning = false;
+    this.post({ type: "pause" });
+  }
+
+  /**
+   * Resume the animation
+   */
+  resume() {
+    if (!this.isRunning) {
+      this.start();
+    }
+  }
+
+  /**
+   * Stop the worker and remove the canvases
+   */
+  destroy() {
+    this.isRunning = false;
+    if (this.resizeTimer) {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = null;
+    }
+    if (this.cardTimer) {
+      clearInterval(this.cardTimer);
+      this.cardTimer = null;
+    }
+    window.removeEventListener("resize", this.handleResize);
+    document.removeEventListener("visibilitychange", this.handleVisibility);
+    this.stopPointerTracking();
+    this.stopTiltTracking();
+
+    if (this.worker) {
+      this.worker.removeEventListener("error", this.handleWorkerError);
+      this.worker.removeEventListener("message", this.handleWorkerMessage);
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+
+    if (this.overlayCanvas && this.overlayCanvas.parentNode) {
+      this.overlayCanvas.parentNode.removeChild(this.overlayCanvas);
+    }
+
+    this.removeGlCanvas();
+
+    this.canvas = null;
+    this.overlayCanvas = null;
+  }
+
+  /**
+   * Remove the WebGL canvas, whose last frame would otherwise stay on screen
+   * once the worker draws with Canvas 2D
+   */
+  removeGlCanvas() {
+    if (this.glCanvas && this.glCanvas.parentNode) {
+      this.glCanvas.parentNode.removeChild(this.glCanvas);
+    }
+    this.glCanvas = null;
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Background Animation System - Season Module
+ *
+ * Determines the meteorological season from the date, flipped for the
+ * southern hemisphere.
+ */
+
+/**
+ * @typedef {'spring'|'summer'|'autumn'|'winter'} SeasonKey
+ */
+
+/**
+ * Season constants
+ * @type {Object<string, SeasonKey>}
+ */
+export const SEASON = {
+  SPRING: "spring",
+  SUMMER: "summer",
+  AUTUMN: "autumn",
+  WINTER: "winter",
+};
+
+// Northern hemisphere season for each month (January first)
+const MONTH_SEASONS = [
+  SEASON.WINTER,
+  SEASON.WINTER,
+  SEASON.SPRING,
+  SEASON.SPRING,
+  SEASON.SPRING,
+  SEASON.SUMMER,
+  SEASON.SUMMER,
+  SEASON.SUMMER,
+  SEASON.AUTUMN,
+  SEASON.AUTUMN,
+  SEASON.AUTUMN,
+  SEASON.WINTER,
+];
+
+/**
+ * Get the season for a date and hemisphere
+ * @param {Date} [now] - Reference date
+ * @param {number} [latitude] - Degrees, north positive (south flips seasons)
+ * @returns {SeasonKey}
+ */
+export function getSeason(now = new Date(), latitude = 0) {
+  const month = latitude < 0 ? (now.getMonth() + 6) % 12 : now.getMonth();
+  return MONTH_SEASONS[month];
+}
@@ -0,0 +1,200 @@
+/**
+ * Background Animation System - Solar Module
+ *
+ * Computes sunrise, solar noon and sunset offline (NOAA approximation) and
+ * maps them to time periods, so "evening" follows the actual sunset.
+ */
+
+import { CONFIG } from "./config.js";
+import { TIME_PERIOD, getMinutesOfDay } from "./time.js";
+
+/**
+ * @typedef {Object} GeoLocation
+ * @property {number} latitude - Degrees, north positive
+ * @property {number} longitude - Degrees, east positive
+ */
+
+/**
+ * @typedef {Object} SolarTimes
+ * @property {Date|null} sunrise - Null when the sun never rises/sets (polar)
+ * @property {Date} solarNoon - Sun at its highest point
+ * @property {Date|null} sunset - Null when the sun never rises/sets (polar)
+ * @property {'normal'|'polarDay'|'polarNight'} state - Day type
+ */
+
+const DEG = Math.PI / 180;
+
+// Zenith for sunrise/sunset, including refraction and the solar disc radius
+const SUNRISE_ZENITH = 90.833 * DEG;
+
+/**
+ * Approximate coordinates for common IANA time zones
+ * @type {Object<string, GeoLocation>}
+ */
+const TIMEZONE_LOCATIONS = {
+  "Asia/Tokyo": { latitude: 35.68, longitude: 139.69 },
+  "Asia/Seoul": { latitude: 37.57, longitude: 126.98 },
+  "Asia/Shanghai": { latitude: 31.23, longitude: 121.47 },
+  "Asia/Taipei": { latitude: 25.03, longitude: 121.57 },
+  "Asia/Singapore": { latitude: 1.35, longitude: 103.82 },
+  "Asia/Kolkata": { latitude: 19.08, longitude: 72.88 },
+  "Australia/Sydney": { latitude: -33.87, longitude: 151.21 },
+  "Europe/London": { latitude: 51.51, longitude: -0.13 },
+  "Europe/Paris": { latitude: 48.86, longitude: 2.35 },
+  "Europe/Berlin": { latitude: 52.52, longitude: 13.4 },
+  "America/New_York": { latitude: 40.71, longitude: -74.01 },
+  "America/Chicago": { latitude: 41.88, longitude: -87.63 },
+  "America/Denver": { latitude: 39.74, longitude: -104.99 },
+  "America/Los_Angeles": { latitude: 34.05, longitude: -118.24 },
+  "America/Sao_Paulo": { latitude: -23.55, longitude: -46.63 },
+};
+
+/**
+ * Estimate the visitor's location from their time zone.
+ * Unknown zones fall back to the UTC offset for longitude.
+ * @param {Date} [now] - Reference time for the UTC offset
+ * @returns {GeoLocation}
+ */
+export function estimateLocation(now = new Date()) {
+  let timeZone = null;
+  try {
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    // Intl unavailable - use the offset-based estimate below
+  }
+
+  if (timeZone && TIMEZONE_LOCATIONS[timeZone]) {
+    return TIMEZONE_LOCATIONS[timeZone];
+  }
+
+  // 15 degrees of longitude per hour of UTC offset
+  return {
+    latitude: CONFIG.SOLAR.DEFAULT_LATITUDE,
+    longitude: -now.getTimezoneOffset() / 4,
+  };
+}
+
+/**
+ * Compute sunrise, solar noon and sunset for the local calendar day
+ * @param {Date} date - Any time on the target day
+ * @param {GeoLocation} location - Observer location
+ * @returns {SolarTimes}
+ */
+export function getSolarTimes(date, location) {
+  const { latitude, longitude } = location;
+  const dayStartUtc = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+  );
+  const dayOfYear =
+    (dayStartUtc - Date.UTC(date.getFullYear(), 0, 1)) / 86400000 + 1;
+
+  // Fractional year (radians), evaluated at noon
+  const gamma = ((2 * Math.PI) / 365) * (dayOfYear - 1 + 0.5);
+
+  // Equation of time (minutes)
+  const eqTime =
+    229.18 *
+    (0.000075 +
+      0.001868 * Math.cos(gamma) -
+      0.032077 * Math.sin(gamma) -
+      0.014615 * Math.cos(2 * gamma) -
+      0.040849 * Math.sin(2 * gamma));
+
+  // Solar declination (radians)
+  const declination =
+    0.006918 -
+    0.399912 * Math.cos(gamma) +
+    0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) +
+    0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) +
+    0.00148 * Math.sin(3 * gamma);
+
+  const toDate = (utcMinutes) => new Date(dayStartUtc + utcMinutes * 60000);
+  const solarNoon = toDate(720 - 4 * longitude - eqTime);
+
+  // Hour angle of sunrise/sunset; |cos| > 1 means the sun never crosses
+  const lat = latitude * DEG;
+  const cosHourAngle =
+    Math.cos(SUNRISE_ZENITH) / (Math.cos(lat) * Math.cos(declination)) -
+    Math.tan(lat) * Math.tan(declination);
+
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return {
+      sunrise: null,
+      solarNoon,
+      sunset: null,
+      state: cosHourAngle > 1 ? "polarNight" : "polarDay",
+    };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) / DEG;
+  return {
+    sunrise: toDate(720 - 4 * (longitude + hourAngle) - eqTime),
+    solarNoon,
+    sunset: toDate(720 - 4 * (longitude - hourAngle) - eqTime),
+    state: "normal",
+  };
+}
+
+/**
+ * Build the daily period schedule from the sun's position
+ * @param {Date} now - Reference time
+ * @param {GeoLocation} location - Observer location
+ * @returns {import('./time.js').PeriodBoundary[]} Boundaries sorted by start time
+ */
+export function getSolarSchedule(now, location) {
+  const { SOLAR } = CONFIG;
+  const times = getSolarTimes(now, location);
+
+  // Midnight sun / polar night: a single period all day
+  if (times.state === "polarDay") {
+    return [{ period: TIME_PERIOD.NOON, start: 0 }];
+  }
+  if (times.state === "polarNight") {
+    return [{ period: TIME_PERIOD.NIGHT, start: 0 }];
+  }
+
+  // Minutes on the solar noon's day, unwrapped so the order survives midnight
+  const noonMinutes = getMinutesOfDay(times.solarNoon);
+  const at = (event, offset) =>
+    noonMinutes + (event - times.solarNoon) / 60000 + offset;
+
+  const schedule = [
+    {
+      period: TIME_PERIOD.MORNING,
+      start: at(times.sunrise, SOLAR.MORNING_OFFSET),
+    },
+    { period: TIME_PERIOD.NOON, start: at(times.solarNoon, SOLAR.NOON_OFFSET) },
+    {
+      period: TIME_PERIOD.EVENING,
+      start: at(times.sunset, SOLAR.EVENING_OFFSET),
+    },
+    { period: TIME_PERIOD.NIGHT, start: at(times.sunset, SOLAR.NIGHT_OFFSET) },
+  ];
+
+  // On the shortest days the fixed offsets overlap (evening would start
+  // before noon). Keep sunrise and sunset, clamp the boundaries between
+  // them in order, and drop periods squeezed to nothing.
+  const night = schedule[schedule.length - 1];
+  for (let i = 1; i < schedule.length - 1; i++) {
+    const earliest = schedule[i - 1].start;
+    schedule[i].start = Math.min(
+      Math.max(schedule[i].start, earliest),
+      night.start,
+    );
+  }
+
+  return schedule
+    .filter(
+      (boundary, i) =>
+        boundary === night || boundary.start < schedule[i + 1].start,
+    )
+    .map(({ period, start }) => ({
+      period,
+      start: ((start % 1440) + 1440) % 1440,
+    }))
+    .sort((a, b) => a.start - b.start);
+}
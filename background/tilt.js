@@ -0,0 +1,62 @@
+/**
+ * Background Animation System - Tilt Module
+ *
+ * Where the visitor is looking from, for the depth parallax: how the phone
+ * is tilted on mobile, and where the mouse is on desktop. Both map to -1..1
+ * per axis, with 0 as the neutral view.
+ */
+
+import { CONFIG } from "./config.js";
+import { watchOrientation } from "../utils/orientation.js";
+
+/** Neutral view (no tilt, mouse centered or away) */
+const LEVEL = { x: 0, y: 0 };
+
+/**
+ * Watch device tilt and mouse position
+ * @param {(tilt: import('../utils/orientation.js').Tilt) => void} onChange -
+ *   Called at most once per animation frame with the latest tilt
+ * @returns {() => void} Stops watching
+ */
+export function watchTilt(onChange) {
+  let latest = LEVEL;
+  let frame = null;
+
+  const flush = () => {
+    frame = null;
+    onChange(latest);
+  };
+
+  // Sensors and mice can report several times per frame; keep the last
+  const report = (tilt) => {
+    latest = tilt;
+    if (frame === null) frame = requestAnimationFrame(flush);
+  };
+
+  // Touch positions aren't a viewpoint; phones use the tilt instead
+  const handleMouse = (event) => {
+    if (event.pointerType !== "mouse") return;
+    report({
+      x: (event.clientX / window.innerWidth) * 2 - 1,
+      y: (event.clientY / window.innerHeight) * 2 - 1,
+    });
+  };
+
+  const handleOut = (event) => {
+    if (!event.relatedTarget && event.pointerType === "mouse") report(LEVEL);
+  };
+
+  window.addEventListener("pointermove", handleMouse, { passive: true });
+  window.addEventListener("pointerout", handleOut, { passive: true });
+  const unwatchOrientation = watchOrientation(report, {
+    maxAngle: CONFIG.PARALLAX.MAX_ANGLE,
+  });
+
+  return () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    window.removeEventListener("pointermove", handleMouse);
+    window.removeEventListener("pointerout", handleOut);
+    unwatchOrientation();
+  };
+}
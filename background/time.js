@@ -18,6 +18,20 @@ import { CONFIG } from "./config.js";
  * @property {number} factor - Transition factor (0-1)
  */
 
+/**
+ * @typedef {Object} PeriodBoundary
+ * @property {TimePeriodKey} period - Period starting at this boundary
+ * @property {number} start - Local minutes since midnight (0-1439)
+ */
+
+/**
+ * @typedef {Object} CelestialProgress
+ * @property {number} sun - Sun's progress from rise (MORNING start) to set
+ *   (NIGHT start), 0-1
+ * @property {number} moon - Moon's progress from NIGHT start to the next
+ *   MORNING start, 0-1
+ */
+
 /**
  * Time period constants
  * @type {Object<string, TimePeriodKey>}
@@ -29,31 +43,153 @@ export const TIME_PERIOD = {
   NIGHT: "NIGHT",
 };
 
+/**
+ * How time periods are derived
+ * @type {Object<string, 'clock'|'solar'>}
+ */
+export const TIME_MODE = {
+  // Fixed hour ranges from CONFIG.TIME_PERIODS
+  CLOCK: "clock",
+  // Sunrise/sunset computed for the visitor's location
+  SOLAR: "solar",
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Wrap minutes into one day (0 to MINUTES_PER_DAY)
+ * @param {number} minutes
+ * @returns {number}
+ */
+function wrapMinutes(minutes) {
+  return ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Get local minutes since midnight
+ * @param {Date} now - Reference time
+ * @returns {number}
+ */
+export function getMinutesOfDay(now) {
+  return now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+}
+
+/**
+ * Build the daily schedule from the fixed hour ranges in CONFIG.TIME_PERIODS
+ * @returns {PeriodBoundary[]} Boundaries sorted by start time
+ */
+export function getClockSchedule() {
+  return Object.entries(CONFIG.TIME_PERIODS)
+    .map(([period, range]) => ({ period, start: range.start * 60 }))
+    .sort((a, b) => a.start - b.start);
+}
+
 /**
  * Get the current time period based on local time
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {PeriodBoundary[]} [schedule] - Daily schedule (defaults to clock hours)
  * @returns {string} One of TIME_PERIOD values
  */
-export function getTimePeriod() {
-  const hour = new Date().getHours();
-  const { TIME_PERIODS } = CONFIG;
+export function getTimePeriod(now = new Date(), schedule = getClockSchedule()) {
+  const minutes = getMinutesOfDay(now);
 
-  if (hour >= TIME_PERIODS.MORNING.start && hour < TIME_PERIODS.MORNING.end) {
-    return TIME_PERIOD.MORNING;
-  }
-  if (hour >= TIME_PERIODS.NOON.start && hour < TIME_PERIODS.NOON.end) {
-    return TIME_PERIOD.NOON;
+  // Before the first boundary of the day, the last period is still running
+  let current = schedule[schedule.length - 1];
+  for (const boundary of schedule) {
+    if (boundary.start <= minutes) current = boundary;
   }
-  if (hour >= TIME_PERIODS.EVENING.start && hour < TIME_PERIODS.EVENING.end) {
-    return TIME_PERIOD.EVENING;
-  }
-  return TIME_PERIOD.NIGHT;
+  return current.period;
 }
 
 /**
- * Get current time period (no transition, instant change)
- * @returns {{ from: string, to: string, factor: number }}
+ * Get the current time period with cross-fade information.
+ * Inside the transition window centered on a period boundary, `from` is the
+ * outgoing period, `to` the incoming one and `factor` the progress (0-1).
+ * Outside any window, `from === to` and `factor` is 1. Each half of a window
+ * takes at most half of the period on its side, so the windows of a period
+ * shorter than the transition meet in its middle instead of overlapping.
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {PeriodBoundary[]} [schedule] - Daily schedule (defaults to clock hours)
+ * @returns {TimeTransition}
  */
-export function getTimeTransition() {
-  const current = getTimePeriod();
+export function getTimeTransition(
+  now = new Date(),
+  schedule = getClockSchedule(),
+) {
+  const current = getTimePeriod(now, schedule);
+  const { TRANSITION } = CONFIG;
+  const halfWindow = TRANSITION.DURATION / 2;
+  const minutes = getMinutesOfDay(now);
+  const count = schedule.length;
+
+  for (let i = 0; i < count; i++) {
+    // The outgoing period is the one scheduled just before this boundary
+    const previous = schedule[(i + count - 1) % count];
+    const next = schedule[(i + 1) % count];
+    const { period: to, start } = schedule[i];
+    if (previous.period === to) continue;
+
+    // Window halves, each capped at half the period it reaches into
+    const before = Math.min(
+      halfWindow,
+      wrapMinutes(start - previous.start) / 2,
+    );
+    const after = Math.min(halfWindow, wrapMinutes(next.start - start) / 2);
+
+    // Signed distance to the boundary, wrapped so 23:50 is -10 from 0:00
+    let offset = minutes - start;
+    if (offset < -MINUTES_PER_DAY / 2) offset += MINUTES_PER_DAY;
+    if (offset >= MINUTES_PER_DAY / 2) offset -= MINUTES_PER_DAY;
+    if (offset < -before || offset >= after) continue;
+
+    return {
+      from: previous.period,
+      to,
+      factor: (offset + before) / (before + after),
+    };
+  }
+
   return { from: current, to: current, factor: 1 };
 }
+
+/**
+ * Get how far the sun and moon have travelled across the sky. While the
+ * other one is up, each body rests at its set point and then, from halfway
+ * through, at its rise point, so around each hand-over the setting body is at
+ * one horizon and the rising body at the other.
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {PeriodBoundary[]} [schedule] - Daily schedule (defaults to clock hours)
+ * @returns {CelestialProgress|null} Null when the schedule has no day/night
+ *   boundary (e.g. polar day)
+ */
+export function getCelestialProgress(
+  now = new Date(),
+  schedule = getClockSchedule(),
+) {
+  const rise = schedule.find((b) => b.period === TIME_PERIOD.MORNING);
+  const set = schedule.find((b) => b.period === TIME_PERIOD.NIGHT);
+  if (!rise || !set || rise.start === set.start) return null;
+
+  const minutes = getMinutesOfDay(now);
+  const dayLength = wrapMinutes(set.start - rise.start);
+  const nightLength = MINUTES_PER_DAY - dayLength;
+
+  // Progress over a body's time up; below it the time until it rises again
+  const travel = (elapsed, upLength) => {
+    if (elapsed <= upLength) return elapsed / upLength;
+    return elapsed - upLength < (MINUTES_PER_DAY - upLength) / 2 ? 1 : 0;
+  };
+  return {
+    sun: travel(wrapMinutes(minutes - rise.start), dayLength),
+    moon: travel(wrapMinutes(minutes - set.start), nightLength),
+  };
+}
+
+/**
+ * Whether a transition is currently blending two periods
+ * @param {TimeTransition} transition
+ * @returns {boolean}
+ */
+export function isInTransition(transition) {
+  return Boolean(transition) && transition.from !== transition.to;
+}
@@ -0,0 +1,82 @@
+/**
+ * Background Animation System - Weather Module
+ *
+ * Weather conditions and the provider interface that supplies them.
+ * Without a provider the background behaves as if the sky were clear.
+ */
+
+import { CONFIG } from "./config.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("Weather");
+
+/**
+ * @typedef {'clear'|'cloudy'|'rain'|'snow'|'fog'|'thunder'} WeatherKey
+ */
+
+/**
+ * Weather constants
+ * @type {Object<string, WeatherKey>}
+ */
+export const WEATHER = {
+  CLEAR: "clear",
+  CLOUDY: "cloudy",
+  RAIN: "rain",
+  SNOW: "snow",
+  FOG: "fog",
+  THUNDER: "thunder",
+};
+
+/**
+ * Source of the current weather. `getWeather` may resolve to a WeatherKey
+ * or to an object with a `weather` property (e.g. parsed JSON).
+ * @typedef {Object} WeatherProvider
+ * @property {() => Promise<WeatherKey|{weather: WeatherKey}>} getWeather
+ * @property {number} [refreshInterval] - Poll interval in ms
+ *   (defaults to CONFIG.WEATHER.REFRESH_INTERVAL; 0 = fetch once)
+ */
+
+/**
+ * Validate a provider response
+ * @param {WeatherKey|{weather: WeatherKey}|null} value - Provider response
+ * @returns {WeatherKey|null} Known weather key, or null when unusable
+ */
+export function normalizeWeather(value) {
+  const key = typeof value === "string" ? value : value?.weather;
+  if (Object.values(WEATHER).includes(key)) return key;
+
+  logger.warn("Ignoring unknown weather value:", value);
+  return null;
+}
+
+/**
+ * Provider that always reports the same weather
+ * @param {WeatherKey} weather
+ * @returns {WeatherProvider}
+ */
+export function createStaticWeatherProvider(weather) {
+  return {
+    getWeather: async () => weather,
+    refreshInterval: 0,
+  };
+}
+
+/**
+ * Provider backed by a JSON document such as a static `weather.json` or a
+ * local stub server, responding with `{ "weather": "rain" }`.
+ * @param {string} url - JSON endpoint
+ * @param {{refreshInterval?: number}} [params]
+ * @returns {WeatherProvider}
+ */
+export function createJsonWeatherProvider(url, params = {}) {
+  const { refreshInterval = CONFIG.WEATHER.REFRESH_INTERVAL } = params;
+
+  return {
+    async getWeather() {
+      const response = await fetch(url, { cache: "no-store" });
+      if (!response.ok) throw new Error(`Failed to fetch ${url}`);
+      return response.json();
+    },
+    refreshInterval,
+  };
+}
@@ -3,9 +3,15 @@
  *
  * Realistic 3D card effects with mouse-tracking tilt and dynamic lighting.
  * Simulates physical card behavior like tilting, light reflection, and holographic effects.
+ * On phones the card also follows how the device is tilted.
  */
 
 import { createLogger } from "./utils/logger.js";
+import {
+  isOrientationSupported,
+  needsOrientationPermission,
+  watchOrientation,
+} from "./utils/orientation.js";
 
 const logger = createLogger("CardEffects");
 
@@ -19,6 +25,13 @@ const CARD_EFFECTS_CONFIG = {
   tiltSpeed: 0.06,
   // Whether to enable effects on touch devices
   enableOnTouch: true,
+  // Whether touch devices also tilt the card with the device orientation
+  enableOrientation: true,
+  // Device tilt from the initial holding angle that gives the full card tilt
+  // (degrees)
+  orientationMaxAngle: 20,
+  // How far the light reflection slides at full tilt (% of the card)
+  lightShift: 15,
   // Perspective distance
   perspective: 1000,
 };
@@ -34,9 +47,20 @@ class CardEffects {
     this.isFlipped = false;
     this.isTouchDevice = false;
 
+    // Flip angle while the card is dragged or springing (null = at rest);
+    // set by profile/flip.js
+    this.flipAngle = null;
+
+    // Device orientation input: stop function and latest card position
+    this.unwatchOrientation = null;
+    this.orientationTarget = null;
+
     // Current and target values for smooth interpolation
-    this.current = { x: 0, y: 0, rotateX: 0, rotateY: 0 };
-    this.target = { x: 0, y: 0, rotateX: 0, rotateY: 0 };
+    this.current = { x: 0.5, y: 0.5, rotateX: 0, rotateY: 0 };
+    this.target = { x: 0.5, y: 0.5, rotateX: 0, rotateY: 0 };
+
+    // Light reflection offset last written to the card
+    this.lightShift = { x: null, y: null };
 
     // Animation frame reference
     this.animationFrame = null;
@@ -48,6 +72,7 @@ class CardEffects {
     this.handleTouchStart = this.handleTouchStart.bind(this);
     this.handleTouchMove = this.handleTouchMove.bind(this);
     this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleOrientation = this.handleOrientation.bind(this);
     this.animate = this.animate.bind(this);
 
     // Initialize
@@ -80,11 +105,24 @@ class CardEffects {
       });
     }
 
+    // Device orientation (phones); iOS asks for access on the first tap
+    if (
+      CARD_EFFECTS_CONFIG.enableOrientation &&
+      this.isTouchDevice &&
+      isOrientationSupported()
+    ) {
+      this.unwatchOrientation = watchOrientation(this.handleOrientation, {
+        maxAngle: CARD_EFFECTS_CONFIG.orientationMaxAngle,
+      });
+    }
+
     // Watch for flip state changes
     this.observeFlipState();
 
     logger.log("Initialized", {
       isTouchDevice: this.isTouchDevice,
+      orientation: Boolean(this.unwatchOrientation),
+      orientationPermission: needsOrientationPermission(),
     });
   }
 
@@ -117,6 +155,11 @@ class CardEffects {
   handleMouseLeave() {
     this.isActive = false;
     this.target = { x: 0.5, y: 0.5, rotateX: 0, rotateY: 0 };
+
+    // Hand the card back to the device tilt
+    if (this.orientationTarget) {
+      this.updateTarget(this.orientationTarget.x, this.orientationTarget.y);
+    }
   }
 
   /**
@@ -170,6 +213,21 @@ class CardEffects {
     this.handleMouseLeave();
   }
 
+  /**
+   * Handle a device orientation reading. The card turns against the device,
+   * so it seems to hold still while the phone moves around it.
+   * @param {import('./utils/orientation.js').Tilt} tilt
+   */
+  handleOrientation(tilt) {
+    this.orientationTarget = { x: 0.5 - tilt.x / 2, y: 0.5 - tilt.y / 2 };
+
+    // A finger on the card takes precedence
+    if (this.isActive) return;
+
+    this.updateTarget(this.orientationTarget.x, this.orientationTarget.y);
+    this.startAnimation();
+  }
+
   /**
    * Update target values based on normalized coordinates
    */
@@ -219,8 +277,10 @@ class CardEffects {
       this.animationFrame = requestAnimationFrame(this.animate);
     } else {
       this.animationFrame = null;
-      // Reset to exact neutral when settled
-      this.applyTransform(true);
+      // Reset to exact neutral when settled, unless the device holds a tilt
+      if (!this.orientationTarget) {
+        this.applyTransform(true);
+      }
     }
   }
 
@@ -236,17 +296,67 @@ class CardEffects {
       return;
     }
 
-    if (reset) {
+    if (reset && this.flipAngle === null) {
       // Clear inline transform to let CSS take over
       this.card.style.transform = "";
+      this.applyLightShift(0, 0);
       return;
     }
 
     // Calculate base transform with tilt
-    const baseFlip = this.isFlipped ? 180 : 0;
+    const baseFlip = this.flipAngle ?? (this.isFlipped ? 180 : 0);
     const transform = `rotateX(${this.current.rotateX}deg) rotateY(${baseFlip + this.current.rotateY}deg)`;
 
     this.card.style.transform = transform;
+
+    // Slide the reflection (.card-face::before) across the card with the tilt
+    const shift = CARD_EFFECTS_CONFIG.lightShift * 2;
+    this.applyLightShift(
+      (0.5 - this.current.x) * shift,
+      (0.5 - this.current.y) * shift,
+    );
+  }
+
+  /**
+   * Set the flip angle of a swipe in progress, composed with the tilt into
+   * one transform
+   * @param {number|null} angle - Rotation in degrees, or null once the card
+   *   is back at rest and its flipped class decides
+   */
+  setFlipAngle(angle) {
+    this.flipAngle = angle;
+    // The flip observer reports a class change too late for this frame
+    this.isFlipped = this.card.classList.contains("flipped");
+
+    // A running animation loop applies a swipe angle on its next frame, but
+    // the final pose is written now: the flip settles by dropping .dragging
+    // right after, and a stale angle would then spin the card round
+    if (angle === null) {
+      this.applyTransform(!this.animationFrame && !this.orientationTarget);
+      return;
+    }
+    if (this.animationFrame) return;
+    this.applyTransform();
+  }
+
+  /**
+   * Offset the light reflection from its celestial position. The variables
+   * are set on the card, where styles/card.css composes the highlight, and
+   * only when their rounded value changes.
+   * @param {number} x - Horizontal offset (% of the card)
+   * @param {number} y - Vertical offset (% of the card)
+   */
+  applyLightShift(x, y) {
+    const lightX = `${x.toFixed(2)}%`;
+    const lightY = `${y.toFixed(2)}%`;
+    if (lightX !== this.lightShift.x) {
+      this.card.style.setProperty("--card-light-x", lightX);
+      this.lightShift.x = lightX;
+    }
+    if (lightY !== this.lightShift.y) {
+      this.card.style.setProperty("--card-light-y", lightY);
+      this.lightShift.y = lightY;
+    }
   }
 
   /**
@@ -260,6 +370,11 @@ class CardEffects {
     this.container.removeEventListener("touchmove", this.handleTouchMove);
     this.container.removeEventListener("touchend", this.handleTouchEnd);
 
+    if (this.unwatchOrientation) {
+      this.unwatchOrientation();
+      this.unwatchOrientation = null;
+    }
+
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
     }
@@ -1,9 +1,52 @@
 /**
  * Profile - Flip Module
  *
- * Handles card flip functionality and hint animation.
+ * Handles card flip functionality and hint animation. A tap flips the card
+ * with the CSS transition; a horizontal swipe turns it with the finger and
+ * springs it to the nearest side on release. Keyboard and screen-reader users
+ * flip with the flip buttons or the F key while focus is on the card (a
+ * page-wide character shortcut could fire by accident, e.g. from speech
+ * input); the hidden face is taken out of the accessibility tree and the
+ * tab order, and each flip is announced.
  */
 
+import { getCardEffects } from "../card-effects.js";
+import { getCurrentLang } from "./language.js";
+
+/**
+ * Key that flips the card while focus is inside it (see aria-keyshortcuts)
+ * @type {string}
+ */
+const FLIP_SHORTCUT = "f";
+
+/**
+ * Live region text after a flip, per page language
+ * @type {Object<string, {front: string, back: string}>}
+ */
+const FLIP_ANNOUNCEMENTS = {
+  ja: { front: "表面を表示しています", back: "裏面を表示しています" },
+  en: { front: "Showing the front side", back: "Showing the back side" },
+};
+
+/**
+ * Swipe flip tuning. Angles are in degrees, times in ms.
+ */
+const SWIPE_CONFIG = {
+  // Horizontal movement before a press becomes a drag (px)
+  dragSlop: 10,
+  // Rotation for a drag across the full card width
+  degreesPerWidth: 180,
+  // Turn (including momentum) past which a release completes the flip
+  threshold: 90,
+  // How far the release velocity carries the turn
+  momentum: 150,
+  // Spring toward the resting side (per ms², per ms)
+  stiffness: 0.00012,
+  damping: 0.015,
+  // Longest simulated step, so a stalled frame can't overshoot wildly
+  maxStep: 32,
+};
+
 /**
  * Flag to track if hint animation is playing
  * @type {boolean}
@@ -22,6 +65,18 @@ let isFlipping = false;
  */
 let flipTimeoutId = null;
 
+/**
+ * Swipe in progress, from press until release
+ * @type {{pointerId: number, startX: number, startY: number, startAngle: number, angle: number, velocity: number, time: number, active: boolean}|null}
+ */
+let drag = null;
+
+/**
+ * Set after a swipe so the click that follows the release doesn't flip again
+ * @type {boolean}
+ */
+let suppressClick = false;
+
 /**
  * Setup card flip functionality (tap anywhere on card to flip)
  * @param {HTMLElement} card - Card element
@@ -32,6 +87,11 @@ export function setupFlipToggle(card) {
   // Card text is non-selectable, so a click anywhere is always a flip intent —
   // no need to disambiguate it from drag-select or double/triple-click.
   card.addEventListener("click", (e) => {
+    // A swipe already flipped (or kept) the card
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
     // Don't flip when interacting with links/buttons (language toggle, view JSON)
     if (e.target.closest("a, button")) return;
     // Don't flip during the intro hint animation
@@ -39,15 +99,44 @@ export function setupFlipToggle(card) {
     flip(card);
   });
 
+  // Flip buttons (Enter/Space via the native button); focus follows to the
+  // button on the face that comes into view
+  card.querySelectorAll(".flip-btn").forEach((button) => {
+    button.addEventListener("click", () => {
+      if (isHintAnimating) return;
+      flip(card, true);
+    });
+  });
+
+  card.addEventListener("keydown", (e) => handleFlipShortcut(card, e));
+
+  setupSwipeFlip(card);
+  updateFaces(card);
+
   // Play the flip hint on load (skipped when the user prefers reduced motion)
   showFlipHint(card);
 }
 
+/**
+ * Flip with the keyboard shortcut, unless typing or using another shortcut
+ * @param {HTMLElement} card - Card element
+ * @param {KeyboardEvent} e
+ */
+function handleFlipShortcut(card, e) {
+  if (e.key?.toLowerCase() !== FLIP_SHORTCUT || e.repeat) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  if (isHintAnimating) return;
+  flip(card, true);
+}
+
 /**
  * Toggle the card's flipped state.
  * @param {HTMLElement} card - Card element
+ * @param {boolean} [moveFocus] - Focus the flip button on the face that comes
+ *   into view (keyboard flips)
  */
-function flip(card) {
+function flip(card, moveFocus = false) {
   // Don't flip during flip animation (prevent race condition)
   if (isFlipping) return;
 
@@ -61,6 +150,8 @@ function flip(card) {
   // Add flipping class for shimmer effect
   card.classList.add("flipping");
   card.classList.toggle("flipped");
+  updateFaces(card, moveFocus);
+  announceFlip(card);
 
   // Remove flipping class after animation completes
   flipTimeoutId = setTimeout(() => {
@@ -70,6 +161,216 @@ function flip(card) {
   }, 600);
 }
 
+/**
+ * Setup the swipe flip (skipped when the user prefers reduced motion; a tap
+ * still flips)
+ * @param {HTMLElement} card - Card element
+ */
+function setupSwipeFlip(card) {
+  if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) return;
+
+  card.addEventListener("pointerdown", (e) => startDrag(card, e));
+  card.addEventListener("pointermove", (e) => moveDrag(card, e));
+  card.addEventListener("pointerup", (e) => endDrag(card, e));
+  // The browser took the gesture over (e.g. to scroll); no momentum then
+  card.addEventListener("pointercancel", (e) => endDrag(card, e, false));
+}
+
+/**
+ * Remember a press that may turn into a swipe
+ * @param {HTMLElement} card - Card element
+ * @param {PointerEvent} e
+ */
+function startDrag(card, e) {
+  if (!e.isPrimary || e.button !== 0) return;
+  suppressClick = false;
+  if (isHintAnimating || isFlipping) return;
+  if (e.target.closest("a, button")) return;
+
+  const startAngle = card.classList.contains("flipped") ? 180 : 0;
+  drag = {
+    pointerId: e.pointerId,
+    startX: e.clientX,
+    startY: e.clientY,
+    startAngle,
+    angle: startAngle,
+    velocity: 0,
+    time: e.timeStamp,
+    active: false,
+  };
+}
+
+/**
+ * Turn the card with the finger once the press moved sideways
+ * @param {HTMLElement} card - Card element
+ * @param {PointerEvent} e
+ */
+function moveDrag(card, e) {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+
+  const dx = e.clientX - drag.startX;
+  if (!drag.active) {
+    const dy = e.clientY - drag.startY;
+    // Mostly vertical: a scroll, not a swipe
+    if (Math.abs(dy) > SWIPE_CONFIG.dragSlop && Math.abs(dy) > Math.abs(dx)) {
+      drag = null;
+      return;
+    }
+    if (Math.abs(dx) < SWIPE_CONFIG.dragSlop) return;
+
+    drag.active = true;
+    isFlipping = true;
+    card.classList.add("dragging");
+    card.setPointerCapture?.(e.pointerId);
+  }
+
+  // At most half a turn either way per swipe
+  const turn = (dx / card.offsetWidth) * SWIPE_CONFIG.degreesPerWidth;
+  const angle = drag.startAngle + Math.max(-180, Math.min(180, turn));
+
+  // Lean toward the latest movement so the release carries its speed
+  const dt = Math.max(1, e.timeStamp - drag.time);
+  drag.velocity = drag.velocity * 0.2 + ((angle - drag.angle) / dt) * 0.8;
+  drag.angle = angle;
+  drag.time = e.timeStamp;
+
+  applyFlipAngle(card, angle);
+}
+
+/**
+ * Release a swipe: complete the flip past the threshold, else spring back
+ * @param {HTMLElement} card - Card element
+ * @param {PointerEvent} e
+ * @param {boolean} [withMomentum] - Let the release velocity carry the turn
+ */
+function endDrag(card, e, withMomentum = true) {
+  if (!drag || e.pointerId !== drag.pointerId) return;
+
+  const { active, startAngle, angle } = drag;
+  const velocity = withMomentum ? drag.velocity : 0;
+  drag = null;
+  if (!active) return;
+
+  suppressClick = true;
+  const turn = angle + velocity * SWIPE_CONFIG.momentum - startAngle;
+  const target =
+    Math.abs(turn) > SWIPE_CONFIG.threshold
+      ? startAngle + Math.sign(turn) * 180
+      : startAngle;
+  springTo(card, angle, velocity, target);
+}
+
+/**
+ * Spring the card to a resting side, starting with the release velocity
+ * @param {HTMLElement} card - Card element
+ * @param {number} angle - Current angle
+ * @param {number} velocity - Current angular velocity (degrees per ms)
+ * @param {number} target - Resting angle (a multiple of 180)
+ */
+function springTo(card, angle, velocity, target) {
+  const { stiffness, damping, maxStep } = SWIPE_CONFIG;
+  let lastTime = null;
+
+  const step = (time) => {
+    const dt = lastTime === null ? 16 : Math.min(maxStep, time - lastTime);
+    lastTime = time;
+
+    velocity += (-(angle - target) * stiffness - velocity * damping) * dt;
+    angle += velocity * dt;
+
+    if (Math.abs(angle - target) < 0.5 && Math.abs(velocity) < 0.01) {
+      settleFlip(card, target);
+      return;
+    }
+    applyFlipAngle(card, angle);
+    requestAnimationFrame(step);
+  };
+
+  requestAnimationFrame(step);
+}
+
+/**
+ * Hand a sprung card back to its flipped class
+ * @param {HTMLElement} card - Card element
+ * @param {number} target - Resting angle
+ */
+function settleFlip(card, target) {
+  const flipped = Math.abs(target) % 360 === 180;
+  const changed = flipped !== card.classList.contains("flipped");
+  card.classList.toggle("flipped", flipped);
+  applyFlipAngle(card, null);
+  if (changed) {
+    updateFaces(card);
+    announceFlip(card);
+  }
+
+  // Commit the resting pose before the transition returns, or -180deg
+  // would animate the long way round to the class's 180deg
+  void card.offsetWidth;
+  card.classList.remove("dragging");
+  isFlipping = false;
+}
+
+/**
+ * Hide the face turned away from assistive tech and the tab order, and sync
+ * the flip buttons' pressed state. Focus left on the hidden face moves to the
+ * visible face's flip button rather than being lost.
+ * @param {HTMLElement} card - Card element
+ * @param {boolean} [moveFocus] - Focus the visible face's flip button anyway
+ */
+function updateFaces(card, moveFocus = false) {
+  const flipped = card.classList.contains("flipped");
+  const front = card.querySelector(".card-front");
+  const back = card.querySelector(".card-back");
+  if (!front || !back) return;
+
+  const shown = flipped ? back : front;
+  const hidden = flipped ? front : back;
+  const hadFocus = hidden.contains(document.activeElement);
+
+  shown.removeAttribute("aria-hidden");
+  shown.inert = false;
+  hidden.setAttribute("aria-hidden", "true");
+  hidden.inert = true;
+
+  card.querySelectorAll(".flip-btn").forEach((button) => {
+    button.setAttribute("aria-pressed", String(flipped));
+  });
+
+  if (moveFocus || hadFocus) {
+    shown.querySelector(".flip-btn")?.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Announce the side now showing through the live region
+ * @param {HTMLElement} card - Card element
+ */
+function announceFlip(card) {
+  const status = document.getElementById("flip-status");
+  if (!status) return;
+  const messages = FLIP_ANNOUNCEMENTS[getCurrentLang()];
+  status.textContent = card.classList.contains("flipped")
+    ? messages.back
+    : messages.front;
+}
+
+/**
+ * Rotate the card to a swipe angle. CardEffects composes it with the tilt so
+ * the two don't overwrite each other's transform; without it (reduced motion
+ * or not loaded) the angle is set directly.
+ * @param {HTMLElement} card - Card element
+ * @param {number|null} angle - Rotation in degrees, or null at rest
+ */
+function applyFlipAngle(card, angle) {
+  const effects = getCardEffects();
+  if (effects) {
+    effects.setFlipAngle(angle);
+    return;
+  }
+  card.style.transform = angle === null ? "" : `rotateY(${angle}deg)`;
+}
+
 /**
  * Show flip hint animation on page load
  * @param {HTMLElement} card - Card element
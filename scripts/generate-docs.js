@@ -258,6 +258,8 @@ function generateHtml(template, data, lang, icons) {
         : "View profile data (JSON)",
     ),
     BACK_AVATAR_ALT: lang === "ja" ? "うさぎのほこり" : "Hokori the rabbit",
+    // Toggle button; aria-pressed tells whether the back side is showing.
+    FLIP_ARIA: lang === "ja" ? "カードを裏返す" : "Flip card",
     CONNECT_LABEL: lang === "ja" ? "つながる" : "Connect with me",
   });
 }
@@ -0,0 +1,66 @@
+/**
+ * Calendar rule tests
+ *
+ * Rules are checked when loaded: malformed rules are dropped, and palette
+ * colors that wouldn't parse are dropped from the rule with a warning.
+ */
+
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCalendarRules } from "../../background/calendar.js";
+
+/** @type {Array<Array<unknown>>} */
+let warnings;
+
+beforeEach(() => {
+  warnings = [];
+  mock.method(console, "warn", (...args) => warnings.push(args));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("parseCalendarRules", () => {
+  test("drops malformed rules", () => {
+    const rules = parseCalendarRules({
+      rules: [
+        { name: "ok", start: "01-01", end: "01-03" },
+        { name: "bad date", start: "13-01", end: "01-03" },
+        { start: "01-01", end: "01-03" },
+      ],
+    });
+    assert.deepEqual(
+      rules.map((rule) => rule.name),
+      ["ok"],
+    );
+    assert.equal(warnings.length, 2);
+  });
+
+  test("drops invalid palette colors and keeps the rest", () => {
+    const [rule] = parseCalendarRules({
+      rules: [
+        {
+          name: "festival",
+          start: "07-07",
+          end: "07-07",
+          effects: ["tanabata"],
+          palette: {
+            accent: "#7B8FD6",
+            cardBg: "white",
+            gradient: ["#112233", "#12345"],
+            celestial: { color: "rgba(255, 240, 200, 0.9)", glowColor: "glow" },
+          },
+        },
+      ],
+    });
+
+    assert.deepEqual(rule.effects, ["tanabata"]);
+    assert.deepEqual(rule.palette, {
+      accent: "#7B8FD6",
+      celestial: { color: "rgba(255, 240, 200, 0.9)" },
+    });
+    assert.equal(warnings.length, 3);
+    assert.ok(warnings.every((args) => String(args[1]).includes("festival")));
+  });
+});
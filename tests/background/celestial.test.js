@@ -0,0 +1,67 @@
+/**
+ * Sun/moon glide tests
+ *
+ * The renderer glides the sun/moon across each small arc step instead of
+ * jumping, and applies large moves (or moves without a running loop) at once.
+ */
+
+import "../helpers/canvas-env.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SEED } from "../helpers/orbs.js";
+import { BackgroundRenderer } from "../../background/renderer/index.js";
+import { CONFIG } from "../../background/config.js";
+import { TIME_PERIOD } from "../../background/time.js";
+import { getColorPalette } from "../../background/colors/theme.js";
+
+/**
+ * Renderer showing the noon palette, its loop marked as running
+ * @returns {BackgroundRenderer}
+ */
+function createRunningRenderer() {
+  const renderer = new BackgroundRenderer({ seed: SEED }).init();
+  renderer.updateConditions(
+    TIME_PERIOD.NOON,
+    getColorPalette(TIME_PERIOD.NOON),
+  );
+  renderer.isRunning = true;
+  return renderer;
+}
+
+describe("celestial glide", () => {
+  test("glides across a small arc step over one update interval", () => {
+    const renderer = createRunningRenderer();
+    const start = { ...renderer.celestialPosition };
+    const target = { x: start.x + 0.01, y: start.y - 0.01 };
+    renderer.setCelestialPosition(target);
+    assert.deepEqual(renderer.celestialPosition, start);
+
+    const interval = CONFIG.CELESTIAL.ARC.UPDATE_INTERVAL;
+    renderer.updateCelestialGlide(interval / 2);
+    assert.ok(
+      Math.abs(renderer.celestialPosition.x - (start.x + 0.005)) < 1e-9,
+    );
+    assert.equal(
+      renderer.getParallaxPalette().celestial.x,
+      renderer.celestialPosition.x,
+    );
+
+    renderer.updateCelestialGlide(interval);
+    assert.deepEqual(renderer.celestialPosition, target);
+    assert.equal(renderer.celestialGlide, null);
+
+    renderer.isRunning = false;
+    renderer.destroy();
+  });
+
+  test("jumps on large moves and without a running loop", () => {
+    const renderer = createRunningRenderer();
+    renderer.setCelestialPosition({ x: 0.9, y: 0.9 });
+    assert.deepEqual(renderer.celestialPosition, { x: 0.9, y: 0.9 });
+
+    renderer.isRunning = false;
+    renderer.setCelestialPosition({ x: 0.91, y: 0.9 });
+    assert.deepEqual(renderer.celestialPosition, { x: 0.91, y: 0.9 });
+    renderer.destroy();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Condition update tests
+ *
+ * A malformed color in a palette override must not take the background
+ * down: the previous scene stays, and the periodic tick keeps running.
+ * Conditions pinned from the debug panel survive the tick until cleared.
+ * Between period changes the sun/moon moves along its arc on a short tick,
+ * rewriting only the light variables.
+ */
+
+import "../helpers/canvas-env.js";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  initBackground,
+  setDebugConditions,
+  BACKGROUND_EVENT,
+  TIME_PERIOD,
+  WEATHER,
+} from "../../background/index.js";
+import { CONFIG } from "../../background/config.js";
+
+/** @type {Map<string, string>} */
+let properties;
+
+beforeEach(() => {
+  properties = new Map();
+  mock.timers.enable({ apis: ["setTimeout"] });
+  mock.method(document.documentElement.style, "setProperty", (name, value) =>
+    properties.set(name, String(value)),
+  );
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe("palette overrides", () => {
+  test("a bad color keeps the scene and the tick", async () => {
+    let clockReads = 0;
+    const background = await initBackground({
+      worker: false,
+      clock: () => {
+        clockReads++;
+        return new Date(2024, 5, 1, 12);
+      },
+      calendar: [
+        {
+          name: "broken",
+          start: "01-01",
+          end: "12-31",
+          palette: { cardBg: "white" },
+        },
+      ],
+    });
+    // Let the calendar load and re-apply conditions
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.notEqual(properties.get("--card-bg"), "white");
+    assert.ok(properties.has("--card-bg"));
+
+    const readsBefore = clockReads;
+    mock.timers.tick(60000);
+    mock.timers.tick(60000);
+    assert.ok(clockReads >= readsBefore + 2, "tick should keep running");
+
+    background.destroy();
+  });
+});
+
+describe("debug conditions", () => {
+  test("stay pinned through the tick until cleared", async () => {
+    const background = await initBackground({
+      worker: false,
+      clock: () => new Date(2024, 5, 1, 12),
+      calendar: [],
+    });
+    assert.equal(background.getState().timePeriod, TIME_PERIOD.NOON);
+
+    setDebugConditions({
+      timePeriod: TIME_PERIOD.NIGHT,
+      weather: WEATHER.RAIN,
+    });
+    mock.timers.tick(60000);
+    assert.equal(background.getState().timePeriod, TIME_PERIOD.NIGHT);
+    assert.equal(background.getState().weather, WEATHER.RAIN);
+
+    setDebugConditions(null);
+    assert.equal(background.getState().timePeriod, TIME_PERIOD.NOON);
+    assert.equal(background.getState().weather, null);
+
+    background.destroy();
+  });
+});
+
+describe("celestial arc", () => {
+  test("moves the light on a short tick without a palette change", async () => {
+    let now = new Date(2024, 5, 1, 12).getTime();
+    const background = await initBackground({
+      worker: false,
+      clock: () => new Date(now),
+      calendar: [],
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    const paletteChanges = [];
+    background.on(BACKGROUND_EVENT.PALETTE_CHANGE, (event) =>
+      paletteChanges.push(event),
+    );
+    const highlight = properties.get("--card-highlight-x");
+    properties.clear();
+
+    const interval = CONFIG.CELESTIAL.ARC.UPDATE_INTERVAL;
+    assert.ok(interval < 60000);
+    now += interval;
+    mock.timers.tick(interval);
+
+    assert.equal(paletteChanges.length, 0);
+    assert.notEqual(properties.get("--card-highlight-x"), highlight);
+    assert.ok(properties.has("--oilslick-gradient"));
+    assert.ok(!properties.has("--bg"));
+    assert.ok(!properties.has("--text"));
+
+    background.destroy();
+  });
+});
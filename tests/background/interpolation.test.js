@@ -0,0 +1,195 @@
+/**
+ * Color interpolation tests
+ *
+ * Parsing of hex and rgb()/rgba() strings, hex output, and the blend
+ * endpoints of interpolateColor and interpolateRgbaColor.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  hexToRgb,
+  rgbToHex,
+  hexToRgba,
+  interpolateColor,
+  parseRgbaColor,
+  interpolateRgbaColor,
+  isValidColor,
+} from "../../background/colors/interpolation.js";
+
+describe("hexToRgb", () => {
+  test("parses 6-digit hex with and without #", () => {
+    assert.deepEqual(hexToRgb("#4A6FA5"), { r: 74, g: 111, b: 165 });
+    assert.deepEqual(hexToRgb("4a6fa5"), { r: 74, g: 111, b: 165 });
+  });
+
+  test("expands 3-digit hex", () => {
+    assert.deepEqual(hexToRgb("#F80"), { r: 255, g: 136, b: 0 });
+    assert.deepEqual(hexToRgb("#fff"), { r: 255, g: 255, b: 255 });
+  });
+
+  test("ignores the alpha digits of 4- and 8-digit hex", () => {
+    assert.deepEqual(hexToRgb("#F808"), { r: 255, g: 136, b: 0 });
+    assert.deepEqual(hexToRgb("#FF880080"), { r: 255, g: 136, b: 0 });
+  });
+
+  test("throws on malformed input instead of returning black", () => {
+    for (const value of [
+      "#12345",
+      "#GGGGGG",
+      "#1234567",
+      "",
+      "red",
+      "rgb(0, 0, 0)",
+      null,
+      undefined,
+      0x4a6fa5,
+    ]) {
+      assert.throws(() => hexToRgb(value), TypeError, String(value));
+    }
+  });
+});
+
+describe("rgbToHex", () => {
+  test("pads, rounds and lowercases channels", () => {
+    assert.equal(rgbToHex(0, 15, 255), "#000fff");
+    assert.equal(rgbToHex(74.4, 110.6, 165), "#4a6fa5");
+  });
+
+  test("clamps out-of-range channels", () => {
+    assert.equal(rgbToHex(-20, 300, 128), "#00ff80");
+  });
+
+  test("round-trips hexToRgb", () => {
+    const { r, g, b } = hexToRgb("#C9963A");
+    assert.equal(rgbToHex(r, g, b), "#c9963a");
+  });
+});
+
+describe("hexToRgba", () => {
+  test("keeps the given opacity", () => {
+    assert.equal(hexToRgba("#E8EEF3", 0.3), "rgba(232, 238, 243, 0.3)");
+    assert.equal(hexToRgba("#000", 0), "rgba(0, 0, 0, 0)");
+  });
+});
+
+describe("interpolateColor", () => {
+  test("returns the endpoints at 0 and 1", () => {
+    assert.equal(interpolateColor("#6BC4E8", "#FF8800", 0), "#6bc4e8");
+    assert.equal(interpolateColor("#6BC4E8", "#FF8800", 1), "#ff8800");
+  });
+
+  test("blends channels linearly", () => {
+    assert.equal(interpolateColor("#000000", "#FFFFFF", 0.5), "#808080");
+    assert.equal(interpolateColor("#000", "#F80", 0.5), "#804400");
+  });
+
+  test("throws when either color is malformed", () => {
+    assert.throws(() => interpolateColor("#000000", "blue", 0.5), TypeError);
+  });
+});
+
+describe("isValidColor", () => {
+  test("accepts hex and rgb()/rgba(), or hex only when asked", () => {
+    assert.ok(isValidColor("#4A6FA5"));
+    assert.ok(isValidColor("rgba(255, 252, 230, 0.35)"));
+    assert.ok(!isValidColor("rgb(1, 2, 3)", { hexOnly: true }));
+    assert.ok(isValidColor("4a6fa5", { hexOnly: true }));
+  });
+
+  test("rejects names, malformed hex and non-strings", () => {
+    assert.ok(!isValidColor("white"));
+    assert.ok(!isValidColor("#12345"));
+    assert.ok(!isValidColor(null));
+  });
+
+  test("rejects colors with text around them", () => {
+    assert.ok(!isValidColor("foo rgb(1,2,3) bar"));
+    assert.ok(!isValidColor("rgb(1,2,3);}"));
+    assert.ok(isValidColor("rgb(1,2,3)"));
+  });
+
+  test("rejects channels outside 0-255 and alpha outside 0-1", () => {
+    assert.ok(!isValidColor("rgb(999, 0, 0)"));
+    assert.ok(!isValidColor("rgb(0, 256, 0)"));
+    assert.ok(!isValidColor("rgba(0, 0, 0, 1.5)"));
+    assert.ok(!isValidColor("rgba(0, 0, 0, 0.5.1)"));
+    assert.ok(isValidColor("rgba(255, 255, 255, 1)"));
+  });
+});
+
+describe("parseRgbaColor", () => {
+  test("parses rgba()", () => {
+    assert.deepEqual(parseRgbaColor("rgba(255, 252, 230, 0.35)"), {
+      r: 255,
+      g: 252,
+      b: 230,
+      a: 0.35,
+    });
+  });
+
+  test("defaults alpha to 1 for rgb() without alpha", () => {
+    assert.deepEqual(parseRgbaColor("rgb(80, 120, 180)"), {
+      r: 80,
+      g: 120,
+      b: 180,
+      a: 1,
+    });
+    assert.deepEqual(parseRgbaColor("rgba(80,120,180)"), {
+      r: 80,
+      g: 120,
+      b: 180,
+      a: 1,
+    });
+  });
+
+  test("parses hex, taking alpha from 8-digit hex", () => {
+    assert.deepEqual(parseRgbaColor("#F80"), { r: 255, g: 136, b: 0, a: 1 });
+    assert.deepEqual(parseRgbaColor("#FF880000"), {
+      r: 255,
+      g: 136,
+      b: 0,
+      a: 0,
+    });
+    assert.equal(parseRgbaColor("#FF880080").a, 128 / 255);
+  });
+
+  test("treats missing values as opaque black", () => {
+    assert.deepEqual(parseRgbaColor(null), { r: 0, g: 0, b: 0, a: 1 });
+    assert.deepEqual(parseRgbaColor(undefined), { r: 0, g: 0, b: 0, a: 1 });
+  });
+
+  test("throws on malformed hex", () => {
+    assert.throws(() => parseRgbaColor("#12345"), TypeError);
+  });
+});
+
+describe("interpolateRgbaColor", () => {
+  const from = "rgba(255, 255, 180, 0.5)";
+  const to = "rgba(200, 220, 255, 0.25)";
+
+  test("returns the endpoints at 0 and 1", () => {
+    assert.equal(
+      interpolateRgbaColor(from, to, 0),
+      "rgba(255, 255, 180, 0.50)",
+    );
+    assert.equal(
+      interpolateRgbaColor(from, to, 1),
+      "rgba(200, 220, 255, 0.25)",
+    );
+  });
+
+  test("blends channels and alpha", () => {
+    assert.equal(
+      interpolateRgbaColor("rgba(0, 0, 0, 0)", "rgb(255, 255, 255)", 0.5),
+      "rgba(128, 128, 128, 0.50)",
+    );
+  });
+
+  test("mixes hex and rgba inputs", () => {
+    assert.equal(
+      interpolateRgbaColor("#000000", "rgba(100, 200, 50, 0)", 1),
+      "rgba(100, 200, 50, 0.00)",
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Depth parallax tests
+ *
+ * Orb layers, shapes and the sun/moon shift by depth as the view tilts, the
+ * renderer eases toward the reported tilt, and device orientation is read
+ * relative to the angle the phone was first held at.
+ */
+
+import "../helpers/canvas-env.js";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SEED, FRAME_TIME, createOrbPair } from "../helpers/orbs.js";
+import { BackgroundRenderer } from "../../background/renderer/index.js";
+import { CONFIG } from "../../background/config.js";
+import { TIME_PERIOD } from "../../background/time.js";
+import { getColorPalette } from "../../background/colors/theme.js";
+import { watchOrientation } from "../../utils/orientation.js";
+
+describe("bokeh orbs", () => {
+  test("shift by the parallax times their layer depth", () => {
+    const [still, shifted] = createOrbPair();
+    const shift = { x: 20, y: -10 };
+    shifted.setParallax(shift);
+    still.update(FRAME_TIME);
+    shifted.update(FRAME_TIME);
+
+    for (const [name, orbs] of Object.entries(shifted.layers)) {
+      orbs.forEach((orb, i) => {
+        const { depth } = orb.depthLayer;
+        const origin = still.layers[name][i];
+        assert.ok(Math.abs(orb.x - origin.x - shift.x * depth) < 1e-6, name);
+        assert.ok(Math.abs(orb.y - origin.y - shift.y * depth) < 1e-6, name);
+      });
+    }
+    assert.ok(
+      shifted.layers.front[0].depthLayer.depth >
+        shifted.layers.far[0].depthLayer.depth,
+    );
+  });
+});
+
+describe("renderer", () => {
+  test("eases against the tilt and moves the sun/moon less than the orbs", () => {
+    const renderer = new BackgroundRenderer({ seed: SEED }).init();
+    renderer.updateConditions(
+      TIME_PERIOD.NOON,
+      getColorPalette(TIME_PERIOD.NOON),
+    );
+    renderer.setTilt({ x: 1, y: 0 });
+    for (let i = 0; i < 600; i++) renderer.updateParallax(FRAME_TIME);
+
+    const { DISTANCE, DEPTH } = CONFIG.PARALLAX;
+    assert.ok(Math.abs(renderer.parallax.x + DISTANCE) < 0.5);
+    assert.equal(renderer.parallax.y, 0);
+
+    const celestial = renderer.currentPalette.celestial;
+    const shifted = renderer.getParallaxPalette().celestial;
+    const movedPx = (shifted.x - celestial.x) * renderer.width;
+    assert.ok(Math.abs(movedPx - renderer.parallax.x * DEPTH.CELESTIAL) < 1e-6);
+    assert.equal(shifted.y, celestial.y);
+
+    renderer.stopTiltTracking();
+    assert.deepEqual(renderer.tilt, { x: 0, y: 0 });
+    renderer.destroy();
+  });
+
+  test("follows the tilt only with parallax on", () => {
+    const still = new BackgroundRenderer({ seed: SEED }).init();
+    assert.equal(still.unwatchTilt, null);
+    still.destroy();
+
+    const renderer = new BackgroundRenderer({
+      seed: SEED,
+      parallax: true,
+    }).init();
+    assert.equal(typeof renderer.unwatchTilt, "function");
+    renderer.setParallaxEnabled(false);
+    assert.equal(renderer.unwatchTilt, null);
+    renderer.destroy();
+  });
+
+  test("does not follow the tilt under reduced motion", () => {
+    const { matchMedia } = window;
+    window.matchMedia = () => ({ matches: true });
+    try {
+      const renderer = new BackgroundRenderer({
+        seed: SEED,
+        parallax: true,
+      }).init();
+      assert.equal(renderer.unwatchTilt, null);
+      renderer.destroy();
+    } finally {
+      window.matchMedia = matchMedia;
+    }
+  });
+});
+
+describe("watchOrientation", () => {
+  /** @type {Map<string, Function>} */
+  let listeners;
+  let originalWindow;
+
+  beforeEach(() => {
+    originalWindow = globalThis.window;
+    listeners = new Map();
+    globalThis.window = {
+      ...originalWindow,
+      DeviceOrientationEvent: class {},
+      screen: { orientation: { angle: 0 } },
+      addEventListener: (type, listener) => listeners.set(type, listener),
+      removeEventListener: (type) => listeners.delete(type),
+    };
+  });
+
+  afterEach(() => {
+    globalThis.window = originalWindow;
+  });
+
+  test("reads tilt from the first angle held, clamped to ±1", () => {
+    const readings = [];
+    const stop = watchOrientation((tilt) => readings.push(tilt), {
+      maxAngle: 20,
+    });
+    const orient = listeners.get("deviceorientation");
+    orient({ beta: 45, gamma: 0 });
+    orient({ beta: 55, gamma: -5 });
+    orient({ beta: 45, gamma: 60 });
+
+    assert.deepEqual(readings[0], { x: 0, y: 0 });
+    assert.deepEqual(readings[1], { x: -0.25, y: 0.5 });
+    assert.deepEqual(readings[2], { x: 1, y: 0 });
+
+    stop();
+    assert.ok(!listeners.has("deviceorientation"));
+  });
+
+  test("turns readings with the screen in landscape", () => {
+    window.screen.orientation.angle = 90;
+    const readings = [];
+    const stop = watchOrientation((tilt) => readings.push(tilt), {
+      maxAngle: 20,
+    });
+    listeners.get("deviceorientation")({ beta: 0, gamma: 0 });
+    listeners.get("deviceorientation")({ beta: 10, gamma: 0 });
+    const { x, y } = readings[1];
+    assert.ok(Math.abs(x - 0.5) < 1e-9);
+    assert.ok(Math.abs(y) < 1e-9);
+    stop();
+  });
+});
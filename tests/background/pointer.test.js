@@ -0,0 +1,166 @@
+/**
+ * Pointer interaction tests
+ *
+ * Bokeh orbs ease away from the pointer and back, fireflies fly toward it,
+ * mist wisps part around it, and the renderer hands the position to all of
+ * them.
+ */
+
+import "../helpers/canvas-env.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { VIEWPORT } from "../helpers/canvas-env.js";
+import { SEED, FRAME_TIME, createOrbPair } from "../helpers/orbs.js";
+import { BackgroundRenderer } from "../../background/renderer/index.js";
+import { FireflySystem } from "../../background/effects/firefly.js";
+import { MorningMist } from "../../background/effects/morning-mist.js";
+import { TIME_PERIOD } from "../../background/time.js";
+
+/**
+ * Advance a system by a number of frames
+ * @param {{update: (deltaTime: number) => void}} system
+ * @param {number} frames
+ */
+function run(system, frames) {
+  for (let i = 0; i < frames; i++) system.update(FRAME_TIME);
+}
+
+/**
+ * Create an active effect sized to the viewport
+ * @param {typeof import('../../background/effects/base-effect.js').BaseEffect} Effect
+ * @param {string} period - Period the effect shows in
+ */
+function createEffect(Effect, period) {
+  const effect = new Effect();
+  effect.setSeed(SEED);
+  effect.resize(VIEWPORT.width, VIEWPORT.height);
+  effect.setTimePeriod(period);
+  effect.completeFade();
+  return effect;
+}
+
+describe("bokeh orbs", () => {
+  test("drift away from the pointer, front layer furthest", () => {
+    const [idle, pushed] = createOrbPair();
+    const pointer = { x: VIEWPORT.width / 2, y: VIEWPORT.height / 2 };
+    pushed.setPointer(pointer);
+    run(idle, 120);
+    run(pushed, 120);
+
+    const moved = { far: 0, front: 0 };
+    for (const layer of ["far", "front"]) {
+      pushed.layers[layer].forEach((orb, i) => {
+        const still = idle.layers[layer][i];
+        const before = Math.hypot(still.x - pointer.x, still.y - pointer.y);
+        const after = Math.hypot(orb.x - pointer.x, orb.y - pointer.y);
+        assert.ok(after >= before - 1e-6, `${layer} orb ${i} moved closer`);
+        moved[layer] = Math.max(moved[layer], after - before);
+      });
+    }
+    assert.ok(moved.front > 0, "some front orb should be pushed");
+    assert.ok(moved.front > moved.far);
+  });
+
+  test("drift back once the pointer leaves", () => {
+    const [idle, pushed] = createOrbPair();
+    pushed.setPointer({ x: VIEWPORT.width / 2, y: VIEWPORT.height / 2 });
+    run(idle, 120);
+    run(pushed, 120);
+    pushed.setPointer(null);
+    run(idle, 600);
+    run(pushed, 600);
+
+    pushed.getOrbs().forEach((orb, i) => {
+      const still = idle.getOrbs()[i];
+      assert.ok(Math.abs(orb.x - still.x) < 0.5, `orb ${i} x`);
+      assert.ok(Math.abs(orb.y - still.y) < 0.5, `orb ${i} y`);
+    });
+  });
+});
+
+describe("fireflies", () => {
+  test("gather around the pointer", () => {
+    const idle = createEffect(FireflySystem, TIME_PERIOD.NIGHT);
+    const attracted = createEffect(FireflySystem, TIME_PERIOD.NIGHT);
+    const pointer = { x: VIEWPORT.width / 2, y: VIEWPORT.height / 2 };
+    attracted.setPointer(pointer);
+    run(idle, 180);
+    run(attracted, 180);
+
+    /** @param {FireflySystem} effect */
+    const meanDistance = (effect) =>
+      effect.fireflies.reduce(
+        (sum, f) => sum + Math.hypot(f.x - pointer.x, f.y - pointer.y),
+        0,
+      ) / effect.fireflies.length;
+    assert.ok(meanDistance(attracted) < meanDistance(idle) * 0.75);
+  });
+});
+
+describe("morning mist", () => {
+  test("parts around the pointer and closes again", () => {
+    const mist = createEffect(MorningMist, TIME_PERIOD.MORNING);
+    const wisp = mist.wisps[0];
+    const center = mist.getWispCenter(wisp);
+    const pointer = { x: center.x - 40, y: center.y };
+    mist.setPointer(pointer);
+    run(mist, 60);
+
+    const drifted = mist.getWispCenter(wisp);
+    const before = Math.hypot(drifted.x - pointer.x, drifted.y - pointer.y);
+    const after = Math.hypot(
+      drifted.x + wisp.partX - pointer.x,
+      drifted.y + wisp.partY - pointer.y,
+    );
+    assert.ok(after > before + 40, "wisp should move away from the pointer");
+
+    mist.setPointer(null);
+    run(mist, 600);
+    assert.ok(Math.hypot(wisp.partX, wisp.partY) < 0.5);
+  });
+});
+
+describe("renderer", () => {
+  test("hands the pointer to orbs and effects", () => {
+    const renderer = new BackgroundRenderer({ seed: SEED }).init();
+    const pointer = { x: 10, y: 20 };
+    renderer.setPointer(pointer);
+    assert.equal(renderer.particleSystem.pointer, pointer);
+    for (const { instance } of renderer.effects) {
+      assert.equal(instance.pointer, pointer);
+    }
+
+    renderer.setInteractive(false);
+    assert.equal(renderer.particleSystem.pointer, null);
+    renderer.destroy();
+  });
+
+  test("follows the pointer only when interactive", () => {
+    const passive = new BackgroundRenderer({ seed: SEED }).init();
+    assert.equal(passive.unwatchPointer, null);
+    passive.destroy();
+
+    const interactive = new BackgroundRenderer({
+      seed: SEED,
+      interactive: true,
+    }).init();
+    assert.equal(typeof interactive.unwatchPointer, "function");
+    interactive.destroy();
+    assert.equal(interactive.unwatchPointer, null);
+  });
+
+  test("does not follow the pointer under reduced motion", () => {
+    const { matchMedia } = window;
+    window.matchMedia = () => ({ matches: true });
+    try {
+      const renderer = new BackgroundRenderer({
+        seed: SEED,
+        interactive: true,
+      }).init();
+      assert.equal(renderer.unwatchPointer, null);
+      renderer.destroy();
+    } finally {
+      window.matchMedia = matchMedia;
+    }
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Background snapshot tests
+ *
+ * Renders full frames per time period, each drawing layer on its own and
+ * every built-in effect on its own with a fixed seed, clock and frame
+ * timing, then compares them with the PNG baselines in __snapshots__/.
+ */
+
+import "../helpers/canvas-env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  VIEWPORT,
+  createViewportCanvas,
+  compositeLayers,
+} from "../helpers/canvas-env.js";
+import { matchSnapshot } from "../helpers/snapshot.js";
+import { BackgroundRenderer } from "../../background/renderer/index.js";
+import {
+  createGradientState,
+  updateGradientCache,
+  drawGradient,
+} from "../../background/renderer/gradient.js";
+import { drawCelestial } from "../../background/renderer/celestial.js";
+import {
+  createShapesState,
+  initShapes,
+  drawShapes,
+} from "../../background/renderer/shapes.js";
+import { ParticleSystem } from "../../background/particles.js";
+import { getRegisteredEffects } from "../../background/effects/index.js";
+import {
+  getColorPalette,
+  applyMoonPhase,
+} from "../../background/colors/index.js";
+import { getMoonPhase } from "../../background/moon.js";
+import { deriveSeed } from "../../background/random.js";
+import { configure } from "../../background/config.js";
+import { TIME_PERIOD } from "../../background/time.js";
+
+const BASELINE_DIR = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "__snapshots__",
+);
+
+// Fixed scene seed and clock (the clock only picks the moon phase)
+const SEED = 20240621;
+const CLOCK = new Date("2024-06-21T12:00:00Z");
+
+// Frames advanced before capturing, so motion and fades have settled
+const FRAME_COUNT = 30;
+const FRAME_TIME = 50;
+
+const PERIODS = Object.values(TIME_PERIOD);
+
+// Time the occasional events (flashes, shooting stars) to land inside the
+// captured window instead of seconds later
+const CAPTURE_TIME = FRAME_COUNT * FRAME_TIME;
+configure({
+  EFFECTS: {
+    LIGHTNING: {
+      INTERVAL: { min: CAPTURE_TIME - 200, max: CAPTURE_TIME - 200 },
+    },
+    STARS: {
+      SHOOTING: {
+        INTERVAL: { min: CAPTURE_TIME - 500, max: CAPTURE_TIME - 500 },
+      },
+    },
+  },
+});
+
+/**
+ * Palette for a period as the background would show it on CLOCK's date
+ * @param {string} period
+ * @param {string|null} [weather]
+ * @param {string|null} [season]
+ * @returns {Object}
+ */
+function getPalette(period, weather = null, season = null) {
+  return applyMoonPhase(
+    getColorPalette(period, 1, null, weather, season),
+    getMoonPhase(CLOCK),
+  );
+}
+
+/**
+ * Fail the test unless the canvas matches its baseline
+ * @param {import('node:test').TestContext} t
+ * @param {import('@napi-rs/canvas').Canvas} canvas
+ * @param {string} name - Snapshot name
+ */
+async function assertSnapshot(t, canvas, name) {
+  const { pass, message } = await matchSnapshot(canvas, BASELINE_DIR, name);
+  if (message && pass) t.diagnostic(message);
+  assert.ok(pass, message);
+}
+
+/**
+ * Key with the highest intensity in an intensity map
+ * @param {Object<string, number>|null} levels
+ * @returns {string|null} Null when the map is empty or missing
+ */
+function strongestKey(levels) {
+  if (!levels) return null;
+  const entries = Object.entries(levels).filter(([, level]) => level > 0);
+  entries.sort((a, b) => b[1] - a[1]);
+  return entries[0]?.[0] ?? null;
+}
+
+for (const period of PERIODS) {
+  test(`full frame: ${period}`, async (t) => {
+    const renderer = new BackgroundRenderer({
+      seed: SEED,
+      quality: "high",
+    }).init();
+    renderer.updateConditions(period, getPalette(period));
+    renderer.renderStaticFrame();
+    for (let i = 0; i < FRAME_COUNT; i++) renderer.drawFrame(FRAME_TIME);
+
+    const frame = compositeLayers([renderer.canvas, renderer.overlayCanvas]);
+    renderer.destroy();
+    await assertSnapshot(t, frame, `frame-${period.toLowerCase()}`);
+  });
+
+  test(`gradient: ${period}`, async (t) => {
+    const { canvas, ctx } = createViewportCanvas();
+    const state = createGradientState();
+    const palette = getPalette(period);
+    updateGradientCache(state, palette);
+    const { width, height } = VIEWPORT;
+    for (let i = 0; i < FRAME_COUNT; i++) {
+      drawGradient(ctx, state, palette, width, height, FRAME_TIME);
+    }
+    await assertSnapshot(t, canvas, `gradient-${period.toLowerCase()}`);
+  });
+
+  test(`celestial: ${period}`, async (t) => {
+    const { canvas, ctx } = createViewportCanvas();
+    drawCelestial(ctx, getPalette(period), VIEWPORT.width, VIEWPORT.height);
+    await assertSnapshot(t, canvas, `celestial-${period.toLowerCase()}`);
+  });
+
+  test(`shapes: ${period}`, async (t) => {
+    const { canvas, ctx } = createViewportCanvas();
+    const state = createShapesState();
+    const palette = getPalette(period);
+    const { width, height } = VIEWPORT;
+    initShapes(state, width, height, deriveSeed(SEED, "shapes"));
+    for (let i = 0; i < FRAME_COUNT; i++) {
+      ctx.clearRect(0, 0, width, height);
+      drawShapes(ctx, state, palette, width, height, FRAME_TIME);
+    }
+    await assertSnapshot(t, canvas, `shapes-${period.toLowerCase()}`);
+  });
+
+  test(`particles: ${period}`, async (t) => {
+    const { canvas, ctx } = createViewportCanvas();
+    const particles = new ParticleSystem();
+    particles.resize(VIEWPORT.width, VIEWPORT.height);
+    particles.setSeed(deriveSeed(SEED, "orbs"));
+    particles.init(period);
+    for (let i = 0; i < FRAME_COUNT; i++) particles.update(FRAME_TIME);
+    particles.draw(ctx);
+    await assertSnapshot(t, canvas, `particles-${period.toLowerCase()}`);
+  });
+}
+
+// Each built-in effect alone, in the period, weather and season it shows
+// most strongly in
+for (const definition of getRegisteredEffects()) {
+  test(`effect: ${definition.name}`, async (t) => {
+    const effect = new definition.effect();
+    if (definition.periods) effect.setTargetTimePeriods(definition.periods);
+    if (definition.weather !== undefined) {
+      effect.setWeatherIntensity(definition.weather);
+    }
+    if (definition.seasons !== undefined) {
+      effect.setSeasonIntensity(definition.seasons);
+    }
+    effect.setSeed(deriveSeed(SEED, definition.name));
+    effect.resize(VIEWPORT.width, VIEWPORT.height);
+
+    const period = strongestKey(effect.periodIntensity);
+    const weather = strongestKey(effect.weatherIntensity);
+    const season = strongestKey(effect.seasonIntensity);
+    effect.setWeather(weather);
+    effect.setSeason(season);
+    effect.setTimePeriod(period);
+    effect.completeFade();
+    assert.ok(effect.isActive, `${definition.name} should be active`);
+
+    const { canvas, ctx } = createViewportCanvas();
+    const palette = getPalette(period, weather, season);
+    for (let i = 0; i < FRAME_COUNT; i++) {
+      effect.update(FRAME_TIME);
+      ctx.clearRect(0, 0, VIEWPORT.width, VIEWPORT.height);
+      ctx.globalAlpha = effect.intensity;
+      effect.draw(ctx, palette);
+      ctx.globalAlpha = 1;
+    }
+    await assertSnapshot(t, canvas, `effect-${definition.name}`);
+  });
+}
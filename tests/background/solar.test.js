@@ -0,0 +1,112 @@
+/**
+ * Solar schedule tests
+ *
+ * Periods follow the sun in day order. On the short days near the polar
+ * circle the fixed offsets overlap; the boundaries are then clamped between
+ * sunrise and sunset rather than reordered, and the cross-fades around a
+ * period shorter than the transition share it instead of overlapping.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getSolarSchedule } from "../../background/solar.js";
+import {
+  TIME_PERIOD,
+  getTimePeriod,
+  getTimeTransition,
+} from "../../background/time.js";
+import { CONFIG } from "../../background/config.js";
+
+const WINTER_SOLSTICE = new Date(2024, 11, 21, 12);
+const OULU = { latitude: 65, longitude: 25.5 };
+
+/**
+ * Periods in day order from MORNING, with their start in minutes after it
+ * (independent of the time zone the test runs in)
+ * @param {import('../../background/time.js').PeriodBoundary[]} schedule
+ * @returns {Array<[string, number]>}
+ */
+function fromMorning(schedule) {
+  const morning = schedule.find((b) => b.period === TIME_PERIOD.MORNING);
+  return schedule
+    .map(({ period, start }) => [
+      period,
+      (((start - morning.start) % 1440) + 1440) % 1440,
+    ])
+    .sort((a, b) => a[1] - b[1]);
+}
+
+describe("getSolarSchedule", () => {
+  test("keeps the day order at 65° in December", () => {
+    const periods = fromMorning(getSolarSchedule(WINTER_SOLSTICE, OULU));
+    assert.deepEqual(
+      periods.map(([period]) => period),
+      [
+        TIME_PERIOD.MORNING,
+        TIME_PERIOD.NOON,
+        TIME_PERIOD.EVENING,
+        TIME_PERIOD.NIGHT,
+      ],
+    );
+  });
+
+  test("squeezes out noon when evening would start before it", () => {
+    const schedule = getSolarSchedule(WINTER_SOLSTICE, {
+      ...OULU,
+      latitude: 67.35,
+    });
+    const periods = fromMorning(schedule);
+    assert.deepEqual(
+      periods.map(([period]) => period),
+      [TIME_PERIOD.MORNING, TIME_PERIOD.EVENING, TIME_PERIOD.NIGHT],
+    );
+
+    // Evening takes over from the clamped boundary
+    const evening = schedule.find((b) => b.period === TIME_PERIOD.EVENING);
+    const at = new Date(WINTER_SOLSTICE);
+    at.setHours(0, Math.floor(evening.start) + 1);
+    assert.equal(getTimePeriod(at, schedule), TIME_PERIOD.EVENING);
+  });
+});
+
+describe("getTimeTransition on a solar schedule", () => {
+  test("hands a period shorter than the transition on without jumping", () => {
+    const schedule = getSolarSchedule(WINTER_SOLSTICE, {
+      ...OULU,
+      latitude: 67,
+    });
+    const noon = schedule.find((b) => b.period === TIME_PERIOD.NOON);
+    const evening = schedule.find((b) => b.period === TIME_PERIOD.EVENING);
+    const { DURATION } = CONFIG.TRANSITION;
+    assert.ok(evening.start - noon.start < DURATION);
+
+    // Sample every quarter minute from before noon to after evening starts
+    const seen = [];
+    let previous = null;
+    for (
+      let minutes = noon.start - DURATION;
+      minutes <= evening.start + DURATION;
+      minutes += 0.25
+    ) {
+      const at = new Date(WINTER_SOLSTICE);
+      at.setHours(0, 0, minutes * 60);
+      const { from, to, factor } = getTimeTransition(at, schedule);
+      const key = `${from}>${to}`;
+      if (from !== to && seen.at(-1) !== key) seen.push(key);
+
+      if (previous?.key === key && from !== to) {
+        assert.ok(factor >= previous.factor, `${key} runs backwards`);
+      } else if (previous && previous.key !== key) {
+        // A blend is finished before the next one starts
+        if (previous.from !== previous.to) assert.ok(previous.factor > 0.95);
+        if (from !== to) assert.ok(factor < 0.05, `${key} starts at ${factor}`);
+      }
+      previous = { key, from, to, factor };
+    }
+
+    assert.deepEqual(seen, [
+      `${TIME_PERIOD.MORNING}>${TIME_PERIOD.NOON}`,
+      `${TIME_PERIOD.NOON}>${TIME_PERIOD.EVENING}`,
+    ]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Theme tests
+ *
+ * Palette blending in getColorPalette and the CSS variables written by
+ * applyPaletteToCss, checked against a fake document root. The card light
+ * follows the sun/moon arc without jumping when one hands over to the other.
+ */
+
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getColorPalette,
+  applyPaletteToCss,
+  applyMoonPhase,
+  applyCelestialArc,
+} from "../../background/colors/theme.js";
+import { parseRgbaColor } from "../../background/colors/interpolation.js";
+import { TIME_PALETTES } from "../../background/colors/palette.js";
+import { CONFIG } from "../../background/config.js";
+import {
+  TIME_PERIOD,
+  getTimeTransition,
+  getCelestialProgress,
+} from "../../background/time.js";
+
+// Every variable applyPaletteToCss writes when the palette has a celestial
+const CSS_VARIABLES = [
+  "--bg",
+  "--card-bg",
+  "--card-bg-glass",
+  "--button-bg",
+  "--text",
+  "--text-muted",
+  "--accent",
+  "--shadow-light",
+  "--shadow-dark",
+  "--glass-border",
+  "--card-edge-dark",
+  "--card-edge-darker",
+  "--card-highlight-x",
+  "--card-highlight-y",
+  "--card-highlight-color",
+  "--edge-highlight-top",
+  "--edge-highlight-left",
+  "--shimmer-intensity",
+  "--oilslick-gradient",
+  "--text-highlight-color",
+  "--text-shadow-color",
+  "--text-highlight-offset",
+  "--text-shadow-offset",
+  "--text-highlight-color-subtle",
+  "--text-shadow-color-subtle",
+  "--text-highlight-offset-subtle",
+  "--text-shadow-offset-subtle",
+  "--icon-shadow-color",
+  "--icon-highlight-color",
+  "--fresnel-gradient",
+];
+
+describe("getColorPalette", () => {
+  test("returns the period palette when not blending", () => {
+    const palette = getColorPalette(TIME_PERIOD.NOON);
+    const source = TIME_PALETTES[TIME_PERIOD.NOON];
+    assert.deepEqual(palette.gradient, source.gradient);
+    assert.equal(palette.cardBg, source.cardBg);
+    assert.equal(palette.celestial, source.celestial);
+    assert.equal(palette.shadows, CONFIG.SHADOWS.NOON);
+    assert.equal(palette.timePeriod, TIME_PERIOD.NOON);
+  });
+
+  test("matches the previous period at the start of a transition", () => {
+    const palette = getColorPalette(TIME_PERIOD.EVENING, 0, TIME_PERIOD.NOON);
+    const source = TIME_PALETTES[TIME_PERIOD.NOON];
+    assert.equal(palette.bg, source.bg.toLowerCase());
+    assert.equal(palette.accent, source.accent.toLowerCase());
+    assert.equal(palette.gradientAngle, source.gradientAngle);
+    assert.equal(palette.timePeriod, TIME_PERIOD.NOON);
+  });
+
+  test("switches the dominant period at the midpoint", () => {
+    const before = getColorPalette(
+      TIME_PERIOD.NIGHT,
+      0.49,
+      TIME_PERIOD.EVENING,
+    );
+    const after = getColorPalette(TIME_PERIOD.NIGHT, 0.5, TIME_PERIOD.EVENING);
+    assert.equal(before.timePeriod, TIME_PERIOD.EVENING);
+    assert.equal(before.celestial.type, "sun");
+    assert.equal(after.timePeriod, TIME_PERIOD.NIGHT);
+    assert.equal(after.celestial.type, "moon");
+  });
+});
+
+describe("applyPaletteToCss", () => {
+  /** @type {Map<string, string>} */
+  let properties;
+  /** @type {string|null} */
+  let themeColor;
+
+  beforeEach(() => {
+    properties = new Map();
+    themeColor = null;
+    globalThis.document = {
+      documentElement: {
+        style: {
+          setProperty: (name, value) => properties.set(name, String(value)),
+        },
+      },
+      getElementById: (id) =>
+        id === "theme-color"
+          ? {
+              setAttribute: (name, value) => {
+                if (name === "content") themeColor = value;
+              },
+            }
+          : null,
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  test("writes the full variable set for each period", () => {
+    for (const period of Object.values(TIME_PERIOD)) {
+      properties.clear();
+      applyPaletteToCss(getColorPalette(period));
+      assert.deepEqual(
+        [...properties.keys()].sort(),
+        [...CSS_VARIABLES].sort(),
+        period,
+      );
+    }
+  });
+
+  test("derives card colors from the palette", () => {
+    const palette = getColorPalette(TIME_PERIOD.NOON);
+    applyPaletteToCss(palette);
+
+    assert.equal(properties.get("--bg"), palette.bg);
+    assert.equal(properties.get("--card-bg"), "#E8EEF3");
+    assert.equal(
+      properties.get("--card-bg-glass"),
+      "rgba(232, 238, 243, 0.075)",
+    );
+    assert.equal(properties.get("--button-bg"), "rgba(232, 238, 243, 0.45)");
+    assert.equal(properties.get("--glass-border"), "rgba(232, 238, 243, 0.3)");
+    assert.equal(
+      properties.get("--card-edge-dark"),
+      "rgba(192, 198, 203, 0.5)",
+    );
+    assert.equal(
+      properties.get("--card-edge-darker"),
+      "rgba(172, 178, 183, 0.6)",
+    );
+    assert.equal(properties.get("--shadow-light"), palette.shadows.light);
+    assert.equal(properties.get("--shimmer-intensity"), "0.25");
+    assert.equal(themeColor, palette.bg);
+  });
+
+  test("accepts short hex card colors", () => {
+    applyPaletteToCss({ ...getColorPalette(TIME_PERIOD.NOON), cardBg: "#FFF" });
+    assert.equal(properties.get("--glass-border"), "rgba(255, 255, 255, 0.3)");
+    assert.equal(
+      properties.get("--card-edge-dark"),
+      "rgba(215, 215, 215, 0.5)",
+    );
+  });
+
+  test("clamps edge colors of dark cards at zero", () => {
+    applyPaletteToCss({
+      ...getColorPalette(TIME_PERIOD.NIGHT),
+      cardBg: "#102030",
+    });
+    assert.equal(properties.get("--card-edge-dark"), "rgba(0, 0, 8, 0.5)");
+    assert.equal(properties.get("--card-edge-darker"), "rgba(0, 0, 0, 0.6)");
+  });
+
+  test("places the card highlight at the light source", () => {
+    const palette = getColorPalette(TIME_PERIOD.MORNING);
+    applyPaletteToCss({
+      ...palette,
+      celestial: { ...palette.celestial, x: 0.25, y: 1.4 },
+    });
+    assert.equal(properties.get("--card-highlight-x"), "25%");
+    assert.equal(properties.get("--card-highlight-y"), "100%");
+  });
+
+  test("moves the highlight smoothly as the sun and moon hand over", () => {
+    /**
+     * Card highlight position and strength at a clock time
+     * @param {Date} now
+     */
+    const sampleHighlight = (now) => {
+      const { from, to, factor } = getTimeTransition(now);
+      const palette = applyCelestialArc(
+        applyMoonPhase(getColorPalette(to, factor, from !== to ? from : null), {
+          phase: 0.5,
+          illumination: 1,
+        }),
+        getCelestialProgress(now),
+      );
+      applyPaletteToCss(palette);
+      return {
+        x: parseFloat(properties.get("--card-highlight-x")),
+        alpha: parseRgbaColor(properties.get("--card-highlight-color")).a,
+      };
+    };
+
+    // EVENING to NIGHT at 20:00 and NIGHT to MORNING at 5:00
+    for (const hour of [20, 5]) {
+      let previous = null;
+      for (let minute = -30; minute <= 30; minute++) {
+        const sample = sampleHighlight(new Date(2024, 5, 1, hour, minute));
+        if (previous) {
+          const at = `${hour}:00 ${minute >= 0 ? "+" : ""}${minute}min`;
+          assert.ok(Math.abs(sample.x - previous.x) < 5, `x jumps at ${at}`);
+          assert.ok(
+            Math.abs(sample.alpha - previous.alpha) < 0.01,
+            `light jumps at ${at}`,
+          );
+        }
+        previous = sample;
+      }
+    }
+  });
+
+  test("skips light-dependent variables without a celestial", () => {
+    applyPaletteToCss({
+      ...getColorPalette(TIME_PERIOD.NOON),
+      celestial: null,
+    });
+    assert.equal(properties.size, 12);
+    assert.ok(!properties.has("--card-highlight-x"));
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * WebGL backend tests
+ *
+ * Orbs and god rays drawn with WebGL are copied onto the 2D layers where
+ * Canvas 2D would draw them (orbs over the shapes, beams on the overlay),
+ * and the sky is drawn last on the canvas beneath. A worker that falls back
+ * to Canvas 2D reports it so the page can drop the WebGL canvas.
+ */
+
+import "../helpers/canvas-env.js";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createCanvas } from "@napi-rs/canvas";
+import { VIEWPORT } from "../helpers/canvas-env.js";
+import { SEED } from "../helpers/orbs.js";
+import { BackgroundRenderer } from "../../background/renderer/index.js";
+import { OffscreenRenderer } from "../../background/renderer/offscreen-renderer.js";
+import { EFFECT_LAYER } from "../../background/effects/registry.js";
+import { TIME_PERIOD } from "../../background/time.js";
+import { getColorPalette } from "../../background/colors/theme.js";
+
+beforeEach(() => {
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("WebGL layer order", () => {
+  test("copies orbs and beams onto the 2D layers, then draws the sky", () => {
+    const renderer = new BackgroundRenderer({ seed: SEED }).init();
+    renderer.updateConditions(
+      TIME_PERIOD.NOON,
+      getColorPalette(TIME_PERIOD.NOON),
+    );
+
+    const calls = [];
+    const layerOf = (ctx) =>
+      ctx === renderer.ctx
+        ? "background"
+        : ctx === renderer.overlayCtx
+          ? "overlay"
+          : "?";
+    renderer.glLayer = {
+      copyOrbs: (ctx, orbs) => calls.push(["orbs", layerOf(ctx), orbs.length]),
+      // Canvas stores globalAlpha in 8 bits
+      copyRays: (ctx, rays) =>
+        calls.push([
+          "rays",
+          layerOf(ctx),
+          rays.length,
+          Math.round(ctx.globalAlpha * 100) / 100,
+        ]),
+      drawSky: () => calls.push(["sky"]),
+      destroy() {},
+    };
+    const { effects } = renderer;
+    renderer.effects = [
+      {
+        definition: { layer: EFFECT_LAYER.OVERLAY },
+        instance: {
+          isActive: true,
+          intensity: 0.5,
+          updateFade() {},
+          update() {},
+          getRayShapes: () => [{}, {}],
+          draw: () => assert.fail("beams are drawn with WebGL"),
+        },
+      },
+    ];
+
+    renderer.drawFrame(16);
+    renderer.effects = effects;
+
+    const orbCount = renderer.particleSystem.getOrbs().length;
+    assert.ok(orbCount > 0);
+    assert.deepEqual(calls, [
+      ["orbs", "background", orbCount],
+      ["rays", "overlay", 2, 0.5],
+      ["sky"],
+    ]);
+    assert.equal(renderer.overlayCtx.globalAlpha, 1);
+    renderer.destroy();
+  });
+});
+
+describe("worker fallback", () => {
+  test("reports when WebGL is unavailable", () => {
+    let disabled = 0;
+    const renderer = new OffscreenRenderer({
+      canvas: createCanvas(1, 1),
+      overlayCanvas: createCanvas(1, 1),
+      glCanvas: { getContext: () => null },
+      backend: "webgl",
+      width: VIEWPORT.width,
+      height: VIEWPORT.height,
+      pixelRatio: 1,
+      seed: SEED,
+      onWebGLDisabled: () => disabled++,
+    }).init();
+
+    assert.equal(disabled, 1);
+    assert.ok(!renderer.isWebGLActive());
+    renderer.destroy();
+    assert.equal(disabled, 1);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Card effects tests
+ *
+ * On touch devices the card follows the device orientation, turning against
+ * the phone and sliding the light reflection with it; a finger on the card
+ * takes over until it lifts. A swipe's flip angle is composed with the tilt.
+ */
+
+import "./helpers/canvas-env.js";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { CardEffects } from "../card-effects.js";
+
+/** @type {Map<string, Function>} */
+let windowListeners;
+let originalWindow;
+
+/**
+ * Card and container stand-ins, 100px square. The card records its
+ * custom property writes in `card.properties`.
+ */
+function createCardElements() {
+  const card = {
+    classList: { contains: () => false },
+    properties: [],
+    style: {
+      setProperty(name, value) {
+        card.properties.push([name, value]);
+      },
+    },
+  };
+  const container = {
+    addEventListener() {},
+    removeEventListener() {},
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 100, height: 100 }),
+  };
+  return { card, container };
+}
+
+/**
+ * Run the animation loop until the card settles
+ * @param {CardEffects} effects
+ */
+function settle(effects) {
+  for (let i = 0; i < 600; i++) effects.animate();
+}
+
+beforeEach(() => {
+  originalWindow = globalThis.window;
+  windowListeners = new Map();
+  globalThis.window = {
+    ...originalWindow,
+    ontouchstart: null,
+    DeviceOrientationEvent: class {},
+    addEventListener: (type, listener) => windowListeners.set(type, listener),
+    removeEventListener: (type) => windowListeners.delete(type),
+  };
+  globalThis.MutationObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+});
+
+afterEach(() => {
+  globalThis.window = originalWindow;
+  delete globalThis.MutationObserver;
+});
+
+describe("device orientation", () => {
+  test("turns the card against the device tilt", () => {
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+    const orient = windowListeners.get("deviceorientation");
+
+    // The first reading is the holding angle; then tilt the right edge down
+    orient({ beta: 40, gamma: 0 });
+    orient({ beta: 40, gamma: 10 });
+    assert.equal(effects.target.rotateY, -3);
+    assert.equal(effects.target.rotateX, 0);
+
+    settle(effects);
+    assert.match(card.style.transform, /rotateY\(-2\.9\d*deg\)/);
+    const lightShift = new Map(card.properties);
+    assert.equal(lightShift.get("--card-light-x"), "7.50%");
+    assert.equal(lightShift.get("--card-light-y"), "0.00%");
+
+    effects.destroy();
+    assert.ok(!windowListeners.has("deviceorientation"));
+  });
+
+  test("yields to a finger on the card, then takes the tilt back", () => {
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+    const orient = windowListeners.get("deviceorientation");
+    orient({ beta: 40, gamma: 0 });
+
+    effects.handleTouchStart({ touches: [{ clientX: 100, clientY: 50 }] });
+    orient({ beta: 50, gamma: 0 });
+    assert.equal(effects.target.rotateY, 6);
+    assert.equal(effects.target.rotateX, 0);
+
+    effects.handleTouchEnd();
+    assert.equal(effects.target.rotateY, 0);
+    assert.equal(effects.target.rotateX, 3);
+    effects.destroy();
+  });
+
+  test("is not read on devices without touch", () => {
+    delete window.ontouchstart;
+    globalThis.navigator ??= { maxTouchPoints: 0 };
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+    assert.equal(effects.unwatchOrientation, null);
+    assert.ok(!windowListeners.has("deviceorientation"));
+    effects.destroy();
+  });
+});
+
+describe("light shift", () => {
+  test("is written to the card only when its rounded value changes", () => {
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+
+    effects.applyLightShift(7.5, 0);
+    effects.applyLightShift(7.501, 0.001);
+    assert.deepEqual(card.properties, [
+      ["--card-light-x", "7.50%"],
+      ["--card-light-y", "0.00%"],
+    ]);
+
+    effects.applyLightShift(7.5, -2);
+    assert.deepEqual(card.properties.at(-1), ["--card-light-y", "-2.00%"]);
+    assert.equal(card.properties.length, 3);
+    effects.destroy();
+  });
+});
+
+describe("swipe flip angle", () => {
+  test("is composed with the tilt, then left to the flipped class", () => {
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+    effects.current.rotateX = 2;
+    effects.current.rotateY = 3;
+
+    effects.setFlipAngle(90);
+    assert.equal(card.style.transform, "rotateX(2deg) rotateY(93deg)");
+
+    effects.setFlipAngle(null);
+    assert.equal(card.style.transform, "");
+    effects.destroy();
+  });
+
+  test("writes the settled pose at once while the loop is running", () => {
+    const { card, container } = createCardElements();
+    const effects = new CardEffects(card, container);
+    effects.current.rotateY = 2;
+    effects.setFlipAngle(-180);
+    assert.equal(card.style.transform, "rotateX(0deg) rotateY(-178deg)");
+
+    // The card is flipped and the tilt still easing when the swipe settles
+    card.classList.contains = (name) => name === "flipped";
+    effects.animationFrame = 1;
+    effects.setFlipAngle(null);
+    assert.equal(card.style.transform, "rotateX(0deg) rotateY(182deg)");
+
+    effects.animationFrame = null;
+    effects.destroy();
+  });
+});
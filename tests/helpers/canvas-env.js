@@ -0,0 +1,111 @@
+/**
+ * Test helper - Headless canvas environment
+ *
+ * Installs just enough of `window` and `document` for the background
+ * renderer to run in Node, backed by @napi-rs/canvas. Import this before
+ * any background module: several of them read `window` when loaded.
+ */
+
+import { createCanvas } from "@napi-rs/canvas";
+
+// Viewport used by every snapshot
+export const VIEWPORT = { width: 480, height: 320 };
+
+/** @type {Map<string, Object>} */
+const elementsById = new Map();
+
+/**
+ * Create a canvas that behaves enough like an HTMLCanvasElement
+ * @returns {import('@napi-rs/canvas').Canvas}
+ */
+function createCanvasElement() {
+  const canvas = createCanvas(1, 1);
+  let id = "";
+  Object.defineProperty(canvas, "id", {
+    get: () => id,
+    set: (value) => {
+      id = value;
+      elementsById.set(value, canvas);
+    },
+  });
+  canvas.style = {};
+  canvas.parentNode = null;
+  canvas.remove = () => canvas.parentNode?.removeChild(canvas);
+  return canvas;
+}
+
+const body = {
+  children: [],
+  get firstChild() {
+    return this.children[0] || null;
+  },
+  insertBefore(node, reference) {
+    const index = this.children.indexOf(reference);
+    this.children.splice(index < 0 ? 0 : index, 0, node);
+    node.parentNode = this;
+  },
+  appendChild(node) {
+    this.children.push(node);
+    node.parentNode = this;
+  },
+  removeChild(node) {
+    this.children = this.children.filter((child) => child !== node);
+    node.parentNode = null;
+    if (elementsById.get(node.id) === node) elementsById.delete(node.id);
+  },
+};
+
+globalThis.window = {
+  innerWidth: VIEWPORT.width,
+  innerHeight: VIEWPORT.height,
+  devicePixelRatio: 1,
+  location: { hash: "", search: "" },
+  addEventListener() {},
+  removeEventListener() {},
+  matchMedia: () => ({ matches: false }),
+  // Keep background/index.js from starting itself if it gets imported
+  BACKGROUND_MANUAL_INIT: true,
+};
+
+globalThis.document = {
+  body,
+  hidden: false,
+  readyState: "complete",
+  documentElement: { style: { setProperty() {} } },
+  createElement: (tag) => {
+    if (tag !== "canvas") throw new Error(`Unsupported element: ${tag}`);
+    return createCanvasElement();
+  },
+  getElementById: (id) => elementsById.get(id) || null,
+  // No card in the page
+  querySelector: () => null,
+  addEventListener() {},
+  removeEventListener() {},
+  dispatchEvent() {},
+};
+
+// Snapshots drive frames by hand; the loop never runs
+globalThis.requestAnimationFrame = () => 0;
+globalThis.cancelAnimationFrame = () => {};
+
+/**
+ * Create a blank canvas the size of the viewport
+ * @returns {{canvas: import('@napi-rs/canvas').Canvas, ctx: CanvasRenderingContext2D}}
+ */
+export function createViewportCanvas() {
+  const canvas = createCanvas(VIEWPORT.width, VIEWPORT.height);
+  return { canvas, ctx: canvas.getContext("2d") };
+}
+
+/**
+ * Flatten canvases (back to front) into one image
+ * @param {Array<import('@napi-rs/canvas').Canvas>} layers
+ * @returns {import('@napi-rs/canvas').Canvas}
+ */
+export function compositeLayers(layers) {
+  const { canvas, ctx } = createViewportCanvas();
+  for (const layer of layers) {
+    ctx.drawImage(layer, 0, 0, VIEWPORT.width, VIEWPORT.height);
+  }
+  return canvas;
+}
@@ -0,0 +1,29 @@
+/**
+ * Test helper - seeded orbs
+ *
+ * The seed and frame time shared by the background tests, and pairs of
+ * identically seeded orb systems to compare one change against.
+ */
+
+import { VIEWPORT } from "./canvas-env.js";
+import { ParticleSystem } from "../../background/particles.js";
+import { TIME_PERIOD } from "../../background/time.js";
+
+// Seed for renderers and systems whose layout a test compares
+export const SEED = 7;
+
+// Frame length in ms (about 60fps)
+export const FRAME_TIME = 16;
+
+/**
+ * Two identically seeded orb systems
+ * @returns {[ParticleSystem, ParticleSystem]}
+ */
+export function createOrbPair() {
+  return [new ParticleSystem(), new ParticleSystem()].map((particles) => {
+    particles.resize(VIEWPORT.width, VIEWPORT.height);
+    particles.setSeed(SEED);
+    particles.init(TIME_PERIOD.NOON);
+    return particles;
+  });
+}
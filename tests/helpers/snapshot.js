@@ -0,0 +1,114 @@
+/**
+ * Test helper - PNG snapshots
+ *
+ * Compares a canvas with a stored PNG baseline. Pixels may differ by up to
+ * CHANNEL_TOLERANCE per channel (anti-aliasing and rounding differ between
+ * platforms); the snapshot fails when more than PIXEL_TOLERANCE of the
+ * pixels differ by more than that.
+ *
+ * Missing baselines are written on first run, except under CI where they
+ * fail the test. Set UPDATE_SNAPSHOTS=1 (or run
+ * `npm run test:update-snapshots`) to rewrite them after an intended visual
+ * change. On a mismatch the actual image is written to `__output__/`.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+
+// Largest per-channel difference that still counts as equal (0-255)
+const CHANNEL_TOLERANCE = 12;
+
+// Share of pixels allowed to differ beyond CHANNEL_TOLERANCE
+const PIXEL_TOLERANCE = 0.005;
+
+/**
+ * @typedef {Object} SnapshotResult
+ * @property {boolean} pass - Whether the canvas matches the baseline
+ * @property {string} message - Explanation for failures and new baselines
+ */
+
+/**
+ * Read RGBA pixels from PNG data
+ * @param {Buffer} png
+ * @returns {Promise<ImageData>}
+ */
+async function decodePng(png) {
+  const image = await loadImage(png);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Share of pixels that differ beyond the channel tolerance
+ * @param {ImageData} actual
+ * @param {ImageData} expected
+ * @returns {number} 0-1
+ */
+function getDifferentPixelRatio(actual, expected) {
+  let different = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    for (let channel = 0; channel < 4; channel++) {
+      const diff = Math.abs(
+        actual.data[i + channel] - expected.data[i + channel],
+      );
+      if (diff > CHANNEL_TOLERANCE) {
+        different++;
+        break;
+      }
+    }
+  }
+  return different / (actual.data.length / 4);
+}
+
+/**
+ * Compare a canvas with its baseline
+ * @param {import('@napi-rs/canvas').Canvas} canvas - Rendered image
+ * @param {string} baselineDir - Directory holding the baselines
+ * @param {string} name - Snapshot name (file name without extension)
+ * @returns {Promise<SnapshotResult>}
+ */
+export async function matchSnapshot(canvas, baselineDir, name) {
+  const baselinePath = join(baselineDir, `${name}.png`);
+  const png = canvas.toBuffer("image/png");
+
+  const isMissing = !existsSync(baselinePath);
+  if (isMissing && process.env.CI && !process.env.UPDATE_SNAPSHOTS) {
+    return {
+      pass: false,
+      message: `${name}: no baseline at ${baselinePath}; run \`npm run test:update-snapshots\` and commit it`,
+    };
+  }
+
+  if (process.env.UPDATE_SNAPSHOTS || isMissing) {
+    mkdirSync(baselineDir, { recursive: true });
+    writeFileSync(baselinePath, png);
+    return { pass: true, message: `Wrote baseline ${baselinePath}` };
+  }
+
+  const expected = await decodePng(readFileSync(baselinePath));
+  const actual = canvas
+    .getContext("2d")
+    .getImageData(0, 0, canvas.width, canvas.height);
+
+  let message = "";
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    message = `Size ${actual.width}x${actual.height} differs from baseline ${expected.width}x${expected.height}`;
+  } else {
+    const ratio = getDifferentPixelRatio(actual, expected);
+    if (ratio > PIXEL_TOLERANCE) {
+      message = `${(ratio * 100).toFixed(2)}% of pixels differ (limit ${PIXEL_TOLERANCE * 100}%)`;
+    }
+  }
+  if (!message) return { pass: true, message: "" };
+
+  const outputPath = join(dirname(baselinePath), "__output__", `${name}.png`);
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, png);
+  return {
+    pass: false,
+    message: `${name}: ${message}; actual image at ${outputPath}`,
+  };
+}
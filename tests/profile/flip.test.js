@@ -0,0 +1,265 @@
+/**
+ * Card flip tests
+ *
+ * A horizontal swipe turns the card with the finger; on release it springs
+ * to the far side past the threshold (momentum included) or back otherwise,
+ * then hands the pose back to the flipped class. Keyboard flips go through
+ * the flip buttons or the F key (only with focus on the card), hide the
+ * other face, move focus and are announced.
+ */
+
+import "../helpers/canvas-env.js";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupFlipToggle } from "../../profile/flip.js";
+
+const CARD_WIDTH = 300;
+
+/** @type {Array<(time: number) => void>} */
+let frames;
+/** @type {Map<string, Function[]>} */
+let documentListeners;
+let status;
+
+/**
+ * Element stand-in recording attributes and listeners
+ * @param {Array<Object>} [children]
+ */
+function createElement(children = []) {
+  const attributes = new Map();
+  /** @type {Map<string, Function[]>} */
+  const listeners = new Map();
+  const element = {
+    inert: false,
+    textContent: "",
+    getAttribute: (name) => attributes.get(name) ?? null,
+    setAttribute: (name, value) => attributes.set(name, String(value)),
+    removeAttribute: (name) => attributes.delete(name),
+    addEventListener: (type, listener) =>
+      listeners.set(type, [...(listeners.get(type) ?? []), listener]),
+    fire: (type, event = {}) =>
+      listeners.get(type)?.forEach((listener) => listener(event)),
+    contains: (node) =>
+      node === element || children.some((child) => child.contains(node)),
+    querySelector: () => children[0] ?? null,
+    focus: () => {
+      document.activeElement = element;
+    },
+  };
+  return element;
+}
+
+/**
+ * Card stand-in with two faces and their flip buttons, past the intro hint
+ */
+function createCard() {
+  const classes = new Set();
+  const frontButton = createElement();
+  const backButton = createElement();
+  const front = createElement([frontButton]);
+  const back = createElement([backButton]);
+  const card = {
+    ...createElement([front, back]),
+    front,
+    back,
+    frontButton,
+    backButton,
+    offsetWidth: CARD_WIDTH,
+    style: {},
+    querySelector: (selector) =>
+      ({ ".card-front": front, ".card-back": back })[selector] ?? null,
+    querySelectorAll: (selector) =>
+      selector === ".flip-btn" ? [frontButton, backButton] : [],
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+      contains: (name) => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) classes.add(name);
+        else classes.delete(name);
+        return force;
+      },
+    },
+    setPointerCapture() {},
+  };
+
+  setupFlipToggle(card);
+  mock.timers.tick(300);
+  card.fire("animationend");
+  return card;
+}
+
+/**
+ * Pointer event stand-in on the card body
+ * @param {number} clientX
+ * @param {number} timeStamp
+ * @param {number} [clientY]
+ */
+function pointer(clientX, timeStamp, clientY = 100) {
+  return {
+    isPrimary: true,
+    button: 0,
+    pointerId: 1,
+    clientX,
+    clientY,
+    timeStamp,
+    target: { closest: () => null },
+  };
+}
+
+/**
+ * Run queued animation frames until the spring settles
+ */
+function runFrames() {
+  let time = 0;
+  while (frames.length > 0) {
+    time += 16;
+    frames.shift()(time);
+  }
+}
+
+/**
+ * Press a key with focus on the card, or elsewhere on the page
+ * @param {Object|null} card - Card holding focus, or null for the page
+ * @param {Object} event - KeyboardEvent fields
+ */
+function pressKey(card, event) {
+  const keydown = { target: { closest: () => null }, ...event };
+  card?.fire("keydown", keydown);
+  documentListeners.get("keydown")?.forEach((listener) => listener(keydown));
+}
+
+beforeEach(() => {
+  frames = [];
+  documentListeners = new Map();
+  status = createElement();
+  document.activeElement = null;
+  mock.timers.enable({ apis: ["setTimeout"] });
+  mock.method(globalThis, "requestAnimationFrame", (callback) =>
+    frames.push(callback),
+  );
+  mock.method(document, "addEventListener", (type, listener) =>
+    documentListeners.set(type, [
+      ...(documentListeners.get(type) ?? []),
+      listener,
+    ]),
+  );
+  mock.method(document, "getElementById", (id) =>
+    id === "flip-status" ? status : null,
+  );
+});
+
+afterEach(() => {
+  // Let a running flip finish so the next card starts at rest
+  mock.timers.tick(600);
+  mock.timers.reset();
+  mock.restoreAll();
+  delete document.activeElement;
+});
+
+describe("swipe flip", () => {
+  test("turns the card with the finger", () => {
+    const card = createCard();
+    card.fire("pointerdown", pointer(100, 0));
+    card.fire("pointermove", pointer(175, 50));
+    assert.equal(card.style.transform, "rotateY(45deg)");
+    assert.ok(card.classList.contains("dragging"));
+  });
+
+  test("completes the flip past the threshold and swallows the click", () => {
+    const card = createCard();
+    card.fire("pointerdown", pointer(100, 0));
+    card.fire("pointermove", pointer(200, 100));
+    card.fire("pointermove", pointer(260, 200));
+    card.fire("pointerup", pointer(260, 200));
+    runFrames();
+
+    assert.ok(card.classList.contains("flipped"));
+    assert.ok(!card.classList.contains("dragging"));
+    assert.equal(card.style.transform, "");
+    assert.equal(card.back.getAttribute("aria-hidden"), null);
+    assert.equal(card.front.getAttribute("aria-hidden"), "true");
+    assert.equal(status.textContent, "Showing the back side");
+
+    card.fire("click", { target: { closest: () => null } });
+    assert.ok(card.classList.contains("flipped"));
+  });
+
+  test("carries a quick flick past the threshold with momentum", () => {
+    const card = createCard();
+    card.fire("pointerdown", pointer(100, 0));
+    card.fire("pointermove", pointer(130, 10));
+    card.fire("pointermove", pointer(180, 30));
+    card.fire("pointerup", pointer(180, 30));
+    runFrames();
+    assert.ok(card.classList.contains("flipped"));
+  });
+
+  test("springs back from a short, slow drag", () => {
+    const card = createCard();
+    card.fire("pointerdown", pointer(100, 0));
+    card.fire("pointermove", pointer(150, 400));
+    card.fire("pointermove", pointer(160, 800));
+    card.fire("pointerup", pointer(160, 800));
+    runFrames();
+
+    assert.ok(!card.classList.contains("flipped"));
+    assert.equal(card.style.transform, "");
+  });
+
+  test("leaves vertical drags to scrolling", () => {
+    const card = createCard();
+    card.fire("pointerdown", pointer(100, 0, 100));
+    card.fire("pointermove", pointer(108, 50, 160));
+    card.fire("pointermove", pointer(200, 100, 160));
+    assert.equal(card.style.transform, undefined);
+    assert.ok(!card.classList.contains("dragging"));
+  });
+});
+
+describe("accessible flip", () => {
+  test("keeps the hidden face out of reach", () => {
+    const card = createCard();
+    assert.equal(card.back.getAttribute("aria-hidden"), "true");
+    assert.ok(card.back.inert);
+    assert.ok(!card.front.inert);
+    assert.equal(card.frontButton.getAttribute("aria-pressed"), "false");
+  });
+
+  test("flips from the button, moving focus and announcing the side", () => {
+    const card = createCard();
+    card.frontButton.focus();
+    card.frontButton.fire("click");
+
+    assert.ok(card.classList.contains("flipped"));
+    assert.ok(card.front.inert);
+    assert.ok(!card.back.inert);
+    assert.equal(card.front.getAttribute("aria-hidden"), "true");
+    assert.equal(card.backButton.getAttribute("aria-pressed"), "true");
+    assert.equal(document.activeElement, card.backButton);
+    assert.equal(status.textContent, "Showing the back side");
+
+    mock.timers.tick(600);
+    card.backButton.fire("click");
+    assert.ok(!card.classList.contains("flipped"));
+    assert.equal(document.activeElement, card.frontButton);
+    assert.equal(status.textContent, "Showing the front side");
+  });
+
+  test("flips with the F key, but not with modifiers", () => {
+    const card = createCard();
+    pressKey(card, { key: "f", ctrlKey: true });
+    assert.ok(!card.classList.contains("flipped"));
+
+    pressKey(card, { key: "F" });
+    assert.ok(card.classList.contains("flipped"));
+    assert.equal(document.activeElement, card.backButton);
+  });
+
+  test("ignores the F key with focus outside the card", () => {
+    const card = createCard();
+    pressKey(null, { key: "f" });
+    assert.ok(!card.classList.contains("flipped"));
+    assert.equal(status.textContent, "");
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Device Orientation Utilities
+ *
+ * Reads how a phone is tilted (DeviceOrientationEvent) relative to the angle
+ * it was first held at, so any comfortable holding position counts as level.
+ * iOS 13+ only delivers events after DeviceOrientationEvent.requestPermission()
+ * is granted, and only lets a tap or click ask, so watchers wait for the
+ * first tap on the page there.
+ */
+
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("Orientation");
+
+/**
+ * @typedef {Object} Tilt
+ * @property {number} x - Left/right tilt from the calibrated angle (-1 to 1,
+ *   positive = right edge down)
+ * @property {number} y - Forward/back tilt from the calibrated angle (-1 to 1,
+ *   positive = top edge toward the viewer)
+ */
+
+// Shared so several watchers raise a single permission prompt
+let permissionRequest = null;
+let permissionGranted = false;
+
+/**
+ * Whether the browser has the DeviceOrientationEvent API. Desktop browsers
+ * often have it without a sensor; they simply never fire events.
+ * @returns {boolean}
+ */
+export function isOrientationSupported() {
+  return typeof window !== "undefined" && "DeviceOrientationEvent" in window;
+}
+
+/**
+ * Whether orientation events wait for a permission prompt (iOS 13+)
+ * @returns {boolean}
+ */
+export function needsOrientationPermission() {
+  return (
+    isOrientationSupported() &&
+    typeof window.DeviceOrientationEvent.requestPermission === "function" &&
+    !permissionGranted
+  );
+}
+
+/**
+ * Ask for motion access. Must run inside a tap or click handler on iOS;
+ * resolves true right away where no permission is needed.
+ * @returns {Promise<boolean>} Whether orientation events will be delivered
+ */
+export function requestOrientationPermission() {
+  if (!needsOrientationPermission()) {
+    return Promise.resolve(isOrientationSupported());
+  }
+  permissionRequest ??= window.DeviceOrientationEvent.requestPermission()
+    .then((state) => {
+      permissionGranted = state === "granted";
+      return permissionGranted;
+    })
+    .catch((error) => {
+      // Asked outside a gesture; let the next tap try again
+      logger.warn("Motion permission request failed:", error);
+      permissionRequest = null;
+      return false;
+    });
+  return permissionRequest;
+}
+
+/**
+ * Clamp a value to -1..1
+ * @param {number} value
+ * @returns {number}
+ */
+function clampUnit(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+/**
+ * Screen rotation in radians (0 in the natural portrait orientation)
+ * @returns {number}
+ */
+function getScreenAngle() {
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+  return (angle * Math.PI) / 180;
+}
+
+/**
+ * Watch the device tilt relative to the angle it is first held at
+ * @param {(tilt: Tilt) => void} onChange - Called on every orientation event
+ * @param {Object} [options]
+ * @param {number} [options.maxAngle] - Degrees of tilt that map to ±1
+ * @returns {() => void} Stops watching
+ */
+export function watchOrientation(onChange, { maxAngle = 20 } = {}) {
+  let baseline = null;
+  let stopped = false;
+
+  const handleOrientation = (event) => {
+    if (event.beta === null || event.gamma === null) return;
+    baseline ??= { beta: event.beta, gamma: event.gamma };
+
+    // Rotate into screen axes so landscape tilts the expected way
+    const gamma = event.gamma - baseline.gamma;
+    const beta = event.beta - baseline.beta;
+    const angle = getScreenAngle();
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    onChange({
+      x: clampUnit((gamma * cos + beta * sin) / maxAngle),
+      y: clampUnit((beta * cos - gamma * sin) / maxAngle),
+    });
+  };
+
+  const listen = () => {
+    if (stopped) return;
+    window.addEventListener("deviceorientation", handleOrientation);
+  };
+
+  // A new screen orientation changes what "level" means
+  const calibrate = () => {
+    baseline = null;
+  };
+
+  const askOnGesture = () => {
+    window.removeEventListener("click", askOnGesture);
+    window.removeEventListener("touchend", askOnGesture);
+    requestOrientationPermission().then((granted) => {
+      if (granted) {
+        listen();
+      } else if (!permissionRequest && !stopped) {
+        // The request failed without an answer; ask again on the next tap
+        waitForGesture();
+      }
+    });
+  };
+
+  const waitForGesture = () => {
+    window.addEventListener("click", askOnGesture);
+    window.addEventListener("touchend", askOnGesture);
+  };
+
+  if (needsOrientationPermission()) {
+    waitForGesture();
+  } else if (isOrientationSupported()) {
+    listen();
+  }
+  window.screen?.orientation?.addEventListener?.("change", calibrate);
+
+  return () => {
+    stopped = true;
+    window.removeEventListener("deviceorientation", handleOrientation);
+    window.removeEventListener("click", askOnGesture);
+    window.removeEventListener("touchend", askOnGesture);
+    window.screen?.orientation?.removeEventListener?.("change", calibrate);
+  };
+}